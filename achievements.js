@@ -0,0 +1,297 @@
+/**
+ * ============================================================================
+ * SCROLLSENSE - Achievements
+ * ============================================================================
+ *
+ * Streaks, badges and weekly goals worked out from session history.
+ * Loaded by the background service worker (importScripts) and the
+ * popup/options pages (<script> tag) after platforms.js and session-store.js.
+ *
+ * Nothing here is stored. Everything is recomputed from the session records
+ * on every read, so importing, clearing or pruning history is reflected
+ * straight away and no two views can disagree.
+ *
+ * - Streaks: days under the daily limit, sessions ended on or before the
+ *   intended time, and nights without short videos after 10pm. Each has a
+ *   current run (still alive today) and the best run in history.
+ * - Badges: earned once a streak's best run reaches a milestone.
+ * - Weekly goals: progress since Monday towards a target.
+ *
+ * @author ScrollSense Team
+ * @version 1.0.0
+ * ============================================================================
+ */
+
+/**
+ * Streaks tracked, with the runs that earn a badge
+ * badge: Badge name, '{n}' is replaced by the milestone
+ */
+const ACHIEVEMENT_STREAKS = [
+  {
+    id: 'under-limit',
+    icon: '📉',
+    label: 'Days under your daily limit',
+    badge: '{n} days under the limit',
+    milestones: [3, 7, 14, 30, 100]
+  },
+  {
+    id: 'on-intent',
+    icon: '🎯',
+    label: 'Sessions ended on time',
+    badge: '{n} sessions on time',
+    milestones: [5, 10, 25, 50, 100]
+  },
+  {
+    id: 'no-late-short-video',
+    icon: '🌙',
+    label: 'Nights without Reels or Shorts after 10pm',
+    badge: '{n} quiet nights',
+    milestones: [3, 7, 14, 30]
+  }
+];
+
+/**
+ * Weekly goals, counted from Monday
+ * streak: Which streak's good days count towards the target
+ */
+const WEEKLY_GOALS = [
+  { id: 'week-under-limit', streak: 'under-limit', label: 'Days under your daily limit', target: 5 },
+  { id: 'week-no-late-short-video', streak: 'no-late-short-video', label: 'Nights without late short videos', target: 7 }
+];
+
+// Late night runs from LATE_NIGHT_START_HOUR until LATE_NIGHT_END_HOUR the
+// next morning; the night belongs to the evening's day
+const LATE_NIGHT_START_HOUR = 22;
+const LATE_NIGHT_END_HOUR = 5;
+
+// Section ids (platforms.js) counted as short videos
+const SHORT_VIDEO_SECTIONS = ['reels', 'shorts'];
+
+// Daily limit used when preferences don't set one (same as background.js)
+const ACHIEVEMENT_DEFAULT_DAILY_LIMIT = 120;
+
+// Longest run any badge needs (days or sessions)
+const ACHIEVEMENT_MAX_MILESTONE = Math.max(...ACHIEVEMENT_STREAKS.flatMap(streak => streak.milestones));
+
+// ============================================================================
+// DAYS
+// ============================================================================
+
+/**
+ * Local calendar day of a moment
+ * @param {Date|string|number} date - Moment
+ * @returns {string} - 'YYYY-MM-DD'
+ */
+function getLocalDayKey(date) {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Every local day from the first to the last, inclusive
+ * @param {Date} first - Any moment on the first day
+ * @param {Date} last - Any moment on the last day
+ * @returns {string[]} - Day keys, oldest first
+ */
+function listDaysBetween(first, last) {
+  const days = [];
+  const day = new Date(first);
+  day.setHours(12, 0, 0, 0); // Midday steps over DST changes safely
+  const lastKey = getLocalDayKey(last);
+  while (getLocalDayKey(day) <= lastKey) {
+    days.push(getLocalDayKey(day));
+    day.setDate(day.getDate() + 1);
+  }
+  return days;
+}
+
+/**
+ * Monday 00:00 of the week a moment falls in
+ * @param {Date} date - Moment
+ * @returns {Date}
+ */
+function getWeekStart(date) {
+  const start = new Date(date);
+  start.setHours(0, 0, 0, 0);
+  start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+  return start;
+}
+
+// ============================================================================
+// SESSION CHECKS
+// ============================================================================
+
+/**
+ * Minutes of a session that count towards daily usage
+ * Sections ruled "not counted" in the Sections tab are left out
+ * @param {Object} session - Session record
+ * @param {Array} platforms - Platform registry
+ * @param {Object} sectionRules - Stored section rules
+ * @returns {number}
+ */
+function getCountedMinutes(session, platforms, sectionRules) {
+  const platform = getPlatformInfo(session.platform, platforms);
+  const uncounted = getUncountedTime(platform, session.sections, sectionRules);
+  return Math.max(0, (session.actualTime || 0) - uncounted);
+}
+
+/**
+ * Whether a session ended on or before its intended time
+ * @param {Object} session - Session record
+ * @returns {boolean}
+ */
+function isSessionOnIntent(session) {
+  return (session.actualTime || 0) <= (session.intendedTime || 0);
+}
+
+/**
+ * The night a session spent late on short videos, if it did
+ * Checks the session's start and end; a session that ran through the
+ * whole night without starting or ending in it is not caught
+ * @param {Object} session - Session record
+ * @returns {string|null} - Day key of the night's evening, or null
+ */
+function getLateShortVideoNight(session) {
+  const sections = session.sections || {};
+  if (!SHORT_VIDEO_SECTIONS.some(id => sections[id] > 0)) return null;
+
+  const end = new Date(session.date);
+  const start = new Date(session.startTime || end.getTime() - (session.actualTime || 0) * 60000);
+  const late = [start, end].find(moment =>
+    moment.getHours() >= LATE_NIGHT_START_HOUR || moment.getHours() < LATE_NIGHT_END_HOUR);
+  if (!late) return null;
+
+  // Early morning hours belong to the previous evening
+  const evening = new Date(late);
+  if (evening.getHours() < LATE_NIGHT_END_HOUR) {
+    evening.setDate(evening.getDate() - 1);
+  }
+  return getLocalDayKey(evening);
+}
+
+// ============================================================================
+// STREAKS
+// ============================================================================
+
+/**
+ * Current and best run of good entries
+ * The current run counts back from the newest entry
+ * @param {boolean[]} results - Whether each entry was good, oldest first
+ * @returns {Object} - { current, best }
+ */
+function countStreak(results) {
+  let run = 0;
+  let best = 0;
+  results.forEach(good => {
+    run = good ? run + 1 : 0;
+    best = Math.max(best, run);
+  });
+  return { current: run, best };
+}
+
+/**
+ * Work out every streak, badge and weekly goal from history
+ * Today counts as good until it goes wrong, so the current day streaks
+ * include it
+ *
+ * @param {Array} sessions - Session records, oldest first
+ * @param {Object} options
+ * @param {number} [options.dailyLimit] - preferences.dailyLimit (minutes)
+ * @param {Array} options.platforms - Platform registry
+ * @param {Object} [options.sectionRules] - Stored section rules
+ * @param {Date} [now] - Moment to compute for (defaults to now)
+ * @returns {Object} - { streaks, badges, weeklyGoals }
+ */
+function computeAchievements(sessions, { dailyLimit, platforms, sectionRules }, now = new Date()) {
+  const limit = Number(dailyLimit) || ACHIEVEMENT_DEFAULT_DAILY_LIMIT;
+  const sorted = [...(sessions || [])].sort((a, b) => new Date(a.date) - new Date(b.date));
+  const days = sorted.length > 0 ? listDaysBetween(sorted[0].date, now) : [];
+
+  // Per day: counted minutes, and whether short videos ran late that night
+  const minutesByDay = {};
+  const lateNights = new Set();
+  sorted.forEach(session => {
+    const day = getLocalDayKey(session.date);
+    minutesByDay[day] = (minutesByDay[day] || 0) + getCountedMinutes(session, platforms, sectionRules);
+    const night = getLateShortVideoNight(session);
+    if (night) lateNights.add(night);
+  });
+
+  const dayResults = {
+    'under-limit': days.map(day => (minutesByDay[day] || 0) <= limit),
+    'no-late-short-video': days.map(day => !lateNights.has(day))
+  };
+  const results = {
+    ...dayResults,
+    'on-intent': sorted.map(isSessionOnIntent)
+  };
+
+  const streaks = ACHIEVEMENT_STREAKS.map(streak => ({
+    ...streak,
+    ...countStreak(results[streak.id])
+  }));
+
+  const badges = streaks.flatMap(streak => streak.milestones.map(milestone => ({
+    id: `${streak.id}-${milestone}`,
+    streak: streak.id,
+    icon: streak.icon,
+    label: streak.badge.replace('{n}', milestone),
+    milestone,
+    earned: streak.best >= milestone
+  })));
+
+  const weekStart = getLocalDayKey(getWeekStart(now));
+  const weeklyGoals = WEEKLY_GOALS.map(goal => ({
+    ...goal,
+    progress: days.filter((day, index) => day >= weekStart && dayResults[goal.streak][index]).length
+  }));
+
+  return { streaks, badges, weeklyGoals };
+}
+
+/**
+ * Badges earned in `after` that weren't in `before`
+ * @param {Object} before - computeAchievements() result
+ * @param {Object} after - computeAchievements() result
+ * @returns {Array} - Newly earned badges
+ */
+function getNewBadges(before, after) {
+  const earned = new Set(before.badges.filter(badge => badge.earned).map(badge => badge.id));
+  return after.badges.filter(badge => badge.earned && !earned.has(badge.id));
+}
+
+/**
+ * Sessions recent enough to tell whether the next one earns a badge
+ * Only the current runs can cross a milestone and none is longer than
+ * ACHIEVEMENT_MAX_MILESTONE, so the last that many days (stretched back to
+ * cover that many sessions) is enough, and older monthly chunks stay
+ * unread. A badge last reached before that window is announced again.
+ * @param {Date} [now] - Moment to look back from
+ * @returns {Promise<Array>} - Session records, oldest first
+ */
+async function loadMilestoneHistory(now = new Date()) {
+  const from = new Date(now);
+  from.setHours(0, 0, 0, 0);
+  from.setDate(from.getDate() - ACHIEVEMENT_MAX_MILESTONE);
+
+  const recent = await getSessions({ limit: ACHIEVEMENT_MAX_MILESTONE });
+  const oldest = recent.length > 0 ? new Date(recent[0].date) : from;
+  return getSessions({ from: oldest < from ? oldest : from });
+}
+
+/**
+ * Read history and settings from storage and compute achievements
+ * @returns {Promise<Object>} - { streaks, badges, weeklyGoals }
+ */
+async function loadAchievements() {
+  const [sessions, platforms, data] = await Promise.all([
+    getSessions(),
+    getPlatforms(),
+    chrome.storage.local.get(['preferences', 'sectionRules'])
+  ]);
+  return computeAchievements(sessions, {
+    dailyLimit: data.preferences?.dailyLimit,
+    platforms,
+    sectionRules: data.sectionRules
+  });
+}
@@ -8,22 +8,60 @@
  * 
  * 1. SESSION MANAGEMENT
  *    - Starting and ending user sessions
- *    - Tracking session duration and intent
- *    - Storing session history
+ *    - Owning the session clock (active time per platform, paused when no
+ *      tab of the platform is visible or the user is idle) via chrome.alarms
+ *    - Recording idle spans from page activity and chrome.idle
+ *    - Recording active time per site section as SPA routes change
+ *    - Adding up scroll distance, fast-scroll bursts and items viewed
+ *      reported by the platform's tabs
+ *    - Logging autopilot check-ins (rapid-scrolling pauses) and their answers
+ *    - Leaving sections ruled "not counted" out of daily usage
+ *    - Broadcasting session state to content scripts and the popup
+ *    - Storing session history (monthly chunks via session-store.js)
+ *    - Checkpointing the session's active time as a heartbeat, and closing
+ *      sessions left behind by a crash or browser exit into history
+ *    - Reporting badges a finished session earned (achievements.js)
  * 
  * 2. DATA PERSISTENCE
  *    - Managing chrome.storage.local for all user data
  *    - Daily usage tracking and reset
  *    - Platform-specific statistics
+ *    - Per-day history aggregates for AI Insights
  * 
  * 3. AI INTEGRATION
- *    - Generating personalized nudge messages via Groq API
+ *    - One client for any OpenAI-compatible chat completions endpoint
+ *      (Groq by default, or a base URL/model set in the API tab)
+ *    - Generating personalized nudge messages, pre-fetched into a small
+ *      pool while a session runs so interventions never wait on the network
  *    - Analyzing usage trends with AI
  *    - Providing fallback messages when API unavailable
  * 
  * 4. TAB MONITORING
- *    - Detecting supported platforms (Instagram, LinkedIn, Reddit)
+ *    - Detecting supported platforms via the shared registry (platforms.js)
+ *    - Registering the content script on user-added custom domains
  *    - Tracking tab changes and updates
+ *    - Broadcasting daily limit thresholds to open content scripts
+ * 
+ * 5. FOCUS WINDOWS
+ *    - Working out which scheduled window (Schedule tab) is active, with an
+ *      alarm at the next start or end time
+ *    - Pushing the active window to content scripts as the focus profile
+ *    - Applying a window's limit to the per-platform budget
+ * 
+ * 6. SNOOZES
+ *    - Owning every "leave me alone for a while" state: skipped intent
+ *      prompts, blur removed for a while, and ScrollSense paused for the
+ *      browsing session or the rest of the day
+ *    - Pushing changes to the platform's tabs; content scripts check them
+ *      before showing any prompt, blur or nudge
+ * 
+ * 7. ADAPTIVE LIMITS
+ *    - Suggesting per-platform limits from median daily use
+ *    - Applying or dismissing suggestions and remembering the answer
+ * 
+ * 8. WEEKLY REPORT
+ *    - A Monday alarm that flags last week's report (report.html) as ready
+ *      for the popup when that week has any sessions
  * 
  * ARCHITECTURE:
  * - Uses Chrome Extension Manifest V3
@@ -35,19 +73,97 @@
  * ============================================================================
  */
 
+// Platform registry shared with content, popup and options scripts,
+// the monthly-chunked session history shared with popup and options,
+// the focus window schedule shared with options, and the streaks and
+// badges shared with popup and options
+importScripts('platforms.js', 'session-store.js', 'focus-windows.js', 'achievements.js');
+
 // ============================================================================
 // CONSTANTS & CONFIGURATION
 // ============================================================================
 
 /**
- * Default time limits for each platform (in minutes)
- * These values are used when user hasn't set custom limits
+ * Percentages of preferences.dailyLimit at which content scripts are alerted
+ * Each threshold fires once per day and escalates the in-page intervention
+ */
+const DAILY_LIMIT_THRESHOLDS = [80, 100];
+
+/**
+ * Session clock alarm - checkpoints active time and broadcasts a tick
+ * Content scripts and the popup render between ticks from the last state
+ */
+const SESSION_TICK_ALARM = 'scrollsense-session-tick';
+const SESSION_TICK_MINUTES = 0.5; // Shortest period chrome.alarms allows
+
+// A session whose heartbeat (last tick) is older than this was left behind
+// by a browser that stopped running; ticks come every SESSION_TICK_MINUTES
+const SESSION_HEARTBEAT_STALE_MS = 5 * 60000;
+
+/**
+ * Focus window alarm - fires at the next window start or end time
+ */
+const FOCUS_WINDOW_ALARM = 'scrollsense-focus-window';
+
+/**
+ * Weekly report alarm - fires at the start of each Monday (local time)
+ */
+const WEEKLY_REPORT_ALARM = 'scrollsense-weekly-report';
+
+/**
+ * Snoozes - what each kind keeps quiet on its platform
+ * - prompt: The intent prompt (the mini prompt may still offer one)
+ * - blur: Session, post-session and daily limit blur
+ * - all: Prompts, blur, nudges and check-ins
+ */
+const SNOOZE_KINDS = ['prompt', 'blur', 'all'];
+const SESSION_SNOOZE_MAX_MS = 24 * 60 * 60 * 1000; // Session-only snoozes end after this at the latest
+
+/**
+ * Default minutes without scroll, key or pointer activity before a session
+ * pauses as idle (user-configurable in the Preferences tab)
+ */
+const DEFAULT_IDLE_THRESHOLD = 2;
+
+/**
+ * Default sensitivity of the autopilot check-ins content.js raises on rapid
+ * scrolling ('off', 'low', 'medium' or 'high'; set in the Preferences tab)
+ */
+const DEFAULT_AUTOPILOT_SENSITIVITY = 'medium';
+
+// Check-ins kept on one session
+const MAX_SESSION_CHECK_INS = 20;
+
+/**
+ * Adaptive limit suggestions
+ * Median daily use over the window, needing a minimum number of days of use
+ */
+const ADAPTIVE_WINDOW_DAYS = 30;          // Days of session history considered
+const ADAPTIVE_MIN_DAYS = 5;              // Days of use needed per platform
+const SUGGESTION_COOLDOWN_DAYS = 14;      // Quiet period per platform after Apply/Dismiss
+const MAX_SUGGESTION_DECISIONS = 50;      // Decisions kept in storage
+
+// Longest session purpose stored (characters)
+const MAX_PURPOSE_LENGTH = 120;
+
+/**
+ * AI provider used when no custom base URL is saved (stored as `aiProvider`)
+ * Any OpenAI-compatible server works: Groq, Ollama, llama.cpp, LM Studio...
  */
-const DEFAULT_PLATFORM_LIMITS = {
-  instagram: 10,  // Instagram tends to be more addictive (Reels)
-  linkedin: 30,   // LinkedIn is more professional/purposeful
-  reddit: 15      // Reddit is mixed educational/entertainment
+const DEFAULT_AI_PROVIDER = {
+  baseUrl: 'https://api.groq.com/openai/v1',
+  model: 'llama-3.1-8b-instant'
 };
+const AI_REQUEST_TIMEOUT_MS = 20000; // Local models can be slow to load
+
+/**
+ * Pre-generated AI nudges, stored as `nudgePool` keyed by context, tone and goal
+ * { 'session|encouraging|Finish thesis': [{ text, expiresAt }] }
+ */
+const NUDGE_POOL_SIZE = 3;            // Nudges kept ready per key
+const NUDGE_POOL_TTL_MINUTES = 120;   // Unused nudges are discarded after this
+const DEFAULT_NUDGE_GOAL = 'managing your time'; // Same default content.js sends
+const MIN_NUDGE_SCREENS = 10;         // Screens scrolled before nudges mention the distance
 
 // ============================================================================
 // INITIALIZATION
@@ -62,7 +178,6 @@ chrome.runtime.onInstalled.addListener(async () => {
   const data = await chrome.storage.local.get([
     'userGoals',
     'platformLimits',
-    'sessions',
     'dailyUsage',
     'preferences',
     'currentSession'
@@ -72,233 +187,1890 @@ chrome.runtime.onInstalled.addListener(async () => {
   if (!data.userGoals) {
     await chrome.storage.local.set({
       userGoals: [],                              // User's personal goals (up to 3)
-      platformLimits: DEFAULT_PLATFORM_LIMITS,   // Time limits per platform
-      sessions: [],                              // Session history array
+      platformLimits: getDefaultPlatformLimits(BUILT_IN_PLATFORMS), // Time limits per platform
       dailyUsage: {},                            // Today's usage stats
       preferences: {
         blurIntensity: 50,                       // Blur effect strength (0-100%)
         messageTone: 'encouraging',              // AI message tone
-        dailyLimit: 120                          // Total daily limit across all platforms
+        dailyLimit: 120,                         // Total daily limit across all platforms
+        idleThreshold: DEFAULT_IDLE_THRESHOLD,   // Minutes of inactivity before pausing
+        autopilotSensitivity: DEFAULT_AUTOPILOT_SENSITIVITY, // Rapid-scrolling check-ins
+        historyRetentionDays: DEFAULT_RETENTION_DAYS // Days of session history to keep (0 = forever)
       },
       currentSession: null                       // Active session data
     });
   }
-});
+  
+  // Move history saved before monthly chunks into the session store
+  await migrateLegacySessions();
+  
+  // Re-register custom domain content scripts after an update
+  await syncCustomPlatformScripts();
+  
+  // Alarms don't survive an update
+  await scheduleFocusWindows();
+  await scheduleWeeklyReport();
+  
+  // Fold the old per-platform skip maps into snoozes
+  await migrateLegacySkips();
+});
+
+/**
+ * Browser startup - a new browsing session ends session-only snoozes and
+ * any session the last one left open
+ */
+chrome.runtime.onStartup.addListener(async () => {
+  await clearSessionSnoozes(true);
+  
+  // A session still open now was cut short when the browser last closed
+  await recoverOrphanedSession(true);
+});
+
+// ============================================================================
+// TAB MONITORING
+// ============================================================================
+
+/**
+ * Listen for tab activation changes
+ * Triggered when user switches between tabs
+ */
+chrome.tabs.onActivated.addListener(async (activeInfo) => {
+  const tab = await chrome.tabs.get(activeInfo.tabId);
+  await handleTabChange(tab);
+});
+
+/**
+ * Listen for tab URL updates
+ * Triggered when a tab navigates to a new URL
+ */
+chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
+  // A tab that navigated away from the session's platform no longer counts
+  if (changeInfo.url) {
+    const data = await chrome.storage.local.get(['currentSession']);
+    if (data.currentSession && await detectPlatform(changeInfo.url) !== data.currentSession.platform) {
+      await setTabVisibility(tabId, null, false);
+    }
+  }
+  
+  if (changeInfo.status === 'complete' && tab.url) {
+    await handleTabChange(tab);
+  }
+});
+
+/**
+ * Listen for tabs being closed
+ * A closed tab can no longer keep the session clock running
+ */
+chrome.tabs.onRemoved.addListener(async (tabId) => {
+  await setTabVisibility(tabId, null, false);
+  
+  // Closing a platform's last tab ends its session-only snoozes
+  await clearSessionSnoozes();
+  
+  // A closed tab can't answer the nudge it was showing
+  await releaseTabNudges(tabId);
+});
+
+/**
+ * Handle tab changes - detect platform and prepare for session
+ * @param {chrome.tabs.Tab} tab - The tab that was activated or updated
+ */
+async function handleTabChange(tab) {
+  const platform = await detectPlatform(tab.url);
+  if (!platform) return;
+
+  const data = await chrome.storage.local.get(['currentSession', 'platformLimits']);
+  
+  // Check if we need to start a new session
+  if (!data.currentSession || data.currentSession.platform !== platform) {
+    // Reset daily usage if it's a new day
+    await resetDailyUsageIfNeeded();
+    
+    // Store platform info for content script to use
+    await chrome.storage.local.set({
+      currentPlatform: platform,
+      sessionStartTime: Date.now()
+    });
+  }
+}
+
+/**
+ * Detect which supported platform a URL belongs to
+ * @param {string} url - The URL to check
+ * @returns {string|null} - Platform name or null if not supported
+ */
+async function detectPlatform(url) {
+  if (!url) return null;
+  return findPlatformByUrl(url, await getPlatforms());
+}
+
+/**
+ * Send a message to every open tab on a supported platform
+ * Tabs without a content script (e.g. still loading) are silently skipped
+ * @param {Object} message - Message to deliver to content scripts
+ */
+async function broadcastToPlatformTabs(message) {
+  const [tabs, platforms] = await Promise.all([chrome.tabs.query({}), getPlatforms()]);
+  await Promise.all(tabs
+    .filter(tab => findPlatformByUrl(tab.url, platforms))
+    .map(tab => chrome.tabs.sendMessage(tab.id, message).catch(() => {})));
+}
+
+// ============================================================================
+// CUSTOM PLATFORMS
+// ============================================================================
+
+/**
+ * Register the content script on every custom domain the user granted access to
+ * Built-in platforms are injected through the manifest; custom domains are
+ * only known at runtime, so their scripts are (re)registered here whenever
+ * the customPlatforms list or the granted host permissions change
+ */
+async function syncCustomPlatformScripts() {
+  const data = await chrome.storage.local.get(['customPlatforms']);
+  const customPlatforms = data.customPlatforms || [];
+  
+  // Drop previous registrations so removed domains stop being injected
+  const registered = await chrome.scripting.getRegisteredContentScripts();
+  const staleIds = registered
+    .map(script => script.id)
+    .filter(id => id.startsWith(CUSTOM_PLATFORM_PREFIX));
+  if (staleIds.length > 0) {
+    await chrome.scripting.unregisterContentScripts({ ids: staleIds });
+  }
+  
+  const scripts = [];
+  for (const platform of customPlatforms) {
+    const origins = getPlatformOrigins(platform);
+    if (!await chrome.permissions.contains({ origins })) continue;
+    
+    scripts.push({
+      id: platform.id,
+      matches: origins,
+      js: ['platforms.js', 'safe-render.js', 'content.js'],
+      runAt: 'document_idle',
+      persistAcrossSessions: true
+    });
+  }
+  
+  if (scripts.length > 0) {
+    try {
+      await chrome.scripting.registerContentScripts(scripts);
+    } catch (error) {
+      console.error('Failed to register custom platform scripts:', error);
+    }
+  }
+}
+
+// Host permissions can be revoked from chrome://extensions at any time
+chrome.permissions.onAdded.addListener(syncCustomPlatformScripts);
+chrome.permissions.onRemoved.addListener(syncCustomPlatformScripts);
+
+/**
+ * content.css as text, for content scripts on custom domains
+ * web_accessible_resources only lists the built-in hosts (exposing it
+ * everywhere would let any site detect the extension), and the manifest
+ * can't grow as custom domains are granted, so those tabs get the
+ * stylesheet through here instead of a <link>
+ * @returns {Promise<string>}
+ */
+async function getUIStylesheet() {
+  try {
+    const response = await fetch(chrome.runtime.getURL('content.css'));
+    return await response.text();
+  } catch (error) {
+    console.error('Failed to read content.css:', error);
+    return '';
+  }
+}
+
+// ============================================================================
+// DAILY USAGE MANAGEMENT
+// ============================================================================
+
+/**
+ * Reset daily usage statistics if it's a new day
+ * Compares today's date with the last reset date
+ * Automatically resets at midnight
+ */
+async function resetDailyUsageIfNeeded() {
+  const data = await chrome.storage.local.get(['dailyUsage']);
+  const today = new Date().toDateString();
+  const lastReset = data.dailyUsage?.lastReset;
+  
+  // If the stored date doesn't match today, reset all counters
+  if (lastReset !== today) {
+    await chrome.storage.local.set({
+      dailyUsage: createDailyUsage(await getPlatforms())
+    });
+  }
+}
+
+/**
+ * Create an empty daily usage object with a zero counter per platform
+ * @param {Array} platforms - Platform entries from getPlatforms()
+ * @returns {Object} - Fresh daily usage
+ */
+function createDailyUsage(platforms) {
+  return {
+    lastReset: new Date().toDateString(),
+    ...Object.fromEntries(platforms.map(p => [p.id, 0])),
+    total: 0,
+    limitsReached: {},                           // Platform -> timestamp its daily limit was hit
+    dailyLimitAlerts: {}                         // Threshold -> timestamp it was broadcast
+  };
+}
+
+// ============================================================================
+// MESSAGE HANDLING
+// ============================================================================
+
+/**
+ * Central message handler for all communication from content scripts and popup
+ * Routes different action types to appropriate handler functions
+ * 
+ * Actions supported:
+ * - startSession: Begin a new timed session
+ * - endSession: End current session and save data
+ * - extendSession: Add minutes to the current session's intended time
+ * - setTabVisibility: Pause/resume the session clock as tabs hide, show or go idle
+ * - getSessionState: Get the current session and its active time
+ * - getAINudge: Get a reminder message (pooled AI nudge or local fallback)
+ * - updateDailyUsage: Update usage statistics
+ * - analyzeTrends: Get AI analysis of usage patterns
+ * - getPlatformBudget: Get today's usage vs configured limit for a platform
+ * - recordLimitReached: Mark a platform's daily limit as reached today
+ * - getDailyLimitStatus: Get combined usage vs preferences.dailyLimit
+ * - recordPurposeOutcome: Store whether a finished session's purpose was achieved
+ * - getAdaptiveSuggestions: Get limit tuning suggestions from recent usage
+ * - applySuggestion / dismissSuggestion: Answer a suggestion (recorded)
+ * - setSection: Report the site section a visible tab navigated to
+ * - addSessionMetrics: Add a tab's scroll/consumption counts to the session
+ * - logCheckIn: Record an autopilot check-in and the user's answer
+ * - testAIProvider: Send a minimal request to the configured AI provider
+ * - getFocusProfile: Get the focus window active right now (or null)
+ * - getSnoozes: Get active snoozes (all, or one platform's)
+ * - addSnooze / cancelSnooze: Start or end a snooze
+ * - claimNudge / releaseNudge: Take or give back a platform's nudge claim
+ * - getUIStylesheet: Get content.css as text (custom sites can't load it)
+ */
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.action === 'startSession') {
+    startSession(request.intent, request.platform, sender.tab?.id, request.visible, request.purpose, request.section)
+      .then(sendResponse);
+    return true; // Keep channel open for async response
+  }
+  
+  if (request.action === 'endSession') {
+    endSession(request.platform).then(sendResponse);
+    return true;
+  }
+  
+  if (request.action === 'extendSession') {
+    extendSession(request.minutes).then(sendResponse);
+    return true;
+  }
+  
+  if (request.action === 'setTabVisibility') {
+    setTabVisibility(sender.tab?.id, request.platform, request.visible, request.idle, request.idleSince, request.section)
+      .then(sendResponse);
+    return true;
+  }
+  
+  if (request.action === 'setSection') {
+    setSessionSection(request.platform, request.section).then(sendResponse);
+    return true;
+  }
+  
+  if (request.action === 'addSessionMetrics') {
+    addSessionMetrics(request.platform, request.metrics).then(sendResponse);
+    return true;
+  }
+  
+  if (request.action === 'logCheckIn') {
+    logCheckIn(request.platform, request.checkIn).then(sendResponse);
+    return true;
+  }
+  
+  if (request.action === 'getSessionState') {
+    getSessionState().then(sendResponse);
+    return true;
+  }
+  
+  if (request.action === 'getAINudge') {
+    getAINudge(request.intendedTime, request.actualTime, request.userGoal, request.tone, request.screens)
+      .then(sendResponse);
+    return true;
+  }
+  
+  if (request.action === 'updateDailyUsage') {
+    updateDailyUsage(request.platform, request.minutes).then(sendResponse);
+    return true;
+  }
+  
+  if (request.action === 'analyzeTrends') {
+    analyzeTrendsWithAI(request.data).then(sendResponse);
+    return true;
+  }
+  
+  if (request.action === 'testAIProvider') {
+    testAIProvider().then(sendResponse);
+    return true;
+  }
+  
+  if (request.action === 'getPlatformBudget') {
+    getPlatformBudget(request.platform).then(sendResponse);
+    return true;
+  }
+  
+  if (request.action === 'recordLimitReached') {
+    recordLimitReached(request.platform).then(sendResponse);
+    return true;
+  }
+  
+  if (request.action === 'getDailyLimitStatus') {
+    getDailyLimitStatus().then(sendResponse);
+    return true;
+  }
+  
+  if (request.action === 'getAdaptiveSuggestions') {
+    getAdaptiveSuggestions().then(sendResponse);
+    return true;
+  }
+  
+  if (request.action === 'applySuggestion' || request.action === 'dismissSuggestion') {
+    const decision = request.action === 'applySuggestion' ? 'applied' : 'dismissed';
+    decideSuggestion(request.platform, request.suggestedLimit, decision).then(sendResponse);
+    return true;
+  }
+  
+  if (request.action === 'getFocusProfile') {
+    getFocusProfile().then(sendResponse);
+    return true;
+  }
+  
+  if (request.action === 'getSnoozes') {
+    getActiveSnoozes(request.platform).then(sendResponse);
+    return true;
+  }
+  
+  if (request.action === 'addSnooze') {
+    addSnooze(request.platform, request.kind, request.duration).then(sendResponse);
+    return true;
+  }
+  
+  if (request.action === 'cancelSnooze') {
+    cancelSnooze(request).then(sendResponse);
+    return true;
+  }
+  
+  if (request.action === 'claimNudge') {
+    claimNudge(request.platform, sender.tab?.id).then(sendResponse);
+    return true;
+  }
+  
+  if (request.action === 'releaseNudge') {
+    releaseNudge(request.platform, sender.tab?.id).then(sendResponse);
+    return true;
+  }
+  
+  if (request.action === 'getUIStylesheet') {
+    getUIStylesheet().then(sendResponse);
+    return true;
+  }
+  
+  if (request.action === 'recordPurposeOutcome') {
+    recordPurposeOutcome(request.date, request.startTime, request.achieved).then(sendResponse);
+    return true;
+  }
+});
+
+// ============================================================================
+// SESSION MANAGEMENT
+// ============================================================================
+
+// Every read-modify-write of currentSession runs one after another: a tick
+// alarm racing a tab's visibility, metrics or check-in message would
+// otherwise overwrite the other's change. Tasks in the queue must not wait
+// on another queued task (closeSession is called from inside, never queued).
+let sessionQueue = Promise.resolve();
+
+/**
+ * Run a change to currentSession after any already in progress
+ * @param {Function} task - Reads, changes and stores currentSession
+ * @returns {Promise<*>} - The task's result
+ */
+function queueSessionUpdate(task) {
+  const run = sessionQueue.then(task);
+  sessionQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Start a new session with user's intended duration
+ * The clock starts running straight away if the requesting tab is visible
+ * 
+ * @param {number} intent - Intended session duration in minutes
+ * @param {string} platform - Platform id from the registry
+ * @param {number} tabId - Tab that started the session
+ * @param {boolean} visible - Whether that tab is currently visible
+ * @param {string} purpose - Optional free-text reason for the session
+ * @param {string} section - Site section the tab is on (platforms.js)
+ * @returns {Object} - Success status and the new session state
+ */
+async function startSession(intent, platform, tabId, visible, purpose, section) {
+  const now = Date.now();
+  const isVisible = visible !== false && tabId !== undefined;
+  const session = {
+    platform,
+    intent,
+    purpose: (purpose || '').trim().slice(0, MAX_PURPOSE_LENGTH),
+    startTime: now,
+    intendedTime: intent * 60000,             // Convert minutes to milliseconds
+    activeTime: 0,                            // Checkpointed active time in milliseconds
+    resumedAt: isVisible ? now : null,        // When the clock was last checkpointed while running
+    runningSince: isVisible ? now : null,     // When the clock last switched from paused to running
+    visibleTabs: isVisible ? [tabId] : [],    // Tabs of this platform currently visible
+    idleTabs: [],                             // Visible tabs with no recent page activity
+    systemIdle: false,                        // chrome.idle reports idle or locked
+    idleSpans: [],                            // { start, end, source } stretches paused as idle
+    section: section || null,                 // Section the user is currently in
+    sectionMark: 0,                           // Active time when the section time was last checkpointed
+    heartbeatAt: now,                         // When activeTime was last checkpointed by the tick
+    sections: {},                             // Active milliseconds per section id
+    metrics: { screens: 0, bursts: 0, items: 0 }, // Scrolled screens, fast-scroll bursts, items viewed
+    checkIns: []                              // Autopilot check-ins and their answers
+  };
+  
+  await queueSessionUpdate(async () => {
+    // Only one session runs at a time: one still open (on another platform,
+    // or left over in a tab that missed its end) is saved before it's replaced
+    const data = await chrome.storage.local.get(['currentSession', 'lastIntents']);
+    if (data.currentSession) {
+      await closeSession(data.currentSession, now);
+    }
+    
+    // Remember the intent so the next prompt on this platform highlights it
+    await chrome.storage.local.set({
+      currentSession: session,
+      lastIntents: { ...data.lastIntents, [platform]: intent }
+    });
+    await chrome.alarms.create(SESSION_TICK_ALARM, { periodInMinutes: SESSION_TICK_MINUTES });
+  });
+  
+  // Warm the nudge pool now so the first intervention is instant
+  prefetchNudges();
+  
+  const state = await broadcastSessionState();
+  return { success: true, ...state };
+}
+
+/**
+ * End current session and save to history
+ * Actual time comes from the background clock, not from any one tab
+ * @param {string} platform - Platform asking to end it; a session on another
+ *   platform is left running (omitted by the popup, which ends any session)
+ * @returns {Object} - Success status, the session record and any badges
+ *   it earned (milestones) for the completion message
+ */
+async function endSession(platform) {
+  const data = await chrome.storage.local.get(['preferences', 'sectionRules']);
+  
+  const ended = await queueSessionUpdate(async () => {
+    const { currentSession } = await chrome.storage.local.get(['currentSession']);
+    if (!currentSession) return { session: null };
+    if (platform && currentSession.platform !== platform) return null;
+    
+    const history = await loadMilestoneHistory();
+    return { history, session: await closeSession(currentSession, Date.now()) };
+  });
+  
+  if (!ended) {
+    return { success: false, error: 'No session running on this platform' };
+  }
+  
+  if (ended.session) {
+    const { history, session: sessionData } = ended;
+    
+    // Badges are worked out from history, so compare it without and with this session
+    const options = {
+      dailyLimit: data.preferences?.dailyLimit,
+      platforms: await getPlatforms(),
+      sectionRules: data.sectionRules
+    };
+    const milestones = getNewBadges(
+      computeAchievements(history, options),
+      computeAchievements([...history, sessionData], options)
+    );
+    
+    return { success: true, session: sessionData, milestones };
+  }
+  
+  return { success: true };
+}
+
+/**
+ * Save a session to history and clear it as the current session
+ * Only called from inside the session queue (queueSessionUpdate)
+ * @param {Object} session - Session from storage
+ * @param {number} now - When it ended (the last heartbeat for a recovered session)
+ * @param {boolean} recovered - Closed after a crash rather than by the user
+ * @returns {Object} - The session record
+ */
+async function closeSession(session, now, recovered = false) {
+  const data = await chrome.storage.local.get(['preferences', 'sectionRules']);
+  
+  const actualTime = getSessionElapsed(session, now);
+  
+  // Close any idle span still open when the session ends
+  const idleSpans = (session.idleSpans || []).map(span => ({ ...span, end: span.end || Math.max(span.start, now) }));
+  const idleTime = idleSpans.reduce((sum, span) => sum + (span.end - span.start), 0);
+  
+  // Credit the last section with the time since it was entered
+  checkpointSectionTime(session, now);
+  const sections = Object.fromEntries(
+    Object.entries(session.sections || {}).map(([id, ms]) => [id, Math.round(ms / 6000) / 10])
+  );
+  
+  // Sections like messaging can be excluded from daily usage in the Sections tab
+  const platformInfo = getPlatformInfo(session.platform, await getPlatforms());
+  const uncountedTime = getUncountedTime(platformInfo, session.sections, data.sectionRules);
+  const countedMinutes = Math.round(Math.max(0, actualTime - uncountedTime) / 60000);
+  
+  const metrics = session.metrics || {};
+  
+  // Create session record for history
+  const sessionData = {
+    platform: session.platform,
+    intendedTime: session.intent,
+    actualTime: Math.round(actualTime / 60000), // Convert milliseconds to minutes
+    date: new Date(now).toISOString(),
+    startTime: session.startTime,               // Identifies the record for follow-up updates
+    purpose: session.purpose || '',
+    achieved: null,                             // Answered from the completion modal
+    idleTime: Math.round(idleTime / 60000),     // Minutes paused as idle
+    idleSpans,
+    sections,                                   // Active minutes per section id (0.1 min)
+    screens: Math.round((metrics.screens || 0) * 10) / 10, // Viewport heights scrolled
+    scrollBursts: metrics.bursts || 0,          // Stretches of fast scrolling
+    itemsViewed: metrics.items || 0,            // Posts, videos and comments seen
+    checkIns: session.checkIns || [],           // { trigger, response, sensitivity, at, elapsed, section }
+    recovered                                   // Closed at its last heartbeat after a crash or browser exit
+  };
+  
+  await addSession(sessionData);
+  await chrome.storage.local.set({ currentSession: null });
+  await chrome.alarms.clear(SESSION_TICK_ALARM);
+  
+  // History is unbounded apart from the retention window in Preferences
+  await applySessionRetention(getRetentionDays(data.preferences));
+  
+  // Update daily usage statistics (a session recovered on a later day
+  // belongs to a day whose counters were already reset)
+  if (new Date(now).toDateString() === new Date().toDateString()) {
+    await updateDailyUsage(session.platform, countedMinutes, sections);
+    await checkDailyLimit();
+  }
+  
+  // Roll the finished session into the per-day history used by AI Insights
+  await recordDailyHistory(sessionData, session.startTime);
+  
+  // Let every tab of the platform and the popup stop their displays
+  await broadcastSessionState({ endedPlatform: session.platform });
+  
+  return sessionData;
+}
+
+/**
+ * Close a session left behind by a crash, a killed worker that never woke
+ * again, or the browser exiting mid-session
+ * The session is saved with the active time at its last heartbeat, so the
+ * time the browser wasn't running is never counted, and flagged recovered.
+ * 
+ * Runs in the session queue: startup can ask twice (worker load and
+ * onStartup), and a session must never be closed twice
+ * 
+ * @param {boolean} force - Treat any current session as orphaned (browser
+ *   startup: the tabs it was counting belong to the previous run)
+ * @returns {Object|null} - The recovered session record, or null
+ */
+function recoverOrphanedSession(force = false) {
+  return queueSessionUpdate(async () => {
+    const data = await chrome.storage.local.get(['currentSession']);
+    const session = data.currentSession;
+    if (!session) return null;
+    
+    const heartbeatAt = session.heartbeatAt || session.resumedAt || session.startTime;
+    if (!force && Date.now() - heartbeatAt < SESSION_HEARTBEAT_STALE_MS) return null;
+    
+    return closeSession(session, heartbeatAt, true);
+  });
+}
+
+/**
+ * Record whether a finished session's purpose was achieved
+ * Answers can be changed; the day's counters in weeklyHistory follow
+ * 
+ * @param {string} date - date of the session record
+ * @param {number} startTime - startTime of the session record
+ * @param {boolean} achieved - User's answer
+ * @returns {Object} - Success status
+ */
+async function recordPurposeOutcome(date, startTime, achieved) {
+  const previousRecord = await updateSession(date, startTime, { achieved: Boolean(achieved) });
+  if (!previousRecord || !previousRecord.purpose) return { success: false };
+  
+  const previous = previousRecord.achieved;
+  
+  // Keep the per-day purpose counters used by AI Insights in step
+  const data = await chrome.storage.local.get(['weeklyHistory']);
+  const weeklyHistory = data.weeklyHistory || [];
+  const dayStart = new Date(date);
+  dayStart.setHours(0, 0, 0, 0);
+  const dayData = weeklyHistory.find(day => day.date === dayStart.toISOString());
+  if (dayData) {
+    if (previous === null || previous === undefined) {
+      dayData.purposeSessions = (dayData.purposeSessions || 0) + 1;
+    }
+    dayData.purposeAchieved = (dayData.purposeAchieved || 0)
+      + (achieved ? 1 : 0) - (previous ? 1 : 0);
+    await chrome.storage.local.set({ weeklyHistory });
+  }
+  
+  return { success: true };
+}
+
+/**
+ * Session history retention from preferences
+ * @param {Object} preferences - Stored preferences
+ * @returns {number} - Days to keep (0 = forever)
+ */
+function getRetentionDays(preferences) {
+  const days = preferences?.historyRetentionDays;
+  return days === undefined ? DEFAULT_RETENTION_DAYS : Number(days) || 0;
+}
+
+/**
+ * Extend the current session's intended time
+ * @param {number} minutes - Minutes to add
+ * @returns {Object} - Updated session state
+ */
+async function extendSession(minutes) {
+  const extended = await queueSessionUpdate(async () => {
+    const data = await chrome.storage.local.get(['currentSession']);
+    const session = data.currentSession;
+    if (!session) return false;
+    
+    session.intendedTime += minutes * 60000;
+    await chrome.storage.local.set({ currentSession: session });
+    return true;
+  });
+  return extended ? broadcastSessionState() : buildSessionState(null);
+}
+
+// ============================================================================
+// SESSION CLOCK
+// ============================================================================
+
+/**
+ * Active time of a session: checkpointed time plus the running stretch
+ * @param {Object} session - Current session from storage
+ * @param {number} now - Timestamp to measure up to
+ * @returns {number} - Active time in milliseconds
+ */
+function getSessionElapsed(session, now = Date.now()) {
+  if (!session) return 0;
+  const running = session.resumedAt ? now - session.resumedAt : 0;
+  return (session.activeTime || 0) + Math.max(0, running);
+}
+
+/**
+ * Build the state object sent to content scripts and the popup
+ * @param {Object|null} session - Current session from storage
+ * @returns {Object} - { session, elapsed, running }
+ */
+function buildSessionState(session) {
+  return {
+    session: session || null,
+    elapsed: getSessionElapsed(session),
+    running: !!(session && session.resumedAt)
+  };
+}
+
+/**
+ * Get the current session state
+ * @returns {Object} - { session, elapsed, running }
+ */
+async function getSessionState() {
+  const data = await chrome.storage.local.get(['currentSession']);
+  return buildSessionState(data.currentSession);
+}
+
+/**
+ * Send the current session state to every platform tab and extension page
+ * @param {Object} extra - Additional fields to include in the message
+ * @param {string} action - Message action ('sessionState' or 'sessionTick')
+ * @returns {Object} - The state that was sent
+ */
+async function broadcastSessionState(extra = {}, action = 'sessionState') {
+  const state = await getSessionState();
+  const message = { action, ...state, ...extra };
+  
+  await broadcastToPlatformTabs(message);
+  // The popup and options page only receive runtime messages
+  chrome.runtime.sendMessage(message).catch(() => {});
+  
+  return state;
+}
+
+/**
+ * Switch the clock between running and paused to match the session's tabs
+ * The clock runs while at least one tab of the platform is visible and not
+ * idle, and the system is not idle. Idle stretches are recorded as spans.
+ * 
+ * @param {Object} session - Current session (modified in place)
+ * @param {number} now - Current timestamp
+ * @param {number} idleSince - When inactivity began, so the unattended time
+ *                             before idle was detected is not counted
+ * @returns {boolean} - Whether the clock switched between running and paused
+ */
+function updateSessionClock(session, now, idleSince = now) {
+  const visibleTabs = session.visibleTabs || [];
+  const idleTabs = new Set(session.idleTabs || []);
+  // Idle only matters while the platform is on screen; hidden is just paused
+  const idle = visibleTabs.length > 0 &&
+    (!!session.systemIdle || visibleTabs.every(tabId => idleTabs.has(tabId)));
+  const shouldRun = visibleTabs.length > 0 && !idle;
+  const wasRunning = !!session.resumedAt;
+  
+  if (shouldRun && !wasRunning) {
+    session.resumedAt = now;
+    session.runningSince = now;
+  } else if (!shouldRun && wasRunning) {
+    // Give back the unattended minutes, but never more than the clock ran
+    const unattended = idle ? Math.min(now - idleSince, now - (session.runningSince || now)) : 0;
+    session.activeTime = Math.max(0, getSessionElapsed(session, now) - Math.max(0, unattended));
+    session.resumedAt = null;
+    session.runningSince = null;
+  }
+  
+  session.idleSpans = session.idleSpans || [];
+  const openSpan = session.idleSpans.find(span => !span.end);
+  if (idle && !openSpan) {
+    session.idleSpans.push({
+      start: Math.min(idleSince, now),
+      end: null,
+      source: session.systemIdle ? 'system' : 'page'
+    });
+  } else if (!idle && openSpan) {
+    openSpan.end = now;
+  }
+  
+  return wasRunning !== shouldRun;
+}
+
+/**
+ * Track whether a tab of the session's platform is visible and active
+ * Two open tabs never double-count and hidden or idle tabs never count
+ * 
+ * @param {number} tabId - Tab reporting its state
+ * @param {string|null} platform - Tab's platform (null when the tab is gone)
+ * @param {boolean} visible - Whether the tab is visible
+ * @param {boolean} idle - Whether the tab has had no activity for the idle threshold
+ * @param {number} idleSince - Timestamp of the tab's last activity
+ * @param {string} section - Site section the tab is on, if known
+ * @returns {Object} - Current session state
+ */
+async function setTabVisibility(tabId, platform, visible, idle = false, idleSince, section) {
+  const { session, clockChanged } = await queueSessionUpdate(async () => {
+    const data = await chrome.storage.local.get(['currentSession']);
+    const session = data.currentSession;
+    
+    if (!session || tabId === undefined) return { session };
+    if (platform && platform !== session.platform) return { session };
+    
+    // The tab coming into view decides which section the time goes to
+    const sectionChanged = visible && section && section !== session.section;
+    if (sectionChanged) {
+      switchSessionSection(session, section, Date.now());
+    }
+    
+    const visibleTabs = new Set(session.visibleTabs || []);
+    const idleTabs = new Set(session.idleTabs || []);
+    const wasVisible = visibleTabs.has(tabId);
+    const wasIdle = idleTabs.has(tabId);
+    
+    if (visible && platform) {
+      visibleTabs.add(tabId);
+    } else {
+      visibleTabs.delete(tabId);
+    }
+    if (idle && visibleTabs.has(tabId)) {
+      idleTabs.add(tabId);
+    } else {
+      idleTabs.delete(tabId);
+    }
+    
+    // Nothing changed for this tab
+    if (wasVisible === visibleTabs.has(tabId) && wasIdle === idleTabs.has(tabId)) {
+      if (sectionChanged) {
+        await chrome.storage.local.set({ currentSession: session });
+      }
+      return { session };
+    }
+    
+    const now = Date.now();
+    session.visibleTabs = [...visibleTabs];
+    session.idleTabs = [...idleTabs];
+    const clockChanged = updateSessionClock(session, now, idleSince || now);
+    
+    await chrome.storage.local.set({ currentSession: session });
+    return { session, clockChanged };
+  });
+  
+  // Only broadcast when the clock switched between running and paused
+  if (clockChanged) {
+    return broadcastSessionState();
+  }
+  return buildSessionState(session);
+}
+
+/**
+ * Add the active time since the last checkpoint to the current section
+ * Works from the session clock, so paused and idle time is never credited
+ * 
+ * @param {Object} session - Current session (modified in place)
+ * @param {number} now - Current timestamp
+ */
+function checkpointSectionTime(session, now) {
+  const elapsed = getSessionElapsed(session, now);
+  if (session.section) {
+    session.sections = session.sections || {};
+    // Idle rollback can move the clock backwards; never credit negative time
+    const spent = Math.max(0, elapsed - (session.sectionMark || 0));
+    session.sections[session.section] = (session.sections[session.section] || 0) + spent;
+  }
+  session.sectionMark = elapsed;
+}
+
+/**
+ * Move the session into another section, crediting the one being left
+ * @param {Object} session - Current session (modified in place)
+ * @param {string} section - Section id being entered
+ * @param {number} now - Current timestamp
+ */
+function switchSessionSection(session, section, now) {
+  checkpointSectionTime(session, now);
+  session.section = section;
+}
+
+/**
+ * Record an in-site navigation (SPA route change) reported by a visible tab
+ * @param {string} platform - Tab's platform
+ * @param {string} section - Section id the tab navigated to
+ * @returns {Object} - Session state, or { success: false } if nothing changed
+ */
+async function setSessionSection(platform, section) {
+  const switched = await queueSessionUpdate(async () => {
+    const data = await chrome.storage.local.get(['currentSession']);
+    const session = data.currentSession;
+    
+    if (!session || !section || platform !== session.platform || section === session.section) {
+      return false;
+    }
+    
+    switchSessionSection(session, section, Date.now());
+    await chrome.storage.local.set({ currentSession: session });
+    return true;
+  });
+  if (!switched) return { success: false };
+  
+  // Tabs evaluate section limits from the session's per-section times
+  return broadcastSessionState();
+}
+
+/**
+ * Add scroll and consumption counts reported by one tab of the platform
+ * Tabs send what they measured since their last report
+ * 
+ * @param {string} platform - Tab's platform
+ * @param {Object} metrics - { screens, bursts, items }
+ * @returns {Object} - { success, metrics } with the session's new totals
+ */
+function addSessionMetrics(platform, metrics) {
+  return queueSessionUpdate(async () => {
+    const data = await chrome.storage.local.get(['currentSession']);
+    const session = data.currentSession;
+    
+    if (!session || platform !== session.platform || !metrics) {
+      return { success: false };
+    }
+    
+    const totals = session.metrics || { screens: 0, bursts: 0, items: 0 };
+    session.metrics = {
+      screens: totals.screens + (Number(metrics.screens) || 0),
+      bursts: totals.bursts + (Number(metrics.bursts) || 0),
+      items: totals.items + (Number(metrics.items) || 0)
+    };
+    
+    await chrome.storage.local.set({ currentSession: session });
+    return { success: true, metrics: session.metrics };
+  });
+}
+
+/**
+ * Record an autopilot check-in shown by a tab and how the user answered
+ * @param {string} platform - Tab's platform
+ * @param {Object} checkIn - { trigger, response, sensitivity, at, elapsed, section }
+ * @returns {Object} - Success status
+ */
+function logCheckIn(platform, checkIn) {
+  return queueSessionUpdate(async () => {
+    const data = await chrome.storage.local.get(['currentSession']);
+    const session = data.currentSession;
+    
+    if (!session || platform !== session.platform || !checkIn) {
+      return { success: false };
+    }
+    
+    session.checkIns = [...(session.checkIns || []), checkIn].slice(-MAX_SESSION_CHECK_INS);
+    await chrome.storage.local.set({ currentSession: session });
+    return { success: true };
+  });
+}
+
+/**
+ * Pause or resume the session clock on system idle/lock (chrome.idle)
+ * @param {string} idleState - 'active', 'idle' or 'locked'
+ */
+async function setSystemIdle(idleState) {
+  const clockChanged = await queueSessionUpdate(async () => {
+    const data = await chrome.storage.local.get(['currentSession', 'preferences']);
+    const session = data.currentSession;
+    const isIdle = idleState !== 'active';
+    
+    if (!session || !!session.systemIdle === isIdle) return false;
+    
+    const now = Date.now();
+    // 'idle' is reported after the threshold has passed; 'locked' is immediate
+    const threshold = Number(data.preferences?.idleThreshold) || DEFAULT_IDLE_THRESHOLD;
+    const idleSince = idleState === 'idle' ? now - threshold * 60000 : now;
+    
+    session.systemIdle = isIdle;
+    const changed = updateSessionClock(session, now, idleSince);
+    await chrome.storage.local.set({ currentSession: session });
+    return changed;
+  });
+  
+  if (clockChanged) {
+    await broadcastSessionState();
+  }
+}
+
+/**
+ * Apply the idle threshold from preferences to chrome.idle
+ * chrome.idle accepts a minimum of 15 seconds
+ */
+async function applyIdleDetectionInterval() {
+  const data = await chrome.storage.local.get(['preferences']);
+  const threshold = Number(data.preferences?.idleThreshold) || DEFAULT_IDLE_THRESHOLD;
+  chrome.idle.setDetectionInterval(Math.max(15, Math.round(threshold * 60)));
+}
+
+/**
+ * Checkpoint the running clock into storage and broadcast a tick
+ * The checkpoint doubles as the session's heartbeat (heartbeatAt)
+ * Also drops tabs that no longer exist (e.g. after the worker was asleep)
+ */
+async function tickSessionClock() {
+  const ticked = await queueSessionUpdate(async () => {
+    const data = await chrome.storage.local.get(['currentSession']);
+    const session = data.currentSession;
+    
+    if (!session) {
+      await chrome.alarms.clear(SESSION_TICK_ALARM);
+      return false;
+    }
+    
+    const now = Date.now();
+    
+    // No tick for a long while: the browser wasn't running, so close the
+    // session at its last heartbeat instead of counting the gap
+    if (now - (session.heartbeatAt || now) >= SESSION_HEARTBEAT_STALE_MS) {
+      await closeSession(session, session.heartbeatAt, true);
+      return false;
+    }
+    
+    const openTabs = new Set((await chrome.tabs.query({})).map(tab => tab.id));
+    session.visibleTabs = (session.visibleTabs || []).filter(tabId => openTabs.has(tabId));
+    session.idleTabs = (session.idleTabs || []).filter(tabId => openTabs.has(tabId));
+    
+    if (session.resumedAt) {
+      session.activeTime = getSessionElapsed(session, now);
+      session.resumedAt = now;
+    }
+    session.heartbeatAt = now;
+    updateSessionClock(session, now);
+    
+    await chrome.storage.local.set({ currentSession: session });
+    return true;
+  });
+  if (!ticked) return;
+  
+  await broadcastSessionState({}, 'sessionTick');
+  await checkDailyLimit();
+  
+  // Refill anything served since the last tick (not awaited: may be slow)
+  prefetchNudges();
+}
+
+/**
+ * Session clock alarm handler
+ */
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name === SESSION_TICK_ALARM) {
+    await tickSessionClock();
+  }
+  if (alarm.name === FOCUS_WINDOW_ALARM) {
+    await scheduleFocusWindows();
+  }
+  if (alarm.name === WEEKLY_REPORT_ALARM) {
+    await flagWeeklyReport();
+  }
+});
+
+/**
+ * System idle handler - pauses the clock when the user steps away
+ */
+chrome.idle.onStateChanged.addListener(async (idleState) => {
+  await setSystemIdle(idleState);
+});
+
+/**
+ * Keep the chrome.idle threshold in sync with the Preferences tab
+ */
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes.preferences) {
+    applyIdleDetectionInterval();
+    
+    // A shorter retention window applies straight away
+    const oldRetention = getRetentionDays(changes.preferences.oldValue);
+    const newRetention = getRetentionDays(changes.preferences.newValue);
+    if (newRetention !== oldRetention) {
+      applySessionRetention(newRetention);
+    }
+  }
+  if (areaName === 'local' && changes.customPlatforms) {
+    syncCustomPlatformScripts();
+  }
+  if (areaName === 'local' && changes.focusWindows) {
+    // An edited window may change what tabs should apply right now
+    scheduleFocusWindows(true);
+  }
+  if (areaName === 'local' && (changes.aiProvider || changes.apiKey)) {
+    // Nudges from the old provider no longer apply
+    chrome.storage.local.remove('nudgePool');
+  }
+});
+
+applyIdleDetectionInterval();
+scheduleFocusWindows();
+scheduleWeeklyReport();
+recoverOrphanedSession();
+
+/**
+ * Update daily usage statistics for a platform
+ * @param {string} platform - Platform name
+ * @param {number} minutes - Minutes to add (sections that don't count left out)
+ * @param {Object} sections - Minutes per section id from the finished session
+ * @returns {Object} - Updated daily usage object
+ */
+async function updateDailyUsage(platform, minutes, sections = {}) {
+  await resetDailyUsageIfNeeded();
+  const platforms = await getPlatforms();
+  const data = await chrome.storage.local.get(['dailyUsage']);
+  const dailyUsage = data.dailyUsage || createDailyUsage(platforms);
+  
+  // Add minutes to specific platform and recalculate total
+  dailyUsage[platform] = (dailyUsage[platform] || 0) + minutes;
+  dailyUsage.total = sumPlatformUsage(dailyUsage, platforms);
+  
+  // Per-section minutes feed the section limits (counted or not)
+  dailyUsage.sections = dailyUsage.sections || {};
+  const platformSections = dailyUsage.sections[platform] || {};
+  Object.entries(sections).forEach(([section, sectionMinutes]) => {
+    platformSections[section] = Math.round(((platformSections[section] || 0) + sectionMinutes) * 10) / 10;
+  });
+  dailyUsage.sections[platform] = platformSections;
+  
+  await chrome.storage.local.set({ dailyUsage });
+  return dailyUsage;
+}
+
+// ============================================================================
+// PER-PLATFORM DAILY BUDGET
+// ============================================================================
+
+/**
+ * Get a platform's daily budget from the Limits tab alongside today's usage
+ * Usage only covers finished sessions; content.js adds the in-flight session
+ * 
+ * @param {string} platform - Platform name
+ * @returns {Object} - { limit, used, limitReachedAt, sections } with times in minutes
+ */
+async function getPlatformBudget(platform) {
+  await resetDailyUsageIfNeeded();
+  const data = await chrome.storage.local.get(['dailyUsage', 'platformLimits', 'focusWindows']);
+  const defaults = getDefaultPlatformLimits(await getPlatforms());
+  const limits = data.platformLimits || defaults;
+  const dailyUsage = data.dailyUsage || {};
+  const focusWindow = getActiveFocusWindow(data.focusWindows);
+  
+  return {
+    limit: Number(focusWindow?.limit) || Number(limits[platform]) || defaults[platform] || 0,
+    used: Number(dailyUsage[platform]) || 0,
+    limitReachedAt: dailyUsage.limitsReached?.[platform] || null,
+    sections: dailyUsage.sections?.[platform] || {}   // Minutes per section today
+  };
+}
+
+/**
+ * Record that a platform passed its daily limit today
+ * Stored on dailyUsage so it resets with the rest of the daily counters
+ * 
+ * @param {string} platform - Platform name
+ * @returns {Object} - Success status
+ */
+async function recordLimitReached(platform) {
+  await resetDailyUsageIfNeeded();
+  const data = await chrome.storage.local.get(['dailyUsage']);
+  const dailyUsage = data.dailyUsage;
+  
+  dailyUsage.limitsReached = dailyUsage.limitsReached || {};
+  if (!dailyUsage.limitsReached[platform]) {
+    dailyUsage.limitsReached[platform] = Date.now();
+    await chrome.storage.local.set({ dailyUsage });
+  }
+  
+  return { success: true };
+}
+
+// ============================================================================
+// FOCUS WINDOWS
+// ============================================================================
+
+/**
+ * The focus window active right now, as content scripts apply it
+ * @returns {Object|null} - Focus window (see focus-windows.js) or null
+ */
+async function getFocusProfile() {
+  const data = await chrome.storage.local.get(['focusWindows']);
+  return getActiveFocusWindow(data.focusWindows);
+}
+
+/**
+ * Work out the active focus window, tell tabs if it changed, and set the
+ * alarm for the next start or end time
+ * @param {boolean} force - Broadcast even if the same window is still active
+ */
+async function scheduleFocusWindows(force = false) {
+  const data = await chrome.storage.local.get(['focusWindows', 'activeFocusWindow']);
+  const now = new Date();
+  const profile = getActiveFocusWindow(data.focusWindows, now);
+  const activeId = profile ? profile.id : null;
+  
+  if (force || activeId !== (data.activeFocusWindow ?? null)) {
+    await chrome.storage.local.set({ activeFocusWindow: activeId });
+    await broadcastToPlatformTabs({ action: 'focusProfile', profile });
+  }
+  
+  const next = getNextFocusWindowChange(data.focusWindows, now);
+  if (next) {
+    await chrome.alarms.create(FOCUS_WINDOW_ALARM, { when: next.getTime() });
+  } else {
+    await chrome.alarms.clear(FOCUS_WINDOW_ALARM);
+  }
+}
+
+// ============================================================================
+// SNOOZES
+// ============================================================================
+
+/**
+ * When a snooze started now should end
+ * @param {number|string} duration - Minutes, 'today' (midnight) or 'session'
+ * @param {number} now - Current timestamp
+ * @returns {number} - Timestamp
+ */
+function getSnoozeEnd(duration, now) {
+  if (duration === 'today') {
+    const midnight = new Date(now);
+    midnight.setHours(24, 0, 0, 0);
+    return midnight.getTime();
+  }
+  if (duration === 'session') {
+    return now + SESSION_SNOOZE_MAX_MS;
+  }
+  return now + (Number(duration) || 0) * 60000;
+}
+
+/**
+ * Read snoozes, dropping any that have ended
+ * @returns {Array} - [{ id, platform, kind, scope, until, createdAt }]
+ */
+async function readSnoozes() {
+  const data = await chrome.storage.local.get(['snoozes']);
+  const snoozes = data.snoozes || [];
+  const active = snoozes.filter(snooze => snooze.until > Date.now());
+  
+  if (active.length !== snoozes.length) {
+    await chrome.storage.local.set({ snoozes: active });
+  }
+  return active;
+}
+
+/**
+ * Active snoozes, for one platform or all of them
+ * @param {string} [platform] - Platform id
+ * @returns {Array}
+ */
+async function getActiveSnoozes(platform) {
+  const snoozes = await readSnoozes();
+  return platform ? snoozes.filter(snooze => snooze.platform === platform) : snoozes;
+}
+
+/**
+ * Tell a platform's tabs its snoozes changed
+ * @param {string} platform - Platform id
+ */
+async function broadcastSnoozes(platform) {
+  await broadcastToPlatformTabs({
+    action: 'snoozeState',
+    platform,
+    snoozes: await getActiveSnoozes(platform)
+  });
+}
+
+/**
+ * Start a snooze, replacing any of the same kind on the platform
+ * @param {string} platform - Platform id
+ * @param {string} kind - One of SNOOZE_KINDS
+ * @param {number|string} duration - Minutes, 'today' or 'session'
+ * @returns {Object} - { success, snoozes } with the platform's snoozes
+ */
+async function addSnooze(platform, kind, duration) {
+  if (!platform || !SNOOZE_KINDS.includes(kind)) {
+    return { success: false };
+  }
+  
+  const now = Date.now();
+  const snoozes = (await readSnoozes())
+    .filter(snooze => !(snooze.platform === platform && snooze.kind === kind));
+  snoozes.push({
+    id: `${platform}-${kind}-${now}`,
+    platform,
+    kind,
+    scope: typeof duration === 'string' ? duration : 'timed',
+    until: getSnoozeEnd(duration, now),
+    createdAt: now
+  });
+  
+  await chrome.storage.local.set({ snoozes });
+  await broadcastSnoozes(platform);
+  return { success: true, snoozes: snoozes.filter(snooze => snooze.platform === platform) };
+}
+
+/**
+ * End snoozes early, by id or by platform and kind
+ * @param {Object} filter - { id } or { platform, kind }
+ * @returns {Object} - { success, snoozes } with every remaining snooze
+ */
+async function cancelSnooze({ id, platform, kind }) {
+  const snoozes = await readSnoozes();
+  const cancelled = snoozes.filter(snooze => id
+    ? snooze.id === id
+    : snooze.platform === platform && snooze.kind === kind);
+  if (cancelled.length === 0) {
+    return { success: false, snoozes };
+  }
+  
+  const remaining = snoozes.filter(snooze => !cancelled.includes(snooze));
+  await chrome.storage.local.set({ snoozes: remaining });
+  await Promise.all([...new Set(cancelled.map(snooze => snooze.platform))].map(broadcastSnoozes));
+  return { success: true, snoozes: remaining };
+}
+
+/**
+ * End session-only snoozes for platforms with no open tab
+ * @param {boolean} all - End every session-only snooze (browser startup,
+ *   where restored tabs don't continue the old browsing session)
+ */
+async function clearSessionSnoozes(all = false) {
+  const snoozes = await readSnoozes();
+  if (!snoozes.some(snooze => snooze.scope === 'session')) return;
+  
+  const [tabs, platforms] = await Promise.all([chrome.tabs.query({}), getPlatforms()]);
+  const openPlatforms = new Set(tabs.map(tab => findPlatformByUrl(tab.url, platforms)).filter(Boolean));
+  const ended = snoozes.filter(snooze => snooze.scope === 'session' && (all || !openPlatforms.has(snooze.platform)));
+  if (ended.length === 0) return;
+  
+  await chrome.storage.local.set({ snoozes: snoozes.filter(snooze => !ended.includes(snooze)) });
+}
+
+/**
+ * Turn the old skipUntil / blurSkipUntil maps into snoozes
+ * blurSkipUntil mixed "remove blur" with "disable for today/session", so
+ * entries ending at midnight or marked session-only become 'all' snoozes
+ */
+async function migrateLegacySkips() {
+  const data = await chrome.storage.local.get(['skipUntil', 'blurSkipUntil', 'snoozes']);
+  if (!data.skipUntil && !data.blurSkipUntil) return;
+  
+  const now = Date.now();
+  const snoozes = data.snoozes || [];
+  const add = (platform, kind, scope, until) => {
+    if (until > now) {
+      snoozes.push({ id: `${platform}-${kind}-${now}`, platform, kind, scope, until, createdAt: now });
+    }
+  };
+  
+  Object.entries(data.skipUntil || {}).forEach(([platform, until]) => add(platform, 'prompt', 'timed', until));
+  
+  const blurSkips = data.blurSkipUntil || {};
+  Object.entries(blurSkips)
+    .filter(([key]) => !key.endsWith('_sessionOnly'))
+    .forEach(([platform, until]) => {
+      const end = new Date(until);
+      if (blurSkips[`${platform}_sessionOnly`]) {
+        add(platform, 'all', 'session', until);
+      } else if (end.getHours() === 0 && end.getMinutes() === 0) {
+        add(platform, 'all', 'today', until);
+      } else {
+        add(platform, 'blur', 'timed', until);
+      }
+    });
+  
+  await chrome.storage.local.set({ snoozes });
+  await chrome.storage.local.remove(['skipUntil', 'blurSkipUntil']);
+}
+
+// ============================================================================
+// NUDGE CLAIMS
+// ============================================================================
+
+// Only one tab per platform shows a nudge modal at a time. A tab claims the
+// platform before showing one and releases it when the modal closes.
+// Claims are stored as nudgeClaims { platformId: tabId } so they survive the
+// service worker restarting, and run one at a time so two tabs asking at
+// once can't both be granted.
+let nudgeClaimQueue = Promise.resolve();
+
+/**
+ * Run a change to nudgeClaims after any already in progress
+ * @param {Function} change - Receives the claims, returns the result
+ * @returns {Promise<*>} - The change's result
+ */
+function updateNudgeClaims(change) {
+  const run = nudgeClaimQueue.then(async () => {
+    const data = await chrome.storage.local.get(['nudgeClaims']);
+    const claims = data.nudgeClaims || {};
+    const result = await change(claims);
+    await chrome.storage.local.set({ nudgeClaims: claims });
+    return result;
+  });
+  nudgeClaimQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Whether a tab is still open on a platform
+ * A tab that navigated away or was closed without releasing loses its claim
+ * @param {number} tabId - Tab holding a claim
+ * @param {string} platform - Platform id
+ * @returns {boolean}
+ */
+async function isTabOnPlatform(tabId, platform) {
+  try {
+    const tab = await chrome.tabs.get(tabId);
+    return findPlatformByUrl(tab.url, await getPlatforms()) === platform;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Give a tab the platform's nudge claim unless another live tab holds it
+ * @param {string} platform - Platform id
+ * @param {number} tabId - Asking tab
+ * @returns {Object} - { granted }
+ */
+async function claimNudge(platform, tabId) {
+  if (!platform || tabId === undefined) {
+    return { granted: false };
+  }
+  
+  return updateNudgeClaims(async (claims) => {
+    const holder = claims[platform];
+    if (holder !== undefined && holder !== tabId && await isTabOnPlatform(holder, platform)) {
+      return { granted: false };
+    }
+    claims[platform] = tabId;
+    return { granted: true };
+  });
+}
+
+/**
+ * Give back a platform's nudge claim (ignored unless the tab holds it)
+ * @param {string} platform - Platform id
+ * @param {number} tabId - Releasing tab
+ * @returns {Object} - { success }
+ */
+async function releaseNudge(platform, tabId) {
+  return updateNudgeClaims((claims) => {
+    if (claims[platform] !== tabId) {
+      return { success: false };
+    }
+    delete claims[platform];
+    return { success: true };
+  });
+}
+
+/**
+ * Drop every claim a closed tab held
+ * @param {number} tabId - Closed tab
+ */
+async function releaseTabNudges(tabId) {
+  await updateNudgeClaims((claims) => {
+    Object.keys(claims)
+      .filter(platform => claims[platform] === tabId)
+      .forEach(platform => delete claims[platform]);
+  });
+}
+
+// ============================================================================
+// CROSS-PLATFORM DAILY LIMIT
+// ============================================================================
+
+/**
+ * Compare today's combined usage (finished + in-flight sessions) with
+ * preferences.dailyLimit
+ * 
+ * @returns {Object} - { used, limit, percent, level } where level is the
+ *                     highest threshold reached (0 when under 80%)
+ */
+async function getDailyLimitStatus() {
+  await resetDailyUsageIfNeeded();
+  const data = await chrome.storage.local.get(['dailyUsage', 'preferences', 'currentSession', 'sectionRules']);
+  const dailyUsage = data.dailyUsage || {};
+  const limit = Number(data.preferences?.dailyLimit) || 120;
+  
+  // The running session is not in dailyUsage yet; read it off the clock,
+  // leaving out sections that don't count toward daily usage
+  const session = data.currentSession;
+  let inFlight = 0;
+  if (session) {
+    const elapsed = getSessionElapsed(session);
+    const platformInfo = getPlatformInfo(session.platform, await getPlatforms());
+    const sectionTimes = getSessionSectionTimes(session, elapsed);
+    inFlight = Math.max(0, elapsed - getUncountedTime(platformInfo, sectionTimes, data.sectionRules)) / 60000;
+  }
+  const used = (Number(dailyUsage.total) || 0) + inFlight;
+  const percent = (used / limit) * 100;
+  const level = DAILY_LIMIT_THRESHOLDS.filter(threshold => percent >= threshold).pop() || 0;
+  
+  return {
+    used: Math.round(used),
+    limit,
+    percent: Math.round(percent),
+    level
+  };
+}
+
+/**
+ * Broadcast a threshold to every open content script the first time it is
+ * crossed today
+ * @returns {Object} - Current daily limit status
+ */
+async function checkDailyLimit() {
+  const status = await getDailyLimitStatus();
+  if (!status.level) return status;
+  
+  const data = await chrome.storage.local.get(['dailyUsage']);
+  const dailyUsage = data.dailyUsage;
+  dailyUsage.dailyLimitAlerts = dailyUsage.dailyLimitAlerts || {};
+  
+  if (!dailyUsage.dailyLimitAlerts[status.level]) {
+    dailyUsage.dailyLimitAlerts[status.level] = Date.now();
+    await chrome.storage.local.set({ dailyUsage });
+    await broadcastToPlatformTabs({ action: 'dailyLimitThreshold', ...status });
+  }
+  
+  return status;
+}
 
 // ============================================================================
-// TAB MONITORING
+// WEEKLY REPORT
 // ============================================================================
 
 /**
- * Listen for tab activation changes
- * Triggered when user switches between tabs
- */
-chrome.tabs.onActivated.addListener(async (activeInfo) => {
-  const tab = await chrome.tabs.get(activeInfo.tabId);
-  await handleTabChange(tab);
-});
-
-/**
- * Listen for tab URL updates
- * Triggered when a tab navigates to a new URL
+ * Set the alarm for the start of next Monday, unless one is already set
+ * An alarm missed while the browser was closed fires on the next start, so
+ * an existing one is left alone rather than pushed to the following week
  */
-chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
-  if (changeInfo.status === 'complete' && tab.url) {
-    await handleTabChange(tab);
-  }
-});
+async function scheduleWeeklyReport() {
+  if (await chrome.alarms.get(WEEKLY_REPORT_ALARM)) return;
+  
+  const nextMonday = getWeekStart(new Date());
+  nextMonday.setDate(nextMonday.getDate() + 7);
+  await chrome.alarms.create(WEEKLY_REPORT_ALARM, { when: nextMonday.getTime() });
+}
 
 /**
- * Handle tab changes - detect platform and prepare for session
- * @param {chrome.tabs.Tab} tab - The tab that was activated or updated
+ * Flag last week's report as ready for the popup, then set next week's alarm
+ * Weeks without any sessions are not flagged
  */
-async function handleTabChange(tab) {
-  const platform = detectPlatform(tab.url);
-  if (!platform) return;
-
-  const data = await chrome.storage.local.get(['currentSession', 'platformLimits']);
+async function flagWeeklyReport() {
+  const thisWeek = getWeekStart(new Date());
+  const lastWeek = new Date(thisWeek);
+  lastWeek.setDate(lastWeek.getDate() - 7);
   
-  // Check if we need to start a new session
-  if (!data.currentSession || data.currentSession.platform !== platform) {
-    // Reset daily usage if it's a new day
-    await resetDailyUsageIfNeeded();
-    
-    // Store platform info for content script to use
+  const sessions = await getSessions({ from: lastWeek, to: new Date(thisWeek.getTime() - 1), limit: 1 });
+  if (sessions.length > 0) {
     await chrome.storage.local.set({
-      currentPlatform: platform,
-      sessionStartTime: Date.now()
+      weeklyReportReady: { week: getLocalDayKey(lastWeek), flaggedAt: Date.now() }
     });
   }
-}
-
-/**
- * Detect which supported platform a URL belongs to
- * @param {string} url - The URL to check
- * @returns {string|null} - Platform name or null if not supported
- */
-function detectPlatform(url) {
-  if (!url) return null;
-  if (url.includes('instagram.com')) return 'instagram';
-  if (url.includes('linkedin.com')) return 'linkedin';
-  if (url.includes('reddit.com')) return 'reddit';
-  return null;
+  
+  await scheduleWeeklyReport();
 }
 
 // ============================================================================
-// DAILY USAGE MANAGEMENT
+// WEEKLY HISTORY
 // ============================================================================
 
 /**
- * Reset daily usage statistics if it's a new day
- * Compares today's date with the last reset date
- * Automatically resets at midnight
+ * Number of days of per-day aggregates kept in weeklyHistory
  */
-async function resetDailyUsageIfNeeded() {
-  const data = await chrome.storage.local.get(['dailyUsage']);
-  const today = new Date().toDateString();
-  const lastReset = data.dailyUsage?.lastReset;
+const WEEKLY_HISTORY_DAYS = 7;
+
+/**
+ * Add a finished session to the per-day aggregate in weeklyHistory
+ * Produces the same day shape as generateSyntheticData in options.js so the
+ * AI Insights charts render real usage without any changes
+ * 
+ * @param {Object} sessionData - Session record as stored in history
+ * @param {number} startTime - Session start timestamp (used for hourly bucket)
+ * @returns {Array} - Updated weekly history
+ */
+async function recordDailyHistory(sessionData, startTime) {
+  const data = await chrome.storage.local.get(['weeklyHistory']);
+  let weeklyHistory = data.weeklyHistory || [];
   
-  // If the stored date doesn't match today, reset all counters
-  if (lastReset !== today) {
-    await chrome.storage.local.set({
-      dailyUsage: {
-        lastReset: today,
-        instagram: 0,
-        linkedin: 0,
-        reddit: 0,
-        total: 0
-      }
-    });
+  // Days are keyed by local midnight, same as the synthetic data
+  const dayStart = new Date(sessionData.date);
+  dayStart.setHours(0, 0, 0, 0);
+  const dayKey = dayStart.toISOString();
+  
+  let dayData = weeklyHistory.find(day => day.date === dayKey);
+  if (!dayData) {
+    dayData = {
+      date: dayKey,
+      dayName: dayStart.toLocaleDateString('en-US', { weekday: 'short' }),
+      platforms: {},
+      hourlyUsage: {},
+      totalTime: 0,
+      sessionsCount: 0,
+      goalAdherence: 0,
+      purposeSessions: 0,                        // Sessions with a purpose that got an answer
+      purposeAchieved: 0                         // ...of which the purpose was achieved
+    };
+    weeklyHistory.push(dayData);
+  }
+  
+  // Platform totals: intended vs actual
+  const platform = sessionData.platform;
+  if (!dayData.platforms[platform]) {
+    dayData.platforms[platform] = { actualTime: 0, intendedTime: 0, sessions: 0, overTime: 0 };
   }
+  const platformData = dayData.platforms[platform];
+  platformData.actualTime += sessionData.actualTime;
+  platformData.intendedTime += sessionData.intendedTime;
+  platformData.sessions += 1;
+  platformData.overTime = platformData.actualTime - platformData.intendedTime;
+  
+  // Hourly bucket based on when the session started
+  const hour = new Date(startTime || sessionData.date).getHours();
+  dayData.hourlyUsage[hour] = (dayData.hourlyUsage[hour] || 0) + sessionData.actualTime;
+  
+  dayData.totalTime += sessionData.actualTime;
+  dayData.sessionsCount += 1;
+  
+  // Goal adherence: share of actual time that stayed within intent
+  const totalIntended = Object.values(dayData.platforms).reduce((sum, p) => sum + p.intendedTime, 0);
+  dayData.goalAdherence = dayData.totalTime > 0
+    ? Math.round((Math.min(totalIntended, dayData.totalTime) / dayData.totalTime) * 100)
+    : 100;
+  
+  // Keep days in order and drop anything older than the rolling window
+  const cutoff = new Date(dayStart);
+  cutoff.setDate(cutoff.getDate() - (WEEKLY_HISTORY_DAYS - 1));
+  weeklyHistory = weeklyHistory
+    .filter(day => new Date(day.date) >= cutoff)
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+  
+  await chrome.storage.local.set({ weeklyHistory });
+  return weeklyHistory;
 }
 
 // ============================================================================
-// MESSAGE HANDLING
+// AI INTEGRATION - PROVIDER CLIENT
 // ============================================================================
 
 /**
- * Central message handler for all communication from content scripts and popup
- * Routes different action types to appropriate handler functions
+ * Resolve the configured AI provider
+ * Smart mode is on with a key for the default provider, or with any saved
+ * custom provider (local servers usually need no key)
  * 
- * Actions supported:
- * - startSession: Begin a new timed session
- * - endSession: End current session and save data
- * - getAINudge: Get AI-generated reminder message
- * - updateDailyUsage: Update usage statistics
- * - analyzeTrends: Get AI analysis of usage patterns
+ * @returns {Object} - { baseUrl, model, apiKey, configured }
  */
-chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-  if (request.action === 'startSession') {
-    startSession(request.intent, request.platform).then(sendResponse);
-    return true; // Keep channel open for async response
+async function getAIProvider() {
+  const data = await chrome.storage.local.get(['aiProvider', 'apiKey']);
+  const custom = data.aiProvider || {};
+  
+  return {
+    baseUrl: (custom.baseUrl || DEFAULT_AI_PROVIDER.baseUrl).replace(/\/+$/, ''),
+    model: custom.model || DEFAULT_AI_PROVIDER.model,
+    apiKey: data.apiKey || '',
+    configured: !!(data.apiKey || custom.baseUrl)
+  };
+}
+
+/**
+ * Send a chat completion request to the configured provider
+ * Single request, timeout and error path for every AI feature
+ * 
+ * @param {string} systemPrompt - System message
+ * @param {string} prompt - User message
+ * @param {Object} options - { maxTokens, temperature }
+ * @returns {string} - Trimmed reply text
+ * @throws {Error} - When unconfigured, timed out, rejected or empty
+ */
+async function requestChatCompletion(systemPrompt, prompt, { maxTokens, temperature = 0.7 }) {
+  const provider = await getAIProvider();
+  if (!provider.configured) {
+    throw new Error('No AI provider configured');
   }
   
-  if (request.action === 'endSession') {
-    endSession(request.platform, request.actualTime).then(sendResponse);
-    return true;
+  const headers = { 'Content-Type': 'application/json' };
+  if (provider.apiKey) {
+    headers['Authorization'] = `Bearer ${provider.apiKey}`;
   }
   
-  if (request.action === 'getAINudge') {
-    getAINudge(request.intendedTime, request.actualTime, request.userGoal, request.tone)
-      .then(sendResponse);
-    return true;
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), AI_REQUEST_TIMEOUT_MS);
+  
+  let response;
+  try {
+    response = await fetch(`${provider.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers,
+      signal: controller.signal,
+      body: JSON.stringify({
+        model: provider.model,
+        messages: [
+          { role: 'system', content: systemPrompt },
+          { role: 'user', content: prompt }
+        ],
+        temperature,
+        max_tokens: maxTokens
+      })
+    });
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new Error(`No response from ${provider.baseUrl} after ${AI_REQUEST_TIMEOUT_MS / 1000}s`);
+    }
+    throw new Error(`Could not reach ${provider.baseUrl}: ${error.message}`);
+  } finally {
+    clearTimeout(timeout);
   }
   
-  if (request.action === 'updateDailyUsage') {
-    updateDailyUsage(request.platform, request.minutes).then(sendResponse);
-    return true;
+  // Handle API errors
+  if (!response.ok) {
+    let errorMessage;
+    try {
+      const errorData = await response.json();
+      errorMessage = errorData.error?.message || errorData.message || `HTTP ${response.status}: ${response.statusText}`;
+      console.error('AI provider error details:', errorData);
+    } catch (e) {
+      errorMessage = `HTTP ${response.status}: ${response.statusText}`;
+    }
+    throw new Error(errorMessage);
   }
   
-  if (request.action === 'analyzeTrends') {
-    analyzeTrendsWithAI(request.data).then(sendResponse);
-    return true;
+  // Extract message from response
+  const result = await response.json();
+  const content = result.choices?.[0]?.message?.content?.trim();
+  if (!content) {
+    throw new Error('Empty response from AI provider');
   }
-});
+  return content;
+}
+
+/**
+ * Check the configured provider with a tiny request (API tab "Test Connection")
+ * @returns {Object} - { success, model, error }
+ */
+async function testAIProvider() {
+  const provider = await getAIProvider();
+  try {
+    await requestChatCompletion('You are a connection test.', 'Reply with the word OK.', { maxTokens: 5, temperature: 0 });
+    return { success: true, model: provider.model };
+  } catch (error) {
+    return { success: false, model: provider.model, error: error.message };
+  }
+}
 
 // ============================================================================
-// SESSION MANAGEMENT
+// AI INTEGRATION - NUDGE POOL
 // ============================================================================
 
+// Pool keys with a refill request in flight (reset when the worker restarts)
+const nudgeRefills = new Set();
+
 /**
- * Start a new session with user's intended duration
- * @param {number} intent - Intended session duration in minutes
- * @param {string} platform - Platform name (instagram, linkedin, reddit)
- * @returns {Object} - Success status
+ * Pool key for a nudge context
+ * @param {string} context - 'session' (over intended time) or 'post' (after the session)
+ * @param {string} tone - Message tone
+ * @param {string} userGoal - Goal the nudge mentions
+ * @returns {string}
  */
-async function startSession(intent, platform) {
-  const session = {
-    platform,
-    intent,
-    startTime: Date.now(),
-    intendedTime: intent * 60000 // Convert minutes to milliseconds
-  };
+function getNudgePoolKey(context, tone, userGoal) {
+  return [context, tone, userGoal].join('|');
+}
+
+/**
+ * Drop expired nudges and keys left empty
+ * @param {Object} pool - Stored nudgePool
+ * @param {number} now - Current timestamp
+ * @returns {Object} - Pruned pool
+ */
+function pruneNudgePool(pool, now) {
+  return Object.fromEntries(
+    Object.entries(pool)
+      .map(([key, nudges]) => [key, nudges.filter(nudge => nudge.expiresAt > now)])
+      .filter(([, nudges]) => nudges.length > 0)
+  );
+}
+
+/**
+ * Remove and return the oldest unexpired nudge for a key that can be used
+ * Nudges that can't be used now stay in the pool for a later request
+ * @param {string} key - Pool key
+ * @param {Function} usable - Whether a nudge template can be served now
+ * @returns {string|null} - Nudge template, or null when none is usable
+ */
+async function takePooledNudge(key, usable = () => true) {
+  const data = await chrome.storage.local.get(['nudgePool']);
+  const pool = pruneNudgePool(data.nudgePool || {}, Date.now());
+  const index = (pool[key] || []).findIndex(nudge => usable(nudge.text));
+  const nudge = index >= 0 ? pool[key].splice(index, 1)[0] : null;
   
-  await chrome.storage.local.set({ currentSession: session });
-  return { success: true };
+  await chrome.storage.local.set({ nudgePool: pruneNudgePool(pool, Date.now()) });
+  return nudge ? nudge.text : null;
 }
 
 /**
- * End current session and save to history
- * @param {string} platform - Platform name
- * @param {number} actualTime - Actual time spent in milliseconds
- * @returns {Object} - Success status
+ * Ask the provider for several nudges in one request
+ * Minutes are left as {actual} / {planned} placeholders, filled when served
+ * 
+ * @param {string} context - 'session' or 'post'
+ * @param {string} tone - Message tone
+ * @param {string} userGoal - User's current goal
+ * @param {number} count - Nudges wanted
+ * @returns {string[]} - Nudge templates
  */
-async function endSession(platform, actualTime) {
-  const data = await chrome.storage.local.get(['currentSession', 'sessions', 'dailyUsage']);
-  const session = data.currentSession;
+async function generateNudgeBatch(context, tone, userGoal, count) {
+  const prompt = context === 'post'
+    ? `Write ${count} different supportive, non-judgmental reminders for a user who kept scrolling social media after their session ended. Their current goal is: ${userGoal}. Encourage them to start a new mindful session. Write {actual} where the minutes scrolled since the session ended belong.`
+    : `Write ${count} different supportive, non-judgmental reminders for a user who has scrolled social media longer than they planned. Their current goal is: ${userGoal}. Write {actual} where the minutes scrolled so far belong and {planned} for the minutes they planned. Some reminders may use {screens} for how many screens they have scrolled.`;
   
-  if (session) {
-    // Create session record for history
-    const sessionData = {
-      platform: session.platform,
-      intendedTime: session.intent,
-      actualTime: Math.round(actualTime / 60000), // Convert milliseconds to minutes
-      date: new Date().toISOString()
-    };
-    
-    const sessions = data.sessions || [];
-    sessions.push(sessionData);
-    
-    // Keep only last 100 sessions to prevent storage bloat
-    if (sessions.length > 100) {
-      sessions.shift();
-    }
+  const reply = await requestChatCompletion(
+    'You are ScrollSense, a supportive assistant that helps users stay mindful of their social media time without judgment.',
+    `${prompt} Keep each reminder under 20 words, with a ${tone} tone. Put each reminder on its own line with no numbering or quotes.`,
+    { maxTokens: 60 * count }
+  );
+  
+  return reply
+    .split('\n')
+    .map(line => line.trim().replace(/^(\d+[.)]|[-•*])\s*/, '').replace(/^"(.*)"$/, '$1'))
+    .filter(line => line.length > 0)
+    .slice(0, count);
+}
+
+/**
+ * Put the real numbers into a pooled nudge
+ * @param {string} template - Nudge with {actual} / {planned} / {screens} placeholders
+ * @param {number} intendedTime - Intended minutes (0 for post-session)
+ * @param {number} actualTime - Minutes scrolled
+ * @param {number} screens - Screens scrolled this session
+ * @returns {string}
+ */
+function fillNudgeTemplate(template, intendedTime, actualTime, screens) {
+  return template
+    .replace(/\{actual\}/g, actualTime)
+    .replace(/\{planned\}/g, intendedTime)
+    .replace(/\{screens\}/g, screens);
+}
+
+/**
+ * Top a pool key back up to NUDGE_POOL_SIZE
+ * Errors are logged only; an empty pool falls back to local messages
+ * 
+ * @param {string} context - 'session' or 'post'
+ * @param {string} tone - Message tone
+ * @param {string} userGoal - User's current goal
+ */
+async function refillNudgePool(context, tone, userGoal) {
+  const key = getNudgePoolKey(context, tone, userGoal);
+  if (nudgeRefills.has(key)) return;
+  nudgeRefills.add(key);
+  
+  try {
+    const data = await chrome.storage.local.get(['nudgePool']);
+    const ready = pruneNudgePool(data.nudgePool || {}, Date.now())[key] || [];
+    const missing = NUDGE_POOL_SIZE - ready.length;
+    if (missing <= 0) return;
     
-    await chrome.storage.local.set({
-      sessions,
-      currentSession: null
-    });
+    const texts = await generateNudgeBatch(context, tone, userGoal, missing);
     
-    // Update daily usage statistics
-    await updateDailyUsage(platform, sessionData.actualTime);
+    // Re-read: nudges may have been served while the request was out
+    const latest = await chrome.storage.local.get(['nudgePool']);
+    const now = Date.now();
+    const pool = pruneNudgePool(latest.nudgePool || {}, now);
+    const expiresAt = now + NUDGE_POOL_TTL_MINUTES * 60000;
+    pool[key] = [...(pool[key] || []), ...texts.map(text => ({ text, expiresAt }))].slice(0, NUDGE_POOL_SIZE);
+    await chrome.storage.local.set({ nudgePool: pool });
+  } catch (error) {
+    console.error('Nudge prefetch error:', error.message || error);
+  } finally {
+    nudgeRefills.delete(key);
   }
-  
-  return { success: true };
 }
 
 /**
- * Update daily usage statistics for a platform
- * @param {string} platform - Platform name
- * @param {number} minutes - Minutes to add
- * @returns {Object} - Updated daily usage object
+ * Make sure nudges are ready for the user's current tone and goal
+ * Runs while a session is active: both the over-time and post-session pools
  */
-async function updateDailyUsage(platform, minutes) {
-  await resetDailyUsageIfNeeded();
-  const data = await chrome.storage.local.get(['dailyUsage']);
-  const dailyUsage = data.dailyUsage || {
-    lastReset: new Date().toDateString(),
-    instagram: 0,
-    linkedin: 0,
-    reddit: 0,
-    total: 0
-  };
+async function prefetchNudges() {
+  const provider = await getAIProvider();
+  if (!provider.configured) return;
   
-  // Add minutes to specific platform and recalculate total
-  dailyUsage[platform] = (dailyUsage[platform] || 0) + minutes;
-  dailyUsage.total = (dailyUsage.instagram || 0) + (dailyUsage.linkedin || 0) + (dailyUsage.reddit || 0);
+  const data = await chrome.storage.local.get(['preferences', 'userGoals']);
+  const tone = data.preferences?.messageTone || 'encouraging';
+  const userGoal = data.userGoals?.[0] || DEFAULT_NUDGE_GOAL;
   
-  await chrome.storage.local.set({ dailyUsage });
-  return dailyUsage;
+  await refillNudgePool('session', tone, userGoal);
+  await refillNudgePool('post', tone, userGoal);
 }
 
 // ============================================================================
@@ -306,89 +2078,43 @@ async function updateDailyUsage(platform, minutes) {
 // ============================================================================
 
 /**
- * Get AI-generated nudge message using Groq API
- * Falls back to local messages if API unavailable
+ * Get an AI nudge from the pre-fetched pool
+ * Never waits on the network: serves a pooled nudge instantly, or a local
+ * fallback message when the pool is empty, and refills in the background
  * 
  * @param {number} intendedTime - User's intended session duration (0 for post-session)
  * @param {number} actualTime - Actual time spent
  * @param {string} userGoal - User's current goal
  * @param {string} tone - Message tone (encouraging, neutral, direct)
+ * @param {number} screens - Screens scrolled this session (optional)
  * @returns {string} - Generated nudge message
  */
-async function getAINudge(intendedTime, actualTime, userGoal, tone) {
-  const API_URL = 'https://api.groq.com/openai/v1/chat/completions';
-  
-  // Get user preferences and API key
-  const data = await chrome.storage.local.get(['preferences', 'apiKey']);
+async function getAINudge(intendedTime, actualTime, userGoal, tone, screens = 0) {
+  // Get user preferences and provider
+  const data = await chrome.storage.local.get(['preferences']);
   const preferences = data.preferences || {};
-  const API_KEY = data.apiKey;
+  const provider = await getAIProvider();
   const messageTone = tone || preferences.messageTone || 'encouraging';
   
-  // If no API key, use fallback messages
-  if (!API_KEY) {
-    return generateFallbackMessage(intendedTime, actualTime, userGoal, messageTone);
+  // If no provider is set up, use fallback messages
+  if (!provider.configured) {
+    return generateFallbackMessage(intendedTime, actualTime, userGoal, messageTone, screens);
   }
   
-  // Build appropriate prompt based on context
-  let prompt;
-  if (intendedTime === 0) {
-    // Post-session context: User is browsing after session ended
-    prompt = `Generate a supportive, non-judgmental reminder for a user who has been scrolling for ${actualTime} minutes after their session ended. Their current goal is: ${userGoal || 'managing social media time'}. Encourage them to start a new mindful session. Keep the message under 20 words, with a ${messageTone} tone.`;
-  } else {
-    // Active session context: User exceeded intended time
-    prompt = `Generate a supportive, non-judgmental reminder for a user who planned to scroll ${intendedTime} minutes but has been scrolling ${actualTime} minutes. Their current goal is: ${userGoal || 'managing social media time'}. Keep the message under 20 words, with a ${messageTone} tone.`;
-  }
+  const context = intendedTime === 0 ? 'post' : 'session';
+  const goal = userGoal || DEFAULT_NUDGE_GOAL;
   
-  try {
-    // Make API request to Groq
-    const response = await fetch(API_URL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${API_KEY}`
-      },
-      body: JSON.stringify({
-        model: 'llama-3.1-8b-instant', // Fast, reliable model
-        messages: [
-          {
-            role: 'system',
-            content: 'You are ScrollSense, a supportive assistant that helps users stay mindful of their social media time without judgment.'
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        temperature: 0.7,  // Some creativity but not too random
-        max_tokens: 60     // Keep responses short
-      })
-    });
-    
-    // Handle API errors
-    if (!response.ok) {
-      let errorMessage = 'API request failed';
-      try {
-        const errorData = await response.json();
-        errorMessage = errorData.error?.message || errorData.message || `HTTP ${response.status}: ${response.statusText}`;
-        console.error('Groq API error details:', errorData);
-      } catch (e) {
-        errorMessage = `HTTP ${response.status}: ${response.statusText}`;
-      }
-      throw new Error(errorMessage);
-    }
-    
-    // Extract message from response
-    const result = await response.json();
-    const aiMessage = result.choices?.[0]?.message?.content?.trim();
-    if (aiMessage) {
-      return aiMessage;
-    }
-    throw new Error('Empty Groq response');
-  } catch (error) {
-    console.error('AI API error:', error.message || error);
-    // Return fallback message on any error
-    return generateFallbackMessage(intendedTime, actualTime, userGoal, messageTone);
+  // A screen count only reads well once there is a real one to show
+  const pooled = await takePooledNudge(getNudgePoolKey(context, messageTone, goal),
+    text => screens >= MIN_NUDGE_SCREENS || !text.includes('{screens}'));
+  
+  // Replace what was just used without holding up this nudge
+  refillNudgePool(context, messageTone, goal);
+  
+  if (pooled) {
+    return fillNudgeTemplate(pooled, intendedTime, actualTime, screens);
   }
+  return generateFallbackMessage(intendedTime, actualTime, userGoal, messageTone, screens);
 }
 
 /**
@@ -399,9 +2125,10 @@ async function getAINudge(intendedTime, actualTime, userGoal, tone) {
  * @param {number} actualTime - Actual time spent
  * @param {string} userGoal - User's goal
  * @param {string} tone - Message tone
+ * @param {number} screens - Screens scrolled this session (optional)
  * @returns {string} - Generated message
  */
-function generateFallbackMessage(intendedTime, actualTime, userGoal, tone) {
+function generateFallbackMessage(intendedTime, actualTime, userGoal, tone, screens = 0) {
   const overTime = actualTime - intendedTime;
   const goal = userGoal || 'your goals';
   
@@ -460,6 +2187,14 @@ function generateFallbackMessage(intendedTime, actualTime, userGoal, tone) {
         `${actualTime} min${overTimeText}. Let's switch to "${goal}".`
       ]
     };
+    
+    // Distance scrolled makes the time concrete
+    if (screens >= MIN_NUDGE_SCREENS) {
+      const screenCount = Math.round(screens);
+      messages.encouraging.push(`You've scrolled ${screenCount} screens in ${actualTime} min! "${goal}" deserves some of that energy 🌟`);
+      messages.neutral.push(`${screenCount} screens scrolled in ${actualTime} minutes${overTimeText}.`);
+      messages.direct.push(`${screenCount} screens. ${actualTime} min. Back to "${goal}".`);
+    }
   }
   
   // Select random message from appropriate tone category
@@ -480,15 +2215,13 @@ function generateFallbackMessage(intendedTime, actualTime, userGoal, tone) {
  * @returns {Object} - Analysis result with success status
  */
 async function analyzeTrendsWithAI(usageData) {
-  const API_URL = 'https://api.groq.com/openai/v1/chat/completions';
-  
-  const data = await chrome.storage.local.get(['apiKey', 'userGoals']);
-  const API_KEY = data.apiKey;
+  const data = await chrome.storage.local.get(['userGoals']);
   const userGoals = data.userGoals || [];
+  const provider = await getAIProvider();
   
-  // Can't analyze without API key
-  if (!API_KEY) {
-    return { analysis: null, error: 'No API key configured' };
+  // Can't analyze without a provider
+  if (!provider.configured) {
+    return { analysis: null, error: 'No AI provider configured' };
   }
   
   // Build detailed prompt with user's data
@@ -516,49 +2249,12 @@ Please provide a brief, friendly analysis (max 200 words) covering:
 Keep the tone supportive and non-judgmental. Use simple language and be encouraging. Don't use bullet points - write in short paragraphs.`;
 
   try {
-    const response = await fetch(API_URL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${API_KEY}`
-      },
-      body: JSON.stringify({
-        model: 'llama-3.1-8b-instant',
-        messages: [
-          {
-            role: 'system',
-            content: 'You are ScrollSense, a friendly and supportive AI that helps users build healthier social media habits. You provide insightful, personalized analysis without being preachy or judgmental.'
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        temperature: 0.7,
-        max_tokens: 400
-      })
-    });
-    
-    if (!response.ok) {
-      let errorMessage = 'API request failed';
-      try {
-        const errorData = await response.json();
-        errorMessage = errorData.error?.message || `HTTP ${response.status}`;
-        console.error('Groq API error:', errorData);
-      } catch (e) {
-        errorMessage = `HTTP ${response.status}: ${response.statusText}`;
-      }
-      throw new Error(errorMessage);
-    }
-    
-    const result = await response.json();
-    const analysis = result.choices?.[0]?.message?.content?.trim();
-    
-    if (analysis) {
-      return { analysis, success: true };
-    }
-    
-    throw new Error('Empty response from AI');
+    const analysis = await requestChatCompletion(
+      'You are ScrollSense, a friendly and supportive AI that helps users build healthier social media habits. You provide insightful, personalized analysis without being preachy or judgmental.',
+      prompt,
+      { maxTokens: 400 }
+    );
+    return { analysis, success: true };
   } catch (error) {
     console.error('AI trend analysis error:', error);
     return { analysis: null, error: error.message };
@@ -569,44 +2265,138 @@ Keep the tone supportive and non-judgmental. Use simple language and be encourag
 // ADAPTIVE SUGGESTIONS
 // ============================================================================
 
+/**
+ * Median of a list of numbers
+ * Robust against the odd marathon day skewing the suggestion
+ * @param {number[]} values - Non-empty list
+ * @returns {number}
+ */
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0
+    ? (sorted[middle - 1] + sorted[middle]) / 2
+    : sorted[middle];
+}
+
 /**
  * Generate adaptive time limit suggestions based on user behavior
- * Analyzes past sessions to suggest more realistic limits
- * Only activates after 5+ sessions to have enough data
+ * Compares the median daily time per platform over the last
+ * ADAPTIVE_WINDOW_DAYS with that platform's daily limit:
+ * - raise when the median day is well over the limit (limit is unrealistic)
+ * - lower when the median day is well under it (room to tighten)
+ * Suggestions the user already applied or dismissed are not repeated
  * 
- * @returns {Object|null} - Suggested limits per platform or null if not enough data
+ * @returns {Array} - [{ platform, currentLimit, suggestedLimit, medianDaily, days, direction, message }]
  */
 async function getAdaptiveSuggestions() {
-  const data = await chrome.storage.local.get(['sessions']);
-  const sessions = data.sessions || [];
+  // Recent behaviour only: the last ADAPTIVE_WINDOW_DAYS of history
+  const from = new Date();
+  from.setHours(0, 0, 0, 0);
+  from.setDate(from.getDate() - ADAPTIVE_WINDOW_DAYS);
+  const sessions = await getSessions({ from });
   
-  // Need at least 5 sessions for meaningful suggestions
-  if (sessions.length < 5) {
-    return null;
-  }
+  const data = await chrome.storage.local.get(['platformLimits', 'suggestionDecisions']);
+  const platforms = await getPlatforms();
+  const limits = { ...getDefaultPlatformLimits(platforms), ...data.platformLimits };
+  const decisions = data.suggestionDecisions || [];
   
-  // Calculate average intended vs actual time per platform
-  const platformStats = {};
+  // Daily totals per platform (days without use don't count)
+  const dailyTotals = {};
   sessions.forEach(session => {
-    if (!platformStats[session.platform]) {
-      platformStats[session.platform] = { intended: [], actual: [] };
-    }
-    platformStats[session.platform].intended.push(session.intendedTime);
-    platformStats[session.platform].actual.push(session.actualTime);
+    const day = new Date(session.date).toDateString();
+    dailyTotals[session.platform] = dailyTotals[session.platform] || {};
+    dailyTotals[session.platform][day] = (dailyTotals[session.platform][day] || 0) + session.actualTime;
   });
   
-  // Generate suggestions for platforms where user consistently exceeds intent
-  const suggestions = {};
-  Object.keys(platformStats).forEach(platform => {
-    const stats = platformStats[platform];
-    const avgIntended = stats.intended.reduce((a, b) => a + b, 0) / stats.intended.length;
-    const avgActual = stats.actual.reduce((a, b) => a + b, 0) / stats.actual.length;
+  const suggestions = [];
+  Object.entries(dailyTotals).forEach(([platform, days]) => {
+    const totals = Object.values(days);
+    const currentLimit = Number(limits[platform]);
+    
+    // Need ADAPTIVE_MIN_DAYS of use for a meaningful suggestion
+    if (totals.length < ADAPTIVE_MIN_DAYS || !currentLimit) return;
     
-    // If actual time consistently exceeds intended, suggest higher limit
-    if (avgActual > avgIntended) {
-      suggestions[platform] = Math.round(avgActual / 5) * 5; // Round to nearest 5
+    const medianDaily = median(totals);
+    let direction = null;
+    let suggestedLimit = null;
+    
+    if (medianDaily > currentLimit * 1.2) {
+      direction = 'raise';
+      suggestedLimit = Math.round(medianDaily / 5) * 5;
+    } else if (medianDaily < currentLimit * 0.5) {
+      direction = 'lower';
+      suggestedLimit = Math.max(5, Math.ceil((medianDaily * 1.2) / 5) * 5); // Keep 20% headroom
+    }
+    
+    if (!direction || suggestedLimit === currentLimit || isSuggestionDecided(decisions, platform, suggestedLimit)) {
+      return;
     }
+    
+    const name = getPlatformInfo(platform, platforms).name;
+    const usage = `Your typical day on ${name} is ${Math.round(medianDaily)} min (${totals.length} days)`;
+    
+    suggestions.push({
+      platform,
+      currentLimit,
+      suggestedLimit,
+      medianDaily: Math.round(medianDaily),
+      days: totals.length,
+      direction,
+      message: direction === 'raise'
+        ? `${usage}. A ${suggestedLimit} min limit would be more realistic than ${currentLimit} min.`
+        : `${usage}. You could tighten the limit from ${currentLimit} to ${suggestedLimit} min.`
+    });
   });
   
   return suggestions;
 }
+
+/**
+ * Check whether the user already answered a suggestion for a platform
+ * A dismissed limit is never offered again; any answer also starts a
+ * cooldown before the platform gets a new suggestion
+ * 
+ * @param {Array} decisions - suggestionDecisions from storage
+ * @param {string} platform - Platform id
+ * @param {number} suggestedLimit - Limit about to be suggested
+ * @returns {boolean}
+ */
+function isSuggestionDecided(decisions, platform, suggestedLimit) {
+  const cooldownStart = Date.now() - SUGGESTION_COOLDOWN_DAYS * 24 * 60 * 60 * 1000;
+  return decisions.some(decision => decision.platform === platform && (
+    decision.decidedAt > cooldownStart
+    || (decision.decision === 'dismissed' && decision.suggestedLimit === suggestedLimit)
+  ));
+}
+
+/**
+ * Apply or dismiss an adaptive suggestion and record the decision
+ * 
+ * @param {string} platform - Platform id
+ * @param {number} suggestedLimit - Suggested daily limit in minutes
+ * @param {string} decision - 'applied' or 'dismissed'
+ * @returns {Object} - Success status
+ */
+async function decideSuggestion(platform, suggestedLimit, decision) {
+  const data = await chrome.storage.local.get(['platformLimits', 'suggestionDecisions']);
+  const platformLimits = { ...data.platformLimits };
+  const decisions = data.suggestionDecisions || [];
+  
+  decisions.push({
+    platform,
+    suggestedLimit,
+    previousLimit: platformLimits[platform] ?? null,
+    decision,
+    decidedAt: Date.now()
+  });
+  
+  const updates = { suggestionDecisions: decisions.slice(-MAX_SUGGESTION_DECISIONS) };
+  if (decision === 'applied') {
+    platformLimits[platform] = suggestedLimit;
+    updates.platformLimits = platformLimits;
+  }
+  
+  await chrome.storage.local.set(updates);
+  return { success: true };
+}
@@ -11,29 +11,44 @@
  * 
  * 1. SESSION MANAGEMENT
  *    - Display intent prompt when user visits supported platform
- *    - Track session duration with floating timer
- *    - Handle session start, pause (tab hidden), and end
+ *    - Show session duration with floating timer (the clock itself lives in
+ *      background.js; this script reports tab visibility and renders state)
+ *    - Handle session start, extend, and end
+ *    - Capture an optional purpose and ask afterwards whether it was achieved
+ *    - Report page inactivity so unattended tabs stop accruing time
+ *    - Measure screens scrolled, fast-scroll bursts and feed items viewed
  * 
  * 2. PROGRESSIVE BLUR EFFECT
  *    - Apply gradual blur when user exceeds intended time
  *    - Post-session blur for users who continue browsing
  *    - User can control/disable blur via blur control popup
  * 
- * 3. AI-POWERED NUDGES
+ * 3. AUTOPILOT CHECK-INS
+ *    - Notice rapid, mindless scrolling (sustained fast scrolling, or items
+ *      flicked past faster than they can be looked at) even within the
+ *      intended time, and offer a gentle pause
+ *    - Sensitivity from the Preferences tab; answers are logged on the session
+ * 
+ * 4. AI-POWERED NUDGES
  *    - Display personalized reminder messages from AI
  *    - Show "ScrollSense AI" badge to indicate AI-generated content
  *    - Allow user to continue, end session, or start new session
  * 
- * 4. USER CONTROL FEATURES
+ * 5. USER CONTROL FEATURES
  *    - Blur control indicator with options to disable
  *    - Skip options (skip now, 1 hour, today)
  *    - Mini prompt for returning users who skipped
+ *    - Skips and pauses are snoozes owned by background.js; every prompt,
+ *      blur and nudge checks them first (isSnoozed)
  * 
  * UI COMPONENTS CREATED:
  * - Intent prompt modal (session start)
  * - Floating timer (right side)
  * - Timer popup (usage stats)
  * - Nudge modal (AI messages)
+ * - Autopilot check-in card
+ * - Daily limit reached modal
+ * - Cross-platform daily budget banner (80%), overlay and modal (100%)
  * - Session complete modal
  * - Blur overlay (progressive blur)
  * - Blur control indicator and popup
@@ -41,9 +56,27 @@
  * - Temporary notifications
  * 
  * SUPPORTED PLATFORMS:
- * - Instagram (instagram.com)
- * - LinkedIn (linkedin.com)
- * - Reddit (reddit.com)
+ * - Defined in platforms.js (loaded first): Instagram, LinkedIn, Reddit,
+ *   YouTube, X/Twitter, TikTok, Facebook, plus user-added custom domains
+ * 
+ * FOCUS WINDOWS:
+ * - background.js pushes the scheduled window active right now (Schedule
+ *   tab) as the focus profile; it overrides intent presets, blur intensity
+ *   and message tone here, can blur from the start of a session, and sets
+ *   the platform limit returned by getPlatformBudget
+ * 
+ * NAVIGATION:
+ * - In-site route changes (SPA pushState, back/forward) are mapped to a
+ *   section from platforms.js and reported so sessions record time per section
+ * - Section rules (own daily limit, blur strength, whether time counts toward
+ *   daily usage) are evaluated here for the section the tab is in
+ * 
+ * RENDERING:
+ * - Every component is mounted into one closed shadow root (mountUI), with
+ *   content.css loaded inside it, so page and extension styles stay apart
+ *   and SPA body swaps don't remove our UI
+ * - Markup is injected into the host page, so AI replies, goals, purposes
+ *   and site names go through escapeHTML() from safe-render.js
  * 
  * COMMUNICATION:
  * - Sends messages to background.js for data persistence
@@ -59,25 +92,111 @@
 // ============================================================================
 
 // Timer and session state
-let sessionTimer = null;           // Interval ID for session timer
+let sessionTimer = null;           // Interval ID for the timer display
 let currentSession = null;         // Current active session data
 let currentElapsed = 0;            // Current elapsed time in milliseconds
 
-// Tab visibility tracking (for pausing timer when tab is hidden)
-let hiddenTime = 0;                // Total accumulated hidden time
-let hiddenStartTime = null;        // Timestamp when tab was hidden
+// Last session clock state received from background
+let sessionClock = null;           // { elapsed, running, syncedAt }
+
+// Page activity tracking (idle detection)
+let lastActivityAt = Date.now();   // Last scroll, keypress or pointer movement
+let isIdle = false;                // Whether this tab is currently reported idle
+let idleThreshold = 2;             // Minutes without activity before pausing (from preferences)
+let idleCheckTimer = null;         // Interval ID for the idle check
+
+// Events that count as the user paying attention to the page
+const ACTIVITY_EVENTS = ['scroll', 'wheel', 'keydown', 'pointermove', 'pointerdown', 'touchstart'];
+const IDLE_CHECK_INTERVAL = 15000; // How often inactivity is checked (ms)
 
 // Platform detection
-let platform = null;               // Current platform ('instagram', 'linkedin', 'reddit')
+let platform = null;               // Current platform id from the registry ('instagram', 'youtube', ...)
+let platformInfo = null;           // Registry entry for the current platform (name, icon, ...)
+
+// SPA route tracking (sections from platforms.js)
+let currentUrl = location.href;    // Last URL seen, to notice in-page navigations
+let currentSection = null;         // Section id for currentUrl ('reels', 'feed', ...)
+const ROUTE_CHECK_INTERVAL = 1000; // Fallback URL poll (ms)
+
+// Section rules (Sections tab, defaults in platforms.js)
+let sectionRules = {};             // Stored overrides { platformId: { sectionId: rule } }
+let sectionRule = null;            // Effective rule for currentSection
+let blurPreference = 50;           // preferences.blurIntensity, used where a section sets none
+const sectionLimitsShown = new Set(); // Sections whose daily limit already fired this session
+
+// Scroll & consumption metrics (summed per session by background)
+let pendingMetrics = { screens: 0, bursts: 0, items: 0 }; // Measured here since the last report
+let lastMetricsReportAt = Date.now();  // When pendingMetrics was last sent
+let scrollPositions = new WeakMap();  // Last scrollTop per scrolled element
+let velocitySample = { start: Date.now(), screens: 0 }; // Screens scrolled in the current window
+let inScrollBurst = false;         // Whether the last window was a fast-scroll burst
+let itemObserver = null;           // IntersectionObserver for feed items
+let observedItems = new WeakSet(); // Items handed to itemObserver
+let viewedItems = new WeakSet();   // Items already counted this session
+let metricsTimer = null;           // Interval ID for item scans and reports
+const ITEM_SCAN_INTERVAL = 2000;   // How often new feed items are looked for (ms)
+const METRICS_REPORT_INTERVAL = 10000; // How often metrics are sent to background (ms)
+const ITEM_VISIBLE_RATIO = 0.5;    // Share of an item on screen before it counts as viewed
+const BURST_WINDOW = 1000;         // Window scroll speed is measured over (ms)
+const BURST_SCREENS_PER_SECOND = 3; // Speed that counts as a fast-scroll burst
+
+// Autopilot detection (rapid scrolling inside the intended time)
+let autopilotSensitivity = 'medium'; // preferences.autopilotSensitivity
+let fastScrollSince = null;        // Start of the current run of fast-scroll windows
+let lastFastWindowAt = null;       // End of the most recent fast-scroll window
+let recentItemViews = [];          // When recently viewed items first came on screen
+let lastCheckInAt = 0;             // When the last check-in was shown
+let checkInCard = null;            // Autopilot check-in card
+const AUTOPILOT_DWELL_ITEMS = 8;   // Items the average dwell time is taken over
+const AUTOPILOT_COOLDOWN = 5 * 60000; // Minimum gap between check-ins (ms)
+
+/**
+ * Detection thresholds per sensitivity level
+ * - sustainedScroll: Milliseconds of continuous fast scrolling
+ * - dwell: Average milliseconds per item below which items are being flicked past
+ */
+const AUTOPILOT_LEVELS = {
+  low: { sustainedScroll: 30000, dwell: 1000 },
+  medium: { sustainedScroll: 15000, dwell: 2000 },
+  high: { sustainedScroll: 8000, dwell: 3000 }
+};
+
+// Snoozes for this platform from background ({ kind, until, ... })
+let snoozes = [];
+
+// Focus window pushed by background (focus-windows.js), null outside any
+let focusProfile = null;           // { name, presets, limit, blurIntensity, messageTone, blurImmediately }
+const FOCUS_BLUR_PERCENT = 30;     // Blur from the session start when a window asks for it
+
+// Shadow root host (every element below is mounted inside it)
+let uiHost = null;                 // <scrollsense-root> element attached to <html>
+let uiRoot = null;                 // Its closed shadow root
+let uiHostObserver = null;         // Re-attaches the host if the page removes it
 
 // UI Element References
 let blurOverlay = null;            // Full-screen blur overlay element
 let intentPrompt = null;           // Initial intent selection modal
 let nudgeModal = null;             // AI nudge message modal
+let nudgeClaimed = false;          // Whether this tab holds the platform's nudge claim
+let nudgeClaimRefusedAt = 0;       // When background last gave the claim to another tab
+const NUDGE_CLAIM_RETRY = 5000;    // Wait before asking again after a refusal (ms)
 let floatingTimer = null;          // Floating timer display (right side)
 let timerPopup = null;             // Expanded usage stats popup
 let miniPrompt = null;             // Less intrusive prompt for returning users
 let sessionCompleteModal = null;   // Session completion modal
+let limitModal = null;             // Daily platform limit reached modal
+
+// Per-platform daily budget (from the Limits tab)
+let platformBudget = null;         // { limit, used } in minutes, used excludes current session
+let limitReachedShown = false;     // Whether the limit intervention fired this session
+
+// Cross-platform daily limit (preferences.dailyLimit)
+let dailyLimitLevel = 0;           // Highest threshold reached today (0, 80 or 100)
+let dailyLimitOverlay = null;      // Escalating blur overlay for the daily budget
+let dailyLimitBanner = null;       // 80% warning banner
+let dailyLimitModal = null;        // 100% limit reached modal
+let deferredDailyLimit = null;     // { status, day } that arrived while snoozed, applied when it ends
+let deferredDailyLimitTimer = null;
 
 // Post-session blur state
 let postSessionBlurTimer = null;   // Interval ID for progressive blur
@@ -90,6 +209,95 @@ let blurControlIndicator = null;   // Small blur control icon (right side)
 let blurControlPopup = null;       // Expanded blur control options popup
 let isBlurActive = false;          // Whether any blur effect is currently active
 
+// ============================================================================
+// IN-PAGE UI HOST
+// ============================================================================
+
+/**
+ * Get the shadow root all ScrollSense UI is mounted into, creating it once
+ * 
+ * The host hangs off <html> rather than <body>, so SPAs that swap out body
+ * children keep it; an observer re-attaches it if the page removes it anyway.
+ * content.css is loaded inside the shadow root only, so site styles don't
+ * reach our components and ours don't reach the site.
+ * 
+ * @returns {ShadowRoot}
+ */
+function getUIRoot() {
+  if (uiRoot) return uiRoot;
+  
+  // Inline !important beats any page rule that could match the host itself;
+  // the font and color set here are what the components inherit
+  uiHost = document.createElement('scrollsense-root');
+  uiHost.style.cssText = `
+    all: initial !important;
+    position: fixed !important;
+    top: 0 !important;
+    left: 0 !important;
+    width: 0 !important;
+    height: 0 !important;
+    z-index: 2147483647 !important;
+    visibility: hidden !important;
+    font: 14px/1.5 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif !important;
+    color: #1f2937 !important;
+  `;
+  uiRoot = uiHost.attachShadow({ mode: 'closed' });
+  
+  // Stay hidden until the stylesheet applies so nothing flashes unstyled
+  const stylesheet = document.createElement('link');
+  stylesheet.rel = 'stylesheet';
+  stylesheet.href = chrome.runtime.getURL('content.css');
+  const reveal = () => uiHost.style.setProperty('visibility', 'visible', 'important');
+  stylesheet.addEventListener('load', reveal);
+  stylesheet.addEventListener('error', async () => {
+    // Custom sites aren't in web_accessible_resources: adopt the text instead
+    try {
+      const sheet = new CSSStyleSheet();
+      sheet.replaceSync(await chrome.runtime.sendMessage({ action: 'getUIStylesheet' }) || '');
+      uiRoot.adoptedStyleSheets = [sheet];
+    } catch (error) {
+      console.error('Failed to load ScrollSense styles:', error);
+    }
+    reveal();
+  });
+  uiRoot.appendChild(stylesheet);
+  
+  document.documentElement.appendChild(uiHost);
+  
+  uiHostObserver = new MutationObserver(() => {
+    if (!uiHost.isConnected) {
+      document.documentElement.appendChild(uiHost);
+    }
+  });
+  uiHostObserver.observe(document.documentElement, { childList: true });
+  
+  return uiRoot;
+}
+
+/**
+ * Mount a ScrollSense component into the shadow root
+ * @param {HTMLElement} element - Component root element
+ * @returns {HTMLElement} - The same element
+ */
+function mountUI(element) {
+  getUIRoot().appendChild(element);
+  return element;
+}
+
+/**
+ * Whether an event happened inside any of the given ScrollSense elements
+ * Document listeners only see the shadow host as event.target, so the
+ * composed path is checked instead
+ * 
+ * @param {Event} event - DOM event
+ * @param {...HTMLElement} elements - Elements to test (null entries are skipped)
+ * @returns {boolean}
+ */
+function isEventInside(event, ...elements) {
+  const path = event.composedPath();
+  return elements.some(element => element && path.includes(element));
+}
+
 // ============================================================================
 // INITIALIZATION
 // ============================================================================
@@ -100,8 +308,23 @@ let isBlurActive = false;          // Whether any blur effect is currently activ
  * This is an IIFE (Immediately Invoked Function Expression) that runs on script load
  */
 (async function init() {
-  platform = detectPlatform();
+  platform = await detectPlatform();
   if (!platform) return; // Exit if not on a supported platform
+  currentSection = findSectionByUrl(location.href, platformInfo);
+  await loadSectionRules();
+  focusProfile = await chrome.runtime.sendMessage({ action: 'getFocusProfile' });
+  await loadSnoozes();
+  
+  // Rules edited in the options page apply without a reload
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && (changes.sectionRules || changes.preferences)) {
+      loadSectionRules();
+    }
+    if (areaName === 'local' && changes.preferences) {
+      loadAutopilotSensitivity();
+      loadIdleThreshold();
+    }
+  });
   
   // Wait for page to be fully loaded before setting up UI
   if (document.readyState === 'loading') {
@@ -112,6 +335,16 @@ let isBlurActive = false;          // Whether any blur effect is currently activ
   
   // Listen for tab visibility changes to pause/resume timer
   document.addEventListener('visibilitychange', handleVisibilityChange);
+  
+  // Track page activity so an unattended tab stops counting
+  setupActivityTracking();
+  
+  // Measure how far and how fast the user scrolls, and what they see
+  setupScrollMetrics();
+  await loadAutopilotSensitivity();
+  
+  // Notice in-site navigations the page makes without reloading
+  setupRouteTracking();
 })();
 
 // ============================================================================
@@ -119,59 +352,726 @@ let isBlurActive = false;          // Whether any blur effect is currently activ
 // ============================================================================
 
 /**
- * Handle tab visibility changes - pause timer when hidden, resume when visible
- * This ensures we only count time the user actually spends looking at the page
+ * Handle tab visibility changes - report to background, which pauses the
+ * session clock when no tab of this platform is visible
+ * The local display interval only runs while this tab is visible
  */
 function handleVisibilityChange() {
+  // Coming back to the tab counts as activity
+  if (!document.hidden) {
+    lastActivityAt = Date.now();
+    isIdle = false;
+  }
+  reportTabVisibility();
+  
   if (document.hidden) {
-    // Tab is now hidden - pause the timer
-    // Clear the interval timer if running
+    // Send what this tab measured before another tab takes over
+    reportSessionMetrics();
+    
+    // Let a tab that is in front show the nudge instead
+    hideNudgeModal();
+    
+    // Tab is now hidden - stop updating the display
     if (sessionTimer) {
       clearInterval(sessionTimer);
       sessionTimer = null;
     }
-    // Track hidden time if there's an active session
-    if (currentSession && !hiddenStartTime) {
-      hiddenStartTime = Date.now();
-    }
     // Hide floating timer when tab is hidden
     if (floatingTimer) {
       floatingTimer.style.display = 'none';
     }
   } else {
-    // Tab is now visible - resume the timer
-    // Calculate how long the tab was hidden
-    if (hiddenStartTime && currentSession) {
-      hiddenTime += Date.now() - hiddenStartTime;
-      hiddenStartTime = null;
-    }
-    // Show floating timer again
+    // Tab is now visible - show floating timer again
     if (floatingTimer) {
       floatingTimer.style.display = 'block';
     }
-    // Resume timer if we have an active session
+    // Resume the display if we have an active session
     if (currentSession && !sessionTimer) {
       startSessionTimer();
     }
   }
 }
 
+/**
+ * Tell background whether this tab is visible
+ * @returns {Object} Session state ({ session, elapsed, running }) from background
+ */
+async function reportTabVisibility() {
+  const state = await chrome.runtime.sendMessage({
+    action: 'setTabVisibility',
+    platform: platform,
+    visible: !document.hidden,
+    idle: isIdle,
+    idleSince: lastActivityAt,
+    section: currentSection
+  });
+  
+  if (state && state.session && state.session.platform === platform && currentSession) {
+    syncSessionClock(state);
+  }
+  return state;
+}
+
 // ============================================================================
-// PLATFORM DETECTION
+// SPA ROUTE TRACKING
+// ============================================================================
+
+/**
+ * Watch for in-site navigations (Instagram DMs -> Reels, a Reddit thread ->
+ * r/all) that change the URL without reloading the content script
+ * 
+ * Page scripts call history.pushState in their own world, so it can't be
+ * patched from here. The Navigation API's currententrychange event catches
+ * those where available, popstate catches back/forward, and a cheap URL poll
+ * covers anything else.
+ */
+function setupRouteTracking() {
+  window.addEventListener('popstate', checkRouteChange);
+  if (window.navigation) {
+    window.navigation.addEventListener('currententrychange', checkRouteChange);
+  }
+  setInterval(checkRouteChange, ROUTE_CHECK_INTERVAL);
+}
+
+/**
+ * Report the new section to background when the URL moved to another one
+ */
+function checkRouteChange() {
+  if (location.href === currentUrl) return;
+  currentUrl = location.href;
+  
+  const section = findSectionByUrl(currentUrl, platformInfo);
+  if (section === currentSection) return;
+  currentSection = section;
+  sectionRule = getSectionRule(platformInfo, currentSection, sectionRules);
+  
+  // Hidden tabs report their section when they become visible again
+  if (!document.hidden) {
+    chrome.runtime.sendMessage({
+      action: 'setSection',
+      platform: platform,
+      section: currentSection
+    });
+  }
+}
+
+// ============================================================================
+// SECTION RULES
+// ============================================================================
+
+/**
+ * Load section rule overrides and the blur preference they fall back to
+ */
+async function loadSectionRules() {
+  const data = await chrome.storage.local.get(['sectionRules', 'preferences']);
+  sectionRules = data.sectionRules || {};
+  blurPreference = data.preferences?.blurIntensity ?? 50;
+  sectionRule = getSectionRule(platformInfo, currentSection, sectionRules);
+}
+
+/**
+ * Blur intensity (0-100) for the current section
+ * Section rule first, then the active focus window, then Preferences
+ * @param {Object} preferences - Freshly read preferences, if the caller has them
+ * @returns {number}
+ */
+function getBlurIntensity(preferences) {
+  const intensity = sectionRule?.blurIntensity ??
+    focusProfile?.blurIntensity ??
+    preferences?.blurIntensity ??
+    blurPreference;
+  return Math.max(0, Math.min(100, intensity));
+}
+
+/**
+ * Session time that counts toward daily usage (uncounted sections left out)
+ * @param {number} elapsed - Current session elapsed time in milliseconds
+ * @returns {number} - Milliseconds
+ */
+function getCountedElapsed(elapsed) {
+  const sectionTimes = getSessionSectionTimes(currentSession, elapsed);
+  return Math.max(0, elapsed - getUncountedTime(platformInfo, sectionTimes, sectionRules));
+}
+
+/**
+ * Time spent in the current section today: finished sessions plus this one
+ * @param {number} elapsed - Current session elapsed time in milliseconds
+ * @returns {number} - Milliseconds
+ */
+function getSectionUsedToday(elapsed) {
+  const finished = (platformBudget?.sections?.[currentSection] || 0) * 60000;
+  const current = getSessionSectionTimes(currentSession, elapsed)[currentSection] || 0;
+  return finished + current;
+}
+
+/**
+ * Check whether the current section has passed its own daily limit
+ * @param {number} elapsed - Current session elapsed time in milliseconds
+ * @returns {boolean}
+ */
+function isSectionLimitReached(elapsed) {
+  if (!sectionRule?.limit || !platformBudget) return false;
+  return getSectionUsedToday(elapsed) >= sectionRule.limit * 60000;
+}
+
+/**
+ * Show the limit reached modal for the current section
+ * Fires once per section per session, like the platform limit
+ * @param {number} elapsed - Current session elapsed time in milliseconds
+ */
+function showSectionLimitReached(elapsed) {
+  sectionLimitsShown.add(currentSection);
+  
+  if (limitModal) {
+    limitModal.remove();
+  }
+  
+  const platformName = platformInfo ? platformInfo.name : 'this site';
+  const sectionName = getSectionName(platformInfo, currentSection);
+  const usedToday = formatMinutes(getSectionUsedToday(elapsed));
+  
+  limitModal = document.createElement('div');
+  limitModal.id = 'scrollsense-limit-modal';
+  limitModal.innerHTML = `
+    <div class="scrollsense-modal-content scrollsense-limit-content">
+      <div class="scrollsense-limit-icon">⏳</div>
+      <h2>Daily ${escapeHTML(sectionName)} limit reached</h2>
+      <p class="scrollsense-limit-text">
+        You've spent <strong>${usedToday}</strong> in ${escapeHTML(sectionName)} on ${escapeHTML(platformName)} today.
+        Your limit for this section is <strong>${Number(sectionRule.limit)} min</strong>.
+      </p>
+      <div class="scrollsense-nudge-actions">
+        <button class="scrollsense-btn scrollsense-btn-primary" id="scrollsense-limit-end-btn">End session</button>
+        <button class="scrollsense-btn scrollsense-btn-secondary" id="scrollsense-limit-continue-btn">Keep going</button>
+      </div>
+    </div>
+  `;
+  
+  mountUI(limitModal);
+  
+  limitModal.querySelector('#scrollsense-limit-end-btn').addEventListener('click', async () => {
+    hideLimitModal();
+    await endSession();
+  });
+  
+  limitModal.querySelector('#scrollsense-limit-continue-btn').addEventListener('click', () => {
+    hideLimitModal();
+  });
+}
+
+// ============================================================================
+// SNOOZES
+// ============================================================================
+
+/**
+ * Fetch this platform's snoozes from background
+ */
+async function loadSnoozes() {
+  snoozes = await chrome.runtime.sendMessage({ action: 'getSnoozes', platform: platform }) || [];
+}
+
+/**
+ * Whether something is snoozed right now
+ * An 'all' snooze (ScrollSense paused) covers every kind
+ * @param {string} kind - 'prompt', 'blur' or 'all'
+ * @returns {boolean}
+ */
+function isSnoozed(kind) {
+  const now = Date.now();
+  return snoozes.some(entry => (entry.kind === kind || entry.kind === 'all') && entry.until > now);
+}
+
+/**
+ * Ask background to snooze something on this platform
+ * @param {string} kind - 'prompt', 'blur' or 'all'
+ * @param {number|string} duration - Minutes, 'today' or 'session'
+ */
+async function snooze(kind, duration) {
+  const response = await chrome.runtime.sendMessage({ action: 'addSnooze', platform: platform, kind, duration });
+  if (response?.success) {
+    snoozes = response.snoozes;
+  }
+}
+
+/**
+ * End a snooze on this platform early
+ * @param {string} kind - 'prompt', 'blur' or 'all'
+ */
+async function cancelSnooze(kind) {
+  await chrome.runtime.sendMessage({ action: 'cancelSnooze', platform: platform, kind });
+  snoozes = snoozes.filter(entry => entry.kind !== kind);
+}
+
+/**
+ * Mirror a snooze started in another tab or the popup
+ * Takes down whatever the snooze holds off here, as the tab that
+ * started it already did for itself
+ */
+function applySnoozes() {
+  if (isSnoozed('prompt')) {
+    hideIntentPrompts();
+  }
+  if (isSnoozed('blur')) {
+    stopPostSessionBlur();
+    hideBlurControlPopup();
+    hideBlurControlIndicator();
+    removeBlurEffect();
+  }
+  if (isSnoozed('all')) {
+    hideNudgeModal();
+    hideCheckIn();
+    hideLimitModal();
+    hideDailyLimitBanner();
+    hideDailyLimitModal();
+  } else {
+    applyDeferredDailyLimit();
+  }
+}
+
+// ============================================================================
+// FOCUS WINDOWS
+// ============================================================================
+
+/**
+ * Switch to the focus window background says is active
+ * A running session picks up the window's limit straight away
+ * @param {Object|null} profile - Active focus window, or null
+ */
+async function applyFocusProfile(profile) {
+  focusProfile = profile || null;
+  
+  if (currentSession) {
+    await loadPlatformBudget();
+  }
+}
+
+/**
+ * Message tone for nudges: the focus window's, else the Preferences one
+ * @param {Object} preferences - Stored preferences
+ * @returns {string}
+ */
+function getMessageTone(preferences) {
+  return focusProfile?.messageTone || preferences?.messageTone || 'encouraging';
+}
+
+// ============================================================================
+// IDLE DETECTION
+// ============================================================================
+
+/**
+ * Listen for scroll, key and pointer activity and check for inactivity
+ * The threshold comes from the Preferences tab
+ */
+async function setupActivityTracking() {
+  await loadIdleThreshold();
+  
+  ACTIVITY_EVENTS.forEach(eventName => {
+    window.addEventListener(eventName, recordActivity, { passive: true, capture: true });
+  });
+  
+  idleCheckTimer = setInterval(checkIdle, IDLE_CHECK_INTERVAL);
+}
+
+/**
+ * Read the idle threshold from preferences
+ * Called at startup and again whenever preferences change
+ */
+async function loadIdleThreshold() {
+  const data = await chrome.storage.local.get(['preferences']);
+  idleThreshold = Number(data.preferences?.idleThreshold) || idleThreshold;
+}
+
+/**
+ * Note user activity; resumes the session if the tab was idle
+ */
+function recordActivity() {
+  lastActivityAt = Date.now();
+  if (isIdle) {
+    isIdle = false;
+    reportTabVisibility();
+  }
+}
+
+/**
+ * Mark the tab idle once there has been no activity for the threshold
+ * Background backdates the pause to the last activity
+ */
+function checkIdle() {
+  if (isIdle || document.hidden) return;
+  
+  if (Date.now() - lastActivityAt >= idleThreshold * 60000) {
+    isIdle = true;
+    reportTabVisibility();
+  }
+}
+
 // ============================================================================
+// SCROLL METRICS
+// ============================================================================
+
+/**
+ * Start measuring scroll distance, scroll speed and items viewed
+ * Feeds often scroll an inner element rather than the page, so scroll
+ * events are caught at the window in the capture phase
+ */
+function setupScrollMetrics() {
+  window.addEventListener('scroll', recordScroll, { passive: true, capture: true });
+  
+  itemObserver = new IntersectionObserver(handleItemVisibility, { threshold: ITEM_VISIBLE_RATIO });
+  metricsTimer = setInterval(() => {
+    if (!currentSession || document.hidden) return;
+    observeFeedItems();
+    if (Date.now() - lastMetricsReportAt >= METRICS_REPORT_INTERVAL) {
+      reportSessionMetrics();
+    }
+  }, ITEM_SCAN_INTERVAL);
+}
+
+/**
+ * Add the distance of one scroll event, in viewport heights
+ * @param {Event} event - scroll event from the page or any scrolling element
+ */
+function recordScroll(event) {
+  const element = event.target === document ? document.scrollingElement : event.target;
+  if (!element || typeof element.scrollTop !== 'number') return;
+  
+  const position = element.scrollTop;
+  const previous = scrollPositions.get(element);
+  scrollPositions.set(element, position);
+  if (previous === undefined || !currentSession || document.hidden) return;
+  
+  const screens = Math.abs(position - previous) / Math.max(1, window.innerHeight);
+  pendingMetrics.screens += screens;
+  trackScrollVelocity(screens);
+}
+
+/**
+ * Count a burst each time scrolling speeds up past BURST_SCREENS_PER_SECOND
+ * Speed is measured over BURST_WINDOW; a burst lasts until it slows down
+ * @param {number} screens - Screens just scrolled
+ */
+function trackScrollVelocity(screens) {
+  const now = Date.now();
+  
+  if (now - velocitySample.start >= BURST_WINDOW) {
+    const seconds = (now - velocitySample.start) / 1000;
+    const isFast = velocitySample.screens / seconds >= BURST_SCREENS_PER_SECOND;
+    if (isFast && !inScrollBurst) {
+      pendingMetrics.bursts++;
+      fastScrollSince = velocitySample.start;
+    }
+    if (isFast) {
+      lastFastWindowAt = now;
+    }
+    inScrollBurst = isFast;
+    velocitySample = { start: now, screens: 0 };
+  }
+  
+  velocitySample.screens += screens;
+}
+
+/**
+ * Hand feed items that appeared since the last scan to the observer
+ */
+function observeFeedItems() {
+  document.querySelectorAll(getItemSelector(platformInfo)).forEach(item => {
+    if (observedItems.has(item)) return;
+    observedItems.add(item);
+    itemObserver.observe(item);
+  });
+}
+
+/**
+ * Count items the first time they are mostly on screen during a session
+ * @param {IntersectionObserverEntry[]} entries
+ */
+function handleItemVisibility(entries) {
+  if (!currentSession || document.hidden) return;
+  
+  entries.forEach(entry => {
+    if (!entry.isIntersecting || viewedItems.has(entry.target)) return;
+    viewedItems.add(entry.target);
+    pendingMetrics.items++;
+    recentItemViews = [...recentItemViews, Date.now()].slice(-AUTOPILOT_DWELL_ITEMS);
+  });
+}
+
+/**
+ * Session totals including what this tab has not reported yet
+ * @returns {Object} - { screens, bursts, items }
+ */
+function getSessionMetrics() {
+  const reported = currentSession?.metrics || {};
+  return {
+    screens: (reported.screens || 0) + pendingMetrics.screens,
+    bursts: (reported.bursts || 0) + pendingMetrics.bursts,
+    items: (reported.items || 0) + pendingMetrics.items
+  };
+}
+
+/**
+ * Send metrics measured since the last report to background
+ */
+async function reportSessionMetrics() {
+  lastMetricsReportAt = Date.now();
+  const metrics = pendingMetrics;
+  if (!currentSession || (metrics.screens === 0 && metrics.bursts === 0 && metrics.items === 0)) return;
+  
+  pendingMetrics = { screens: 0, bursts: 0, items: 0 };
+  const response = await chrome.runtime.sendMessage({
+    action: 'addSessionMetrics',
+    platform: platform,
+    metrics
+  });
+  
+  if (response?.success && currentSession) {
+    currentSession.metrics = response.metrics;
+  }
+}
+
+/**
+ * Forget unreported metrics and viewed items when a session ends
+ */
+function resetSessionMetrics() {
+  pendingMetrics = { screens: 0, bursts: 0, items: 0 };
+  viewedItems = new WeakSet();
+  inScrollBurst = false;
+  resetAutopilotSignals();
+  hideCheckIn();
+}
+
+// ============================================================================
+// AUTOPILOT CHECK-INS
+// ============================================================================
+
+/**
+ * Read the check-in sensitivity from preferences ('off', 'low', 'medium', 'high')
+ */
+async function loadAutopilotSensitivity() {
+  const data = await chrome.storage.local.get(['preferences']);
+  autopilotSensitivity = data.preferences?.autopilotSensitivity || 'medium';
+}
 
 /**
- * Detect which supported platform the user is on
- * @returns {string|null} Platform name or null if not supported
+ * Forget the scrolling behaviour measured so far
  */
-function detectPlatform() {
-  const hostname = window.location.hostname;
-  if (hostname.includes('instagram.com')) return 'instagram';
-  if (hostname.includes('linkedin.com')) return 'linkedin';
-  if (hostname.includes('reddit.com')) return 'reddit';
+function resetAutopilotSignals() {
+  fastScrollSince = null;
+  lastFastWindowAt = null;
+  recentItemViews = [];
+}
+
+/**
+ * Decide whether the user looks to be scrolling on autopilot
+ * @returns {string|null} - 'velocity', 'dwell', or null
+ */
+function detectAutopilot() {
+  const level = AUTOPILOT_LEVELS[autopilotSensitivity];
+  if (!level) return null;
+  const now = Date.now();
+  
+  // Fast scrolling that is still going on and has lasted long enough
+  const stillFast = lastFastWindowAt && now - lastFastWindowAt <= BURST_WINDOW * 2;
+  if (stillFast && fastScrollSince && lastFastWindowAt - fastScrollSince >= level.sustainedScroll) {
+    return 'velocity';
+  }
+  
+  // The last few items each got less than a glance
+  if (recentItemViews.length >= AUTOPILOT_DWELL_ITEMS && now - recentItemViews[recentItemViews.length - 1] <= level.dwell * 2) {
+    const span = recentItemViews[recentItemViews.length - 1] - recentItemViews[0];
+    if (span / (recentItemViews.length - 1) < level.dwell) {
+      return 'dwell';
+    }
+  }
+  
   return null;
 }
 
+/**
+ * Show a check-in if scrolling looks mindless and nothing else is on screen
+ * Called from the session timer
+ * @param {number} elapsed - Current session elapsed time in milliseconds
+ */
+function checkAutopilot(elapsed) {
+  if (checkInCard || nudgeModal || limitModal || isSnoozed('all')) return;
+  if (Date.now() - lastCheckInAt < AUTOPILOT_COOLDOWN) return;
+  
+  const trigger = detectAutopilot();
+  if (trigger) {
+    showCheckIn(trigger, elapsed);
+  }
+}
+
+/**
+ * Show the gentle "pause" check-in card
+ * It doesn't block the page; the answer is logged on the session
+ * @param {string} trigger - 'velocity' or 'dwell'
+ * @param {number} elapsed - Session elapsed time when it fired (ms)
+ */
+function showCheckIn(trigger, elapsed) {
+  lastCheckInAt = Date.now();
+  resetAutopilotSignals();
+  
+  const message = trigger === 'velocity'
+    ? 'You\'ve been scrolling fast for a while. Take a breath?'
+    : 'Things are flying past pretty quickly. Still with it?';
+  
+  checkInCard = document.createElement('div');
+  checkInCard.id = 'scrollsense-checkin';
+  checkInCard.innerHTML = `
+    <div class="scrollsense-checkin-icon">⏸️</div>
+    <div class="scrollsense-checkin-body">
+      <p class="scrollsense-checkin-text">${message}</p>
+      ${currentSession?.purpose ? `
+        <p class="scrollsense-checkin-purpose">🎯 ${escapeHTML(currentSession.purpose)}</p>
+      ` : ''}
+      <div class="scrollsense-checkin-actions">
+        <button class="scrollsense-btn scrollsense-btn-secondary" id="scrollsense-checkin-continue">I'm on purpose</button>
+        <button class="scrollsense-btn scrollsense-btn-primary" id="scrollsense-checkin-end">End session</button>
+      </div>
+    </div>
+  `;
+  
+  mountUI(checkInCard);
+  
+  checkInCard.querySelector('#scrollsense-checkin-continue').addEventListener('click', async () => {
+    hideCheckIn();
+    await logCheckIn(trigger, elapsed, 'continued');
+  });
+  
+  checkInCard.querySelector('#scrollsense-checkin-end').addEventListener('click', async () => {
+    hideCheckIn();
+    await logCheckIn(trigger, elapsed, 'ended');
+    await endSession();
+  });
+}
+
+/**
+ * Record a check-in and the user's answer on the session
+ * @param {string} trigger - 'velocity' or 'dwell'
+ * @param {number} elapsed - Session elapsed time when it fired (ms)
+ * @param {string} response - 'continued' or 'ended'
+ */
+async function logCheckIn(trigger, elapsed, response) {
+  await chrome.runtime.sendMessage({
+    action: 'logCheckIn',
+    platform: platform,
+    checkIn: {
+      trigger,
+      response,
+      sensitivity: autopilotSensitivity,
+      at: Date.now(),
+      elapsed: Math.round(elapsed / 60000 * 10) / 10, // Session minutes when it fired
+      section: currentSection
+    }
+  });
+}
+
+// Hide the autopilot check-in card
+function hideCheckIn() {
+  if (checkInCard) {
+    checkInCard.remove();
+    checkInCard = null;
+  }
+}
+
+// ============================================================================
+// SESSION CLOCK STATE
+// ============================================================================
+
+/**
+ * Store the latest session state from background
+ * @param {Object} state - { session, elapsed, running }
+ */
+function syncSessionClock(state) {
+  currentSession = state.session;
+  sessionClock = {
+    elapsed: state.elapsed || 0,
+    running: !!state.running,
+    syncedAt: Date.now()
+  };
+}
+
+/**
+ * Active session time as of now, derived from the last background state
+ * @returns {number} Elapsed active time in milliseconds
+ */
+function getSessionElapsed() {
+  if (!sessionClock) return 0;
+  const sinceSync = sessionClock.running ? Date.now() - sessionClock.syncedAt : 0;
+  return sessionClock.elapsed + sinceSync;
+}
+
+/**
+ * Handle a session state broadcast from background
+ * Adopts a session started in another tab of this platform and stops the
+ * display when the session ends elsewhere or another platform's replaces it
+ * @param {Object} state - { session, elapsed, running, endedPlatform }
+ */
+async function handleSessionState(state) {
+  const session = state.session;
+  
+  if (session && session.platform === platform) {
+    const isNewHere = !currentSession;
+    const wasExtended = !isNewHere && session.intendedTime > currentSession.intendedTime;
+    syncSessionClock(state);
+    
+    if (isNewHere) {
+      hideIntentPrompts();
+      hideNudgeModal();
+      stopPostSessionBlur();
+      resetSessionBlur();
+      await loadPlatformBudget();
+    } else if (wasExtended) {
+      // Extended from another tab or the popup: the nudge was answered there
+      hideNudgeModal();
+      resetSessionBlur();
+    }
+    if (!document.hidden && !sessionTimer) {
+      startSessionTimer();
+    }
+  } else if (currentSession) {
+    // Ended from another tab or the popup, or replaced by a session on
+    // another platform: background no longer counts this one
+    stopSessionClock();
+    hideNudgeModal();
+    hideLimitModal();
+    hideCheckIn();
+    resetSessionBlur();
+  }
+}
+
+/**
+ * Stop the timer display and forget the local session state
+ */
+function stopSessionClock() {
+  if (sessionTimer) {
+    clearInterval(sessionTimer);
+    sessionTimer = null;
+  }
+  hideFloatingTimer();
+  resetSessionMetrics();
+  currentSession = null;
+  sessionClock = null;
+  platformBudget = null;
+}
+
+// ============================================================================
+// PLATFORM DETECTION
+// ============================================================================
+
+/**
+ * Detect which registered platform the user is on
+ * Also caches the registry entry in platformInfo for display names
+ * @returns {string|null} Platform id or null if not supported
+ */
+async function detectPlatform() {
+  const platforms = await getPlatforms();
+  const id = findPlatformByUrl(window.location.href, platforms);
+  platformInfo = id ? getPlatformInfo(id, platforms) : null;
+  return id;
+}
+
 // ============================================================================
 // EXTENSION SETUP
 // ============================================================================
@@ -181,12 +1081,12 @@ function detectPlatform() {
  * Called after page is fully loaded
  */
 async function setupExtension() {
-  // Check if session already started
-  const data = await chrome.storage.local.get(['currentSession', 'currentPlatform', 'skipUntil']);
+  // Register this tab with the background clock and check for a running session
+  const state = await reportTabVisibility();
   
-  if (data.currentSession && data.currentPlatform === platform) {
+  if (state && state.session && state.session.platform === platform) {
     // Resume existing session
-    currentSession = data.currentSession;
+    syncSessionClock(state);
     
     // Stop any post-session blur if active
     if (isPostSessionBlurActive && postSessionBlurTimer) {
@@ -205,10 +1105,10 @@ async function setupExtension() {
       }
     }
     
-    // If tab is already hidden, start tracking hidden time
-    if (document.hidden) {
-      hiddenStartTime = Date.now();
-    } else {
+    await loadPlatformBudget();
+    
+    // Only run the display while the tab is visible
+    if (!document.hidden) {
       startSessionTimer();
     }
   } else {
@@ -217,36 +1117,47 @@ async function setupExtension() {
       return;
     }
     
-    // Check if user has skipped
-    const skipUntil = data.skipUntil?.[platform];
-    const now = Date.now();
-    
-    if (skipUntil && now < skipUntil) {
-      // User has skipped, don't show anything for now
-      // But show mini prompt after a short delay
-      setTimeout(() => {
-        showMiniPrompt();
-      }, 3000);
-    } else {
-      // Show full intent prompt
-      showIntentPrompt();
+    // While ScrollSense is paused here ('all') there is no prompt at all
+    if (!isSnoozed('all')) {
+      if (isSnoozed('prompt')) {
+        // User has skipped, don't show anything for now
+        // But show mini prompt after a short delay
+        setTimeout(() => {
+          showMiniPrompt();
+        }, 3000);
+      } else {
+        // Show full intent prompt
+        showIntentPrompt();
+      }
     }
   }
   
+  // Restore the daily budget intervention if today's limit was already crossed
+  const dailyLimitStatus = await chrome.runtime.sendMessage({ action: 'getDailyLimitStatus' });
+  if (dailyLimitStatus && dailyLimitStatus.level > 0) {
+    applyDailyLimitLevel(dailyLimitStatus);
+  }
+  
   // Listen for messages from background and popup
   chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-    if (request.action === 'sessionStarted') {
-      currentSession = request.session;
-      // Reset hidden time tracking
-      hiddenTime = 0;
-      hiddenStartTime = null;
-      
-      // Only start timer if tab is visible
-      if (document.hidden) {
-        hiddenStartTime = Date.now();
-      } else {
-        startSessionTimer();
-      }
+    if (request.action === 'sessionState' || request.action === 'sessionTick') {
+      handleSessionState(request);
+      sendResponse({ success: true });
+    }
+    
+    if (request.action === 'dailyLimitThreshold') {
+      applyDailyLimitLevel(request);
+      sendResponse({ success: true });
+    }
+    
+    if (request.action === 'focusProfile') {
+      applyFocusProfile(request.profile);
+      sendResponse({ success: true });
+    }
+    
+    if (request.action === 'snoozeState' && request.platform === platform) {
+      snoozes = request.snoozes || [];
+      applySnoozes();
       sendResponse({ success: true });
     }
     
@@ -265,11 +1176,24 @@ async function setupExtension() {
 // INTENT PROMPT & SESSION START
 // ============================================================================
 
+// Labels for preset buttons by position (shortest first)
+const INTENT_LABELS = ['Quick check', 'Specific task', 'Browsing time'];
+
 /**
  * Display the intent prompt modal asking user how long they plan to browse
  * This is the main entry point for starting a mindful session
+ * Offers this platform's presets (Limits tab) plus a custom duration, and
+ * highlights the intent used last time on this platform
  */
-function showIntentPrompt() {
+async function showIntentPrompt() {
+  const data = await chrome.storage.local.get(['intentPresets', 'lastIntents']);
+  // Stored values end up in page markup, so only whole minutes get through
+  const presets = (focusProfile?.presets?.length > 0
+    ? focusProfile.presets
+    : getIntentPresets(platform, data.intentPresets)).map(Number).filter(Number.isFinite);
+  const lastIntent = Number(data.lastIntents?.[platform]) || null;
+  const lastIsCustom = lastIntent && !presets.includes(lastIntent);
+  
   // Remove any existing prompt or mini prompt
   if (intentPrompt) {
     intentPrompt.remove();
@@ -285,20 +1209,24 @@ function showIntentPrompt() {
     <div class="scrollsense-modal-content">
       <h2>What's your intention for this session?</h2>
       <p class="scrollsense-subtitle">Setting an intention helps you stay mindful</p>
+      ${focusProfile ? `
+        <p class="scrollsense-focus-badge">🕘 ${escapeHTML(focusProfile.name)} is on</p>
+      ` : ''}
+      <input type="text" class="scrollsense-intent-purpose" id="scrollsense-intent-purpose" maxlength="120" placeholder="What are you here for? (optional, e.g. reply to recruiter)">
       <div class="scrollsense-intent-options">
-        <button class="scrollsense-intent-btn" data-minutes="1">
-          <span class="scrollsense-intent-time">1 min</span>
-          <span class="scrollsense-intent-label">Quick check</span>
-        </button>
-        <button class="scrollsense-intent-btn" data-minutes="2">
-          <span class="scrollsense-intent-time">2 min</span>
-          <span class="scrollsense-intent-label">Specific task</span>
-        </button>
-        <button class="scrollsense-intent-btn" data-minutes="5">
-          <span class="scrollsense-intent-time">5 min</span>
-          <span class="scrollsense-intent-label">Browsing time</span>
-        </button>
+        ${presets.map((minutes, index) => `
+          <button class="scrollsense-intent-btn${minutes === lastIntent ? ' scrollsense-intent-last' : ''}" data-minutes="${minutes}">
+            <span class="scrollsense-intent-time">${minutes} min</span>
+            <span class="scrollsense-intent-label">${minutes === lastIntent ? 'Last time' : INTENT_LABELS[Math.min(index, INTENT_LABELS.length - 1)]}</span>
+          </button>
+        `).join('')}
       </div>
+      <form class="scrollsense-intent-custom${lastIsCustom ? ' scrollsense-intent-last' : ''}" id="scrollsense-intent-custom">
+        <label for="scrollsense-intent-custom-input">${lastIsCustom ? 'Last time:' : 'Or set your own:'}</label>
+        <input type="number" id="scrollsense-intent-custom-input" min="1" max="${MAX_INTENT_MINUTES}" step="1" placeholder="min" value="${lastIsCustom ? lastIntent : ''}">
+        <span>min</span>
+        <button type="submit" class="scrollsense-intent-custom-btn">Start</button>
+      </form>
       <div class="scrollsense-skip-options">
         <button class="scrollsense-skip-btn" data-skip="now">Skip for now</button>
         <button class="scrollsense-skip-btn" data-skip="hour">Skip for 1 hour</button>
@@ -307,7 +1235,7 @@ function showIntentPrompt() {
     </div>
   `;
   
-  document.body.appendChild(intentPrompt);
+  mountUI(intentPrompt);
   
   // Add event listeners for intent buttons
   intentPrompt.querySelectorAll('.scrollsense-intent-btn').forEach(btn => {
@@ -317,49 +1245,57 @@ function showIntentPrompt() {
     });
   });
   
+  // Custom duration
+  const customForm = intentPrompt.querySelector('#scrollsense-intent-custom');
+  const customInput = intentPrompt.querySelector('#scrollsense-intent-custom-input');
+  customForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const minutes = parseInt(customInput.value);
+    if (minutes >= 1 && minutes <= MAX_INTENT_MINUTES) {
+      startSessionWithIntent(minutes);
+    } else {
+      customInput.classList.add('scrollsense-input-invalid');
+      customInput.focus();
+    }
+  });
+  customInput.addEventListener('input', () => {
+    customInput.classList.remove('scrollsense-input-invalid');
+  });
+  
   // Add event listeners for skip buttons
   intentPrompt.querySelectorAll('.scrollsense-skip-btn').forEach(btn => {
     btn.addEventListener('click', async () => {
       const skipType = btn.dataset.skip;
       await handleSkip(skipType);
-      intentPrompt.remove();
-      intentPrompt = null;
+      hideIntentPrompts();
     });
   });
 }
 
-// Handle skip with different durations
+// Handle skip with different durations (a prompt snooze in background)
 async function handleSkip(skipType) {
-  const now = Date.now();
-  let skipUntil;
+  let duration;
   
   switch (skipType) {
     case 'hour':
-      skipUntil = now + (60 * 60 * 1000); // 1 hour
+      duration = 60; // 1 hour
       break;
     case 'today':
-      // Skip until end of today (midnight)
-      const tomorrow = new Date();
-      tomorrow.setHours(24, 0, 0, 0);
-      skipUntil = tomorrow.getTime();
+      duration = 'today'; // Until midnight
       break;
     case 'now':
     default:
-      skipUntil = now + (5 * 60 * 1000); // 5 minutes for "skip for now"
+      duration = 5; // 5 minutes for "skip for now"
       break;
   }
   
-  // Save skip preference
-  const data = await chrome.storage.local.get(['skipUntil']);
-  const skipData = data.skipUntil || {};
-  skipData[platform] = skipUntil;
-  await chrome.storage.local.set({ skipUntil: skipData });
+  await snooze('prompt', duration);
 }
 
 // Show a less intrusive mini prompt for returning users
 function showMiniPrompt() {
-  // Don't show if there's already a session or other prompts
-  if (currentSession || intentPrompt || miniPrompt) return;
+  // Don't show if there's already a session or other prompts, or while paused
+  if (currentSession || intentPrompt || miniPrompt || isSnoozed('all')) return;
   
   miniPrompt = document.createElement('div');
   miniPrompt.id = 'scrollsense-mini-prompt';
@@ -373,15 +1309,12 @@ function showMiniPrompt() {
     </div>
   `;
   
-  document.body.appendChild(miniPrompt);
+  mountUI(miniPrompt);
   
   // Add event listeners
   miniPrompt.querySelector('.scrollsense-mini-yes').addEventListener('click', async () => {
-    // Clear skip preference and show full prompt
-    const data = await chrome.storage.local.get(['skipUntil']);
-    const skipData = data.skipUntil || {};
-    delete skipData[platform];
-    await chrome.storage.local.set({ skipUntil: skipData });
+    // Clear the skip and show full prompt
+    await cancelSnooze('prompt');
     
     miniPrompt.remove();
     miniPrompt = null;
@@ -390,14 +1323,9 @@ function showMiniPrompt() {
   
   miniPrompt.querySelector('.scrollsense-mini-no').addEventListener('click', async () => {
     // Extend skip by 30 minutes
-    const skipUntil = Date.now() + (30 * 60 * 1000);
-    const data = await chrome.storage.local.get(['skipUntil']);
-    const skipData = data.skipUntil || {};
-    skipData[platform] = skipUntil;
-    await chrome.storage.local.set({ skipUntil: skipData });
+    await snooze('prompt', 30);
     
-    miniPrompt.remove();
-    miniPrompt = null;
+    hideIntentPrompts();
   });
   
   miniPrompt.querySelector('.scrollsense-mini-close').addEventListener('click', () => {
@@ -419,7 +1347,25 @@ function showMiniPrompt() {
   }, 10000);
 }
 
+/**
+ * Remove the intent prompt and mini prompt, if shown
+ */
+function hideIntentPrompts() {
+  if (intentPrompt) {
+    intentPrompt.remove();
+    intentPrompt = null;
+  }
+  if (miniPrompt) {
+    miniPrompt.remove();
+    miniPrompt = null;
+  }
+}
+
 async function startSessionWithIntent(minutes) {
+  // Read the optional purpose before the prompt goes away
+  const purposeInput = intentPrompt?.querySelector('#scrollsense-intent-purpose');
+  const purpose = purposeInput ? purposeInput.value.trim() : '';
+  
   if (intentPrompt) {
     intentPrompt.remove();
     intentPrompt = null;
@@ -430,41 +1376,50 @@ async function startSessionWithIntent(minutes) {
   removeBlurEffect();
   hideBlurControlIndicator();
   
-  // Send message to background to start session
+  // Send message to background to start session (background owns the clock)
   const response = await chrome.runtime.sendMessage({
     action: 'startSession',
     intent: minutes,
-    platform: platform
+    platform: platform,
+    visible: !document.hidden,
+    purpose: purpose,
+    section: currentSection
   });
   
   if (response && response.success) {
-    // Reset hidden time tracking for new session
-    hiddenTime = 0;
-    hiddenStartTime = null;
+    syncSessionClock(response);
     
-    currentSession = {
-      platform: platform,
-      intent: minutes,
-      startTime: Date.now(),
-      intendedTime: minutes * 60000
-    };
+    await loadPlatformBudget();
     
-    // Only start timer if tab is visible, otherwise track hidden time
-    if (document.hidden) {
-      hiddenStartTime = Date.now();
-    } else {
+    // Only run the display while the tab is visible
+    if (!document.hidden) {
       startSessionTimer();
     }
   }
 }
 
+/**
+ * Extend the current session's intended time
+ * Updated locally first so the next display tick doesn't re-trigger the nudge
+ * @param {number} minutes - Minutes to add
+ */
+async function extendCurrentSession(minutes) {
+  if (!currentSession) return;
+  currentSession.intendedTime += minutes * 60000;
+  
+  const state = await chrome.runtime.sendMessage({ action: 'extendSession', minutes: minutes });
+  if (state && state.session) {
+    syncSessionClock(state);
+  }
+}
+
 // ============================================================================
 // SESSION TIMER & TRACKING
 // ============================================================================
 
 /**
- * Start the session timer interval
- * Updates floating timer display every second
+ * Start the session timer display interval
+ * Updates floating timer display every second from the background clock state
  * Triggers nudge and blur when user exceeds intended time
  */
 function startSessionTimer() {
@@ -478,34 +1433,56 @@ function startSessionTimer() {
     clearInterval(sessionTimer);
   }
   
-  const startTime = currentSession.startTime || Date.now();
-  
   // Show floating timer
   showFloatingTimer();
   
   // Update timer every second
   sessionTimer = setInterval(async () => {
+    if (!currentSession) return;
+    
     // Read intendedTime from currentSession each tick (so it updates when extended)
-    const intendedTime = currentSession ? currentSession.intendedTime : 0;
+    const intendedTime = currentSession.intendedTime;
     
-    // Calculate elapsed time excluding hidden time
-    const elapsed = Date.now() - startTime - hiddenTime;
+    // Active time comes from the background clock (pauses already excluded)
+    const elapsed = getSessionElapsed();
     const elapsedMinutes = elapsed / 60000;
     const intendedMinutes = intendedTime / 60000;
     
     // Update floating timer display
     updateFloatingTimer(elapsed, intendedTime);
     
+    // Paused from the blur controls: keep counting, don't intervene
+    if (isSnoozed('all')) return;
+    
+    // Daily platform limit takes priority over the per-session overtime nudge
+    if (isPlatformLimitReached(elapsed) && !limitReachedShown && !nudgeModal) {
+      showLimitReached(elapsed);
+    }
+    
+    // Then the current section's own limit (Sections tab)
+    if (isSectionLimitReached(elapsed) && !sectionLimitsShown.has(currentSection) && !nudgeModal && !limitModal) {
+      showSectionLimitReached(elapsed);
+    }
+    
+    // Rapid mindless scrolling gets a check-in even within the intended time
+    if (elapsed <= intendedTime) {
+      checkAutopilot(elapsed);
+    }
+    
     // Show nudge if over intended time
-    if (elapsed > intendedTime && !nudgeModal) {
+    if (elapsed > intendedTime && !nudgeModal && !limitModal) {
+      hideCheckIn();
       await showNudge(elapsedMinutes, intendedMinutes);
     }
     
-    // Progressive blur after intended time
-    if (elapsed > intendedTime) {
-      const overTime = elapsed - intendedTime;
+    // Progressive blur after intended time, scaled by the section's blur
+    // intensity (the default 50 leaves it unchanged; 0 turns it off).
+    // A focus window can ask for some blur from the start
+    const baseBlurPercent = focusProfile?.blurImmediately ? FOCUS_BLUR_PERCENT : 0;
+    if (elapsed > intendedTime || baseBlurPercent > 0) {
+      const overTime = Math.max(0, elapsed - intendedTime);
       const blurPercent = Math.min(50, (overTime / (intendedTime * 0.5)) * 50); // Max 50% blur over 50% of intended time
-      applyProgressiveBlur(blurPercent);
+      applyProgressiveBlur(Math.max(baseBlurPercent, blurPercent) * getBlurIntensity() / 50);
     }
   }, 1000);
 }
@@ -536,7 +1513,7 @@ function showFloatingTimer() {
   // Add click handler to show usage popup
   floatingTimer.addEventListener('click', toggleTimerPopup);
   
-  document.body.appendChild(floatingTimer);
+  mountUI(floatingTimer);
 }
 
 // Format time as "X min" for daily usage display
@@ -554,6 +1531,12 @@ function formatMinutes(ms) {
   return `${totalMinutes} min`;
 }
 
+// Format scroll distance as "X screens"
+function formatScreens(screens) {
+  const rounded = Math.round(screens);
+  return `${rounded} ${rounded === 1 ? 'screen' : 'screens'}`;
+}
+
 // Toggle the timer usage popup
 async function toggleTimerPopup() {
   if (timerPopup) {
@@ -563,7 +1546,7 @@ async function toggleTimerPopup() {
   
   // Get today's usage from storage
   const data = await chrome.storage.local.get(['dailyUsage']);
-  let dailyUsage = data.dailyUsage || { instagram: 0, linkedin: 0, reddit: 0, total: 0 };
+  let dailyUsage = data.dailyUsage || { total: 0 };
   
   // Calculate current session time (currentElapsed is in milliseconds)
   const sessionTime = formatTime(currentElapsed);
@@ -578,10 +1561,8 @@ async function toggleTimerPopup() {
     // Reset corrupted daily usage
     dailyUsage = {
       lastReset: new Date().toDateString(),
-      instagram: 0,
-      linkedin: 0,
-      reddit: 0,
-      total: 0
+      total: 0,
+      limitsReached: {}
     };
     await chrome.storage.local.set({ dailyUsage });
     storedPlatformMinutes = 0;
@@ -597,7 +1578,7 @@ async function toggleTimerPopup() {
   const todayTotal = formatMinutes(todayTotalMs);
   
   // Get platform-specific usage
-  const platformName = platform ? platform.charAt(0).toUpperCase() + platform.slice(1) : 'Unknown';
+  const platformName = platformInfo ? platformInfo.name : 'Unknown';
   
   timerPopup = document.createElement('div');
   timerPopup.id = 'scrollsense-timer-popup';
@@ -617,12 +1598,20 @@ async function toggleTimerPopup() {
           <span>Intended</span>
           <span class="scrollsense-popup-value scrollsense-popup-intended">${intendedTime}</span>
         </div>
+        <div class="scrollsense-popup-row">
+          <span>Scrolled</span>
+          <span class="scrollsense-popup-value scrollsense-popup-screens">${formatScreens(getSessionMetrics().screens)}</span>
+        </div>
+        <div class="scrollsense-popup-row">
+          <span>Items viewed</span>
+          <span class="scrollsense-popup-value scrollsense-popup-items">${getSessionMetrics().items}</span>
+        </div>
       </div>
       <div class="scrollsense-popup-divider"></div>
       <div class="scrollsense-popup-section">
         <div class="scrollsense-popup-label">Today's Usage</div>
         <div class="scrollsense-popup-row">
-          <span>${platformName}</span>
+          <span>${escapeHTML(platformName)}</span>
           <span class="scrollsense-popup-value">${platformToday}</span>
         </div>
         <div class="scrollsense-popup-row">
@@ -634,7 +1623,7 @@ async function toggleTimerPopup() {
     <button class="scrollsense-popup-end-btn" id="scrollsense-popup-end">End Session</button>
   `;
   
-  document.body.appendChild(timerPopup);
+  mountUI(timerPopup);
   
   // Add event listeners
   timerPopup.querySelector('#scrollsense-popup-close').addEventListener('click', (e) => {
@@ -656,7 +1645,7 @@ async function toggleTimerPopup() {
 
 // Close popup when clicking outside
 function closePopupOnOutsideClick(e) {
-  if (timerPopup && !timerPopup.contains(e.target) && !floatingTimer.contains(e.target)) {
+  if (timerPopup && !isEventInside(e, timerPopup, floatingTimer)) {
     hideTimerPopup();
   }
 }
@@ -701,6 +1690,12 @@ async function updateTimerPopup(elapsed, intendedTime) {
   if (sessionTimeEl) {
     sessionTimeEl.textContent = formatTime(elapsed);
   }
+  
+  const metrics = getSessionMetrics();
+  const screensEl = timerPopup.querySelector('.scrollsense-popup-screens');
+  const itemsEl = timerPopup.querySelector('.scrollsense-popup-items');
+  if (screensEl) screensEl.textContent = formatScreens(metrics.screens);
+  if (itemsEl) itemsEl.textContent = metrics.items;
 }
 
 // Hide floating timer
@@ -727,11 +1722,16 @@ function hideFloatingTimer() {
  * @param {number} percent - Blur percentage (0-100)
  */
 function applyProgressiveBlur(percent) {
+  // "Remove for 10 min" and pauses hold the blur off until they end
+  if (isSnoozed('blur')) {
+    percent = 0;
+  }
+  
   if (!blurOverlay) {
     blurOverlay = document.createElement('div');
     blurOverlay.id = 'scrollsense-blur-overlay';
     blurOverlay.style.pointerEvents = 'none'; // Allow interaction during active session
-    document.body.appendChild(blurOverlay);
+    mountUI(blurOverlay);
   }
   
   // Reduced blur for active session: max 6px (subtle, readable)
@@ -751,6 +1751,40 @@ function applyProgressiveBlur(percent) {
 // AI NUDGE MODALS
 // ============================================================================
 
+/**
+ * Ask background for the platform's nudge claim
+ * Only one tab of a platform shows a nudge at a time; the claim is held
+ * from here until hideNudgeModal(), and a refused tab waits
+ * NUDGE_CLAIM_RETRY before asking again
+ * @returns {boolean} - Whether this tab may show a nudge now
+ */
+async function claimNudge() {
+  if (nudgeClaimed || Date.now() - nudgeClaimRefusedAt < NUDGE_CLAIM_RETRY) return false;
+  
+  nudgeClaimed = true;
+  const response = await chrome.runtime.sendMessage({ action: 'claimNudge', platform: platform })
+    .catch(() => null);
+  if (!response?.granted) {
+    nudgeClaimed = false;
+    nudgeClaimRefusedAt = Date.now();
+  }
+  return nudgeClaimed;
+}
+
+/**
+ * Remove the nudge modal and hand the claim back to background
+ */
+function hideNudgeModal() {
+  if (nudgeModal) {
+    nudgeModal.remove();
+    nudgeModal = null;
+  }
+  if (nudgeClaimed) {
+    nudgeClaimed = false;
+    chrome.runtime.sendMessage({ action: 'releaseNudge', platform: platform }).catch(() => {});
+  }
+}
+
 /**
  * Show AI-generated nudge message when user exceeds intended time
  * Displays "ScrollSense AI" badge and personalized message
@@ -758,12 +1792,14 @@ function applyProgressiveBlur(percent) {
  * @param {number} intendedTime - User's intended time (minutes)
  */
 async function showNudge(actualTime, intendedTime) {
+  if (!(await claimNudge())) return;
+  
   // Get user goals and preferences
   const data = await chrome.storage.local.get(['userGoals', 'preferences']);
   const userGoal = data.userGoals && data.userGoals.length > 0 
     ? data.userGoals[0] 
     : 'managing your time';
-  const tone = data.preferences?.messageTone || 'encouraging';
+  const tone = getMessageTone(data.preferences);
   
   // Get AI nudge
   const nudgeText = await chrome.runtime.sendMessage({
@@ -771,9 +1807,16 @@ async function showNudge(actualTime, intendedTime) {
     intendedTime: Math.round(intendedTime),
     actualTime: Math.round(actualTime),
     userGoal: userGoal,
-    tone: tone
+    tone: tone,
+    screens: Math.round(getSessionMetrics().screens)
   });
   
+  // The session may have ended or been extended elsewhere meanwhile
+  if (!nudgeClaimed || !currentSession || getSessionElapsed() <= currentSession.intendedTime) {
+    hideNudgeModal();
+    return;
+  }
+  
   // Create nudge modal
   nudgeModal = document.createElement('div');
   nudgeModal.id = 'scrollsense-nudge-modal';
@@ -783,7 +1826,10 @@ async function showNudge(actualTime, intendedTime) {
         <span class="scrollsense-ai-icon">✨</span>
         <span class="scrollsense-ai-label">ScrollSense AI</span>
       </div>
-      <p class="scrollsense-nudge-text">${nudgeText}</p>
+      <p class="scrollsense-nudge-text">${escapeHTML(nudgeText)}</p>
+      ${currentSession?.purpose ? `
+        <p class="scrollsense-session-purpose">🎯 You came here to: <strong>${escapeHTML(currentSession.purpose)}</strong></p>
+      ` : ''}
       <div class="scrollsense-nudge-actions">
         <button class="scrollsense-btn scrollsense-btn-primary" id="scrollsense-done-btn">Done for now</button>
         <button class="scrollsense-btn scrollsense-btn-secondary" id="scrollsense-continue-btn">Continue 10 more min</button>
@@ -791,7 +1837,7 @@ async function showNudge(actualTime, intendedTime) {
     </div>
   `;
   
-  document.body.appendChild(nudgeModal);
+  mountUI(nudgeModal);
   
   // Add event listeners
   nudgeModal.querySelector('#scrollsense-done-btn').addEventListener('click', async () => {
@@ -801,17 +1847,264 @@ async function showNudge(actualTime, intendedTime) {
   nudgeModal.querySelector('#scrollsense-continue-btn').addEventListener('click', () => {
     // Extend session by 10 minutes
     if (currentSession) {
-      currentSession.intendedTime += 10 * 60000;
-      nudgeModal.remove();
-      nudgeModal = null;
+      extendCurrentSession(10);
+      hideNudgeModal();
       // Remove blur temporarily and hide control indicator
-      if (blurOverlay) {
-        blurOverlay.style.backdropFilter = 'blur(0px)';
-        blurOverlay.style.webkitBackdropFilter = 'blur(0px)';
-      }
-      hideBlurControlIndicator();
+      resetSessionBlur();
+    }
+  });
+}
+
+// ============================================================================
+// DAILY PLATFORM LIMIT
+// ============================================================================
+
+/**
+ * Fetch today's usage and configured limit for this platform
+ * Called whenever a session starts or resumes so the budget stays current
+ */
+async function loadPlatformBudget() {
+  limitReachedShown = false;
+  sectionLimitsShown.clear();
+  try {
+    platformBudget = await chrome.runtime.sendMessage({
+      action: 'getPlatformBudget',
+      platform: platform
+    });
+  } catch (error) {
+    console.error('Error loading platform budget:', error);
+    platformBudget = null;
+  }
+}
+
+/**
+ * Check whether today's usage on this platform (finished sessions plus the
+ * current one) has passed the limit configured in the Limits tab
+ * @param {number} elapsed - Current session elapsed time in milliseconds
+ * @returns {boolean} Whether the daily platform limit has been reached
+ */
+function isPlatformLimitReached(elapsed) {
+  if (!platformBudget || !platformBudget.limit) return false;
+  return (platformBudget.used * 60000) + getCountedElapsed(elapsed) >= platformBudget.limit * 60000;
+}
+
+/**
+ * Show the daily limit reached modal
+ * Separate from the overtime nudge: fires once per session when cumulative
+ * usage across all of today's sessions passes the platform limit
+ * @param {number} elapsed - Current session elapsed time in milliseconds
+ */
+function showLimitReached(elapsed) {
+  limitReachedShown = true;
+  
+  if (limitModal) {
+    limitModal.remove();
+  }
+  
+  // Record once per day so the popup and dashboard can tell the limit was hit
+  chrome.runtime.sendMessage({ action: 'recordLimitReached', platform: platform });
+  
+  const platformName = platformInfo ? platformInfo.name : 'this site';
+  const usedToday = formatMinutes((platformBudget.used * 60000) + getCountedElapsed(elapsed));
+  
+  limitModal = document.createElement('div');
+  limitModal.id = 'scrollsense-limit-modal';
+  limitModal.innerHTML = `
+    <div class="scrollsense-modal-content scrollsense-limit-content">
+      <div class="scrollsense-limit-icon">⏳</div>
+      <h2>Daily ${escapeHTML(platformName)} limit reached</h2>
+      <p class="scrollsense-limit-text">
+        You've spent <strong>${usedToday}</strong> on ${escapeHTML(platformName)} today.
+        Your daily limit is <strong>${Number(platformBudget.limit)} min</strong>.
+      </p>
+      <div class="scrollsense-nudge-actions">
+        <button class="scrollsense-btn scrollsense-btn-primary" id="scrollsense-limit-end-btn">End session</button>
+        <button class="scrollsense-btn scrollsense-btn-secondary" id="scrollsense-limit-continue-btn">Keep going</button>
+      </div>
+    </div>
+  `;
+  
+  mountUI(limitModal);
+  
+  limitModal.querySelector('#scrollsense-limit-end-btn').addEventListener('click', async () => {
+    hideLimitModal();
+    await endSession();
+  });
+  
+  limitModal.querySelector('#scrollsense-limit-continue-btn').addEventListener('click', () => {
+    hideLimitModal();
+  });
+}
+
+// Hide the daily limit modal
+function hideLimitModal() {
+  if (limitModal) {
+    limitModal.remove();
+    limitModal = null;
+  }
+}
+
+// ============================================================================
+// CROSS-PLATFORM DAILY LIMIT
+// ============================================================================
+
+/**
+ * Apply the intervention for a daily budget threshold broadcast by background
+ * 80%: warning banner and a light blur
+ * 100%: limit reached modal and a stronger blur scaled by blur intensity
+ * @param {Object} status - { used, limit, percent, level } from background
+ */
+async function applyDailyLimitLevel(status) {
+  if (!status || status.level < dailyLimitLevel) return;
+  
+  // Each threshold is only broadcast once a day, so keep it for later
+  if (isSnoozed('all')) {
+    deferDailyLimitLevel(status);
+    return;
+  }
+  deferredDailyLimit = null;
+  dailyLimitLevel = status.level;
+  
+  const data = await chrome.storage.local.get(['preferences']);
+  // Same intensity as the session blur: section and focus window rules win
+  const blurIntensity = isSnoozed('blur') ? 0 : getBlurIntensity(data.preferences);
+  
+  if (!dailyLimitOverlay) {
+    dailyLimitOverlay = document.createElement('div');
+    dailyLimitOverlay.id = 'scrollsense-daily-limit-overlay';
+    dailyLimitOverlay.style.pointerEvents = 'none'; // Never block the page
+    mountUI(dailyLimitOverlay);
+  }
+  
+  // Same 12px ceiling as post-session blur at 100%, a quarter of it at 80%
+  const maxBlurPixels = (blurIntensity / 100) * 12;
+  const blurPixels = status.level >= 100 ? maxBlurPixels : maxBlurPixels / 4;
+  dailyLimitOverlay.className = `scrollsense-daily-level-${status.level}`;
+  dailyLimitOverlay.style.backdropFilter = `blur(${blurPixels}px)`;
+  dailyLimitOverlay.style.webkitBackdropFilter = `blur(${blurPixels}px)`;
+  
+  if (blurPixels > 0.5 && !isBlurActive) {
+    isBlurActive = true;
+    showBlurControlIndicator(currentSession ? 'session' : 'post-session');
+  }
+  
+  if (status.level >= 100) {
+    hideDailyLimitBanner();
+    showDailyLimitModal(status);
+  } else {
+    showDailyLimitBanner(status);
+  }
+}
+
+/**
+ * Hold a threshold back until the snooze covering it ends
+ * Snoozes ended early (or 'session' ones) come through applySnoozes();
+ * the timer covers one simply running out
+ * @param {Object} status - Threshold status from background
+ */
+function deferDailyLimitLevel(status) {
+  deferredDailyLimit = { status, day: new Date().toDateString() };
+  clearTimeout(deferredDailyLimitTimer);
+  
+  const now = Date.now();
+  const until = Math.min(...snoozes
+    .filter(entry => entry.kind === 'all' && entry.until > now)
+    .map(entry => entry.until));
+  if (Number.isFinite(until)) {
+    deferredDailyLimitTimer = setTimeout(applyDeferredDailyLimit, until - now + 1000);
+  }
+}
+
+/**
+ * Apply a threshold held back by a snooze, once nothing holds it any more
+ * A threshold from a day that has since ended is dropped with the counters
+ */
+function applyDeferredDailyLimit() {
+  if (!deferredDailyLimit || isSnoozed('all')) return;
+  const { status, day } = deferredDailyLimit;
+  deferredDailyLimit = null;
+  if (day === new Date().toDateString()) {
+    applyDailyLimitLevel(status);
+  }
+}
+
+// Show the 80% warning banner at the top of the page
+function showDailyLimitBanner(status) {
+  hideDailyLimitBanner();
+  
+  dailyLimitBanner = document.createElement('div');
+  dailyLimitBanner.id = 'scrollsense-daily-limit-banner';
+  dailyLimitBanner.innerHTML = `
+    <span class="scrollsense-banner-icon">⚠️</span>
+    <span class="scrollsense-banner-text">
+      You've used ${Number(status.percent)}% of today's budget (${Number(status.used)} of ${Number(status.limit)} min across all platforms)
+    </span>
+    <button class="scrollsense-banner-close" title="Dismiss">×</button>
+  `;
+  
+  mountUI(dailyLimitBanner);
+  
+  dailyLimitBanner.querySelector('.scrollsense-banner-close').addEventListener('click', hideDailyLimitBanner);
+}
+
+function hideDailyLimitBanner() {
+  if (dailyLimitBanner) {
+    dailyLimitBanner.remove();
+    dailyLimitBanner = null;
+  }
+}
+
+// Show the 100% limit reached modal
+function showDailyLimitModal(status) {
+  if (dailyLimitModal) {
+    dailyLimitModal.remove();
+  }
+  
+  dailyLimitModal = document.createElement('div');
+  dailyLimitModal.id = 'scrollsense-daily-limit-modal';
+  dailyLimitModal.innerHTML = `
+    <div class="scrollsense-modal-content scrollsense-limit-content scrollsense-daily-limit-content">
+      <div class="scrollsense-limit-icon">🛑</div>
+      <h2>Daily limit reached</h2>
+      <p class="scrollsense-limit-text">
+        You've spent <strong>${Number(status.used)} min</strong> on social media today.
+        Your daily limit across all platforms is <strong>${Number(status.limit)} min</strong>.
+      </p>
+      <div class="scrollsense-nudge-actions">
+        <button class="scrollsense-btn scrollsense-btn-primary" id="scrollsense-daily-end-btn">
+          ${currentSession ? 'End session' : 'Close'}
+        </button>
+        <button class="scrollsense-btn scrollsense-btn-secondary" id="scrollsense-daily-continue-btn">Continue anyway</button>
+      </div>
+    </div>
+  `;
+  
+  mountUI(dailyLimitModal);
+  
+  dailyLimitModal.querySelector('#scrollsense-daily-end-btn').addEventListener('click', async () => {
+    hideDailyLimitModal();
+    if (currentSession) {
+      await endSession();
     }
   });
+  
+  // Continuing keeps the blur; it only dismisses the modal
+  dailyLimitModal.querySelector('#scrollsense-daily-continue-btn').addEventListener('click', hideDailyLimitModal);
+}
+
+function hideDailyLimitModal() {
+  if (dailyLimitModal) {
+    dailyLimitModal.remove();
+    dailyLimitModal = null;
+  }
+}
+
+// Remove the daily budget overlay (e.g. when the user removes blur manually)
+function removeDailyLimitOverlay() {
+  if (dailyLimitOverlay) {
+    dailyLimitOverlay.remove();
+    dailyLimitOverlay = null;
+  }
 }
 
 // ============================================================================
@@ -825,15 +2118,13 @@ async function showNudge(actualTime, intendedTime) {
 async function endSession() {
   if (!currentSession) return;
   
-  // Calculate elapsed time excluding hidden time
-  const elapsed = Date.now() - (currentSession.startTime || Date.now()) - hiddenTime;
-  const actualTime = elapsed;
+  // Last scroll metrics go in before background writes the record
+  await reportSessionMetrics();
   
-  // Send message to background
-  await chrome.runtime.sendMessage({
+  // Background measures the actual time from its own clock
+  const response = await chrome.runtime.sendMessage({
     action: 'endSession',
-    platform: platform,
-    actualTime: actualTime
+    platform: platform
   });
   
   // Clean up
@@ -843,34 +2134,32 @@ async function endSession() {
   }
   
   // Don't remove blur overlay - we'll use it for post-session blur
-  // Just reset its blur
-  if (blurOverlay) {
-    blurOverlay.style.backdropFilter = 'blur(0px)';
-    blurOverlay.style.webkitBackdropFilter = 'blur(0px)';
-  }
-  
-  // Hide blur control indicator
-  hideBlurControlIndicator();
-  
-  if (nudgeModal) {
-    nudgeModal.remove();
-    nudgeModal = null;
-  }
+  // Just reset its blur and hide the control indicator
+  resetSessionBlur();
   
-  // Hide floating timer
-  hideFloatingTimer();
+  hideNudgeModal();
+  hideLimitModal();
   
-  currentSession = null;
+  // Hide floating timer and forget the session
+  stopSessionClock();
   
-  // Reset hidden time tracking
-  hiddenTime = 0;
-  hiddenStartTime = null;
+  // Nothing was saved: the running session belongs to another platform
+  if (response && !response.success) return;
   
   // Show completion message
-  showCompletionMessage();
+  showCompletionMessage(response?.session, response?.milestones);
 }
 
-function showCompletionMessage() {
+/**
+ * Show the session complete modal
+ * When the session had a purpose, asks whether it was achieved, and lists
+ * any badges the session earned
+ * @param {Object} sessionData - Finished session record from background
+ * @param {Array} milestones - Newly earned badges from background
+ */
+function showCompletionMessage(sessionData, milestones = []) {
+  const purpose = sessionData?.purpose;
+  
   // Remove any existing completion modal
   if (sessionCompleteModal) {
     sessionCompleteModal.remove();
@@ -882,6 +2171,23 @@ function showCompletionMessage() {
     <div class="scrollsense-modal-content scrollsense-session-complete-content">
       <h2>Session Complete! 🎉</h2>
       <p class="scrollsense-complete-message">Great job staying mindful of your time!</p>
+      ${milestones.length > 0 ? `
+        <div class="scrollsense-milestones">
+          ${milestones.map(badge => `
+            <p class="scrollsense-milestone">${badge.icon} New badge: <strong>${escapeHTML(badge.label)}</strong></p>
+          `).join('')}
+        </div>
+      ` : ''}
+      ${purpose ? `
+        <div class="scrollsense-purpose-check" id="scrollsense-purpose-check">
+          <p class="scrollsense-session-purpose">🎯 ${escapeHTML(purpose)}</p>
+          <p class="scrollsense-purpose-question">Did you get it done?</p>
+          <div class="scrollsense-purpose-answers">
+            <button class="scrollsense-btn scrollsense-btn-secondary" data-achieved="true">✅ Yes</button>
+            <button class="scrollsense-btn scrollsense-btn-secondary" data-achieved="false">❌ Not really</button>
+          </div>
+        </div>
+      ` : ''}
       <div class="scrollsense-complete-actions">
         <button class="scrollsense-btn scrollsense-btn-primary" id="scrollsense-new-session-btn">Start New Session</button>
         <button class="scrollsense-btn scrollsense-btn-secondary" id="scrollsense-skip-complete-btn">Continue Browsing</button>
@@ -889,7 +2195,27 @@ function showCompletionMessage() {
     </div>
   `;
   
-  document.body.appendChild(sessionCompleteModal);
+  mountUI(sessionCompleteModal);
+  
+  // Purpose follow-up
+  sessionCompleteModal.querySelectorAll('.scrollsense-purpose-answers button').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      const achieved = btn.dataset.achieved === 'true';
+      await chrome.runtime.sendMessage({
+        action: 'recordPurposeOutcome',
+        date: sessionData.date,
+        startTime: sessionData.startTime,
+        achieved: achieved
+      });
+      
+      const purposeCheck = sessionCompleteModal?.querySelector('#scrollsense-purpose-check');
+      if (purposeCheck) {
+        purposeCheck.innerHTML = `
+          <p class="scrollsense-purpose-question">${achieved ? 'Nice - purposeful scrolling! 🙌' : 'Thanks for being honest - next time will be better.'}</p>
+        `;
+      }
+    });
+  });
   
   // Add event listeners
   sessionCompleteModal.querySelector('#scrollsense-new-session-btn').addEventListener('click', () => {
@@ -943,12 +2269,13 @@ function showCompletionMessage() {
  * Periodic nudges also appear during post-session blur
  */
 async function startPostSessionBlur() {
-  // Get blur intensity setting
-  const data = await chrome.storage.local.get(['preferences']);
-  const blurIntensity = data.preferences?.blurIntensity || 50;
+  // Nothing to do while blur is snoozed
+  await loadSnoozes();
+  if (isSnoozed('blur')) return;
   
-  // Ensure blur intensity is within valid range (0-100)
-  const cappedBlurIntensity = Math.max(0, Math.min(100, blurIntensity));
+  // Get blur intensity setting (the section's own, if it has one)
+  const data = await chrome.storage.local.get(['preferences']);
+  const cappedBlurIntensity = getBlurIntensity(data.preferences);
   
   // Convert percentage to pixels: 0% = 0px, 100% = 12px (subtle, readable blur)
   // Reduced from 40px to 12px so content remains visible and readable
@@ -975,7 +2302,7 @@ async function startPostSessionBlur() {
     blurOverlay = document.createElement('div');
     blurOverlay.id = 'scrollsense-blur-overlay';
     blurOverlay.style.pointerEvents = 'none'; // Allow interaction through blur
-    document.body.appendChild(blurOverlay);
+    mountUI(blurOverlay);
   }
   
   // Reset blur to 0
@@ -1047,12 +2374,14 @@ async function startPostSessionNudges() {
 }
 
 async function showPostSessionNudge() {
+  if (isSnoozed('all') || !(await claimNudge())) return;
+  
   // Get user goals and preferences
   const data = await chrome.storage.local.get(['userGoals', 'preferences']);
   const userGoal = data.userGoals && data.userGoals.length > 0 
     ? data.userGoals[0] 
     : 'managing your time';
-  const tone = data.preferences?.messageTone || 'encouraging';
+  const tone = getMessageTone(data.preferences);
   
   // Calculate how long they've been scrolling since session ended
   const timeSinceBlurStart = postSessionBlurStartTime ? Math.round((Date.now() - postSessionBlurStartTime) / 60000) : 0;
@@ -1066,6 +2395,12 @@ async function showPostSessionNudge() {
     tone: tone
   });
   
+  // A session may have started, or the blur stopped, meanwhile
+  if (!nudgeClaimed || currentSession || !isPostSessionBlurActive) {
+    hideNudgeModal();
+    return;
+  }
+  
   // Create nudge modal
   nudgeModal = document.createElement('div');
   nudgeModal.id = 'scrollsense-nudge-modal';
@@ -1075,7 +2410,7 @@ async function showPostSessionNudge() {
         <span class="scrollsense-ai-icon">✨</span>
         <span class="scrollsense-ai-label">ScrollSense AI</span>
       </div>
-      <p class="scrollsense-nudge-text">${nudgeText}</p>
+      <p class="scrollsense-nudge-text">${escapeHTML(nudgeText)}</p>
       <div class="scrollsense-nudge-actions">
         <button class="scrollsense-btn scrollsense-btn-primary" id="scrollsense-start-session-btn">Start New Session</button>
         <button class="scrollsense-btn scrollsense-btn-secondary" id="scrollsense-continue-blur-btn">Continue</button>
@@ -1083,31 +2418,20 @@ async function showPostSessionNudge() {
     </div>
   `;
   
-  document.body.appendChild(nudgeModal);
+  mountUI(nudgeModal);
   
   // Add event listeners
   nudgeModal.querySelector('#scrollsense-start-session-btn').addEventListener('click', () => {
-    if (nudgeModal) {
-      nudgeModal.remove();
-      nudgeModal = null;
-    }
-    // Stop post-session blur
+    hideNudgeModal();
+    // Stop post-session blur and hide the control indicator
     stopPostSessionBlur();
-    if (blurOverlay) {
-      blurOverlay.style.backdropFilter = 'blur(0px)';
-      blurOverlay.style.webkitBackdropFilter = 'blur(0px)';
-    }
-    // Hide blur control indicator
-    hideBlurControlIndicator();
+    resetSessionBlur();
     // Show intent prompt for new session
     showIntentPrompt();
   });
   
   nudgeModal.querySelector('#scrollsense-continue-blur-btn').addEventListener('click', () => {
-    if (nudgeModal) {
-      nudgeModal.remove();
-      nudgeModal = null;
-    }
+    hideNudgeModal();
     // Continue with blur - nudge will appear again after interval
   });
 }
@@ -1127,7 +2451,7 @@ function showBlurControlIndicator(type) {
   `;
   blurControlIndicator.title = 'Blur active - Click for options';
   
-  document.body.appendChild(blurControlIndicator);
+  mountUI(blurControlIndicator);
   
   // Add click handler to show popup
   blurControlIndicator.addEventListener('click', () => toggleBlurControlPopup(type));
@@ -1143,7 +2467,7 @@ function toggleBlurControlPopup(type) {
   blurControlPopup.id = 'scrollsense-blur-popup';
   
   const isPostSession = type === 'post-session';
-  const platformName = platform ? platform.charAt(0).toUpperCase() + platform.slice(1) : 'this site';
+  const platformName = platformInfo ? platformInfo.name : 'this site';
   
   blurControlPopup.innerHTML = `
     <div class="blur-popup-header">
@@ -1181,7 +2505,7 @@ function toggleBlurControlPopup(type) {
     </div>
   `;
   
-  document.body.appendChild(blurControlPopup);
+  mountUI(blurControlPopup);
   
   // Event listeners
   blurControlPopup.querySelector('#blur-popup-close').addEventListener('click', hideBlurControlPopup);
@@ -1195,11 +2519,8 @@ function toggleBlurControlPopup(type) {
     } else {
       // Extend current session by 10 minutes
       if (currentSession) {
-        currentSession.intendedTime += 10 * 60000;
-        if (nudgeModal) {
-          nudgeModal.remove();
-          nudgeModal = null;
-        }
+        extendCurrentSession(10);
+        hideNudgeModal();
       }
     }
   });
@@ -1209,12 +2530,8 @@ function toggleBlurControlPopup(type) {
     hideBlurControlIndicator();
     removeBlurEffect();
     
-    // Set a temporary skip for 10 minutes
-    const skipUntil = Date.now() + (10 * 60 * 1000);
-    const data = await chrome.storage.local.get(['blurSkipUntil']);
-    const skipData = data.blurSkipUntil || {};
-    skipData[platform] = skipUntil;
-    await chrome.storage.local.set({ blurSkipUntil: skipData });
+    // Snooze blur for 10 minutes
+    await snooze('blur', 10);
     
     // Stop post-session blur if active
     stopPostSessionBlur();
@@ -1227,23 +2544,17 @@ function toggleBlurControlPopup(type) {
     hideBlurControlIndicator();
     removeBlurEffect();
     
-    // Disable ScrollSense for this browser session (until tab refresh/close)
-    const data = await chrome.storage.local.get(['blurSkipUntil']);
-    const skipData = data.blurSkipUntil || {};
-    // Set to a very long time, will reset on page reload
-    skipData[platform] = Date.now() + (24 * 60 * 60 * 1000); // 24 hours
-    skipData[`${platform}_sessionOnly`] = true; // Mark as session-only
-    await chrome.storage.local.set({ blurSkipUntil: skipData });
+    // Pause ScrollSense here until this platform's tabs are closed
+    await snooze('all', 'session');
     
-    // Stop everything
+    // Stop everything; the session is saved with the time used so far
     stopPostSessionBlur();
-    if (sessionTimer) {
-      clearInterval(sessionTimer);
-      sessionTimer = null;
+    if (currentSession) {
+      await chrome.runtime.sendMessage({ action: 'endSession', platform: platform });
     }
-    currentSession = null;
+    stopSessionClock();
     
-    const platformName = platform ? platform.charAt(0).toUpperCase() + platform.slice(1) : 'this site';
+    const platformName = platformInfo ? platformInfo.name : 'this site';
     showTemporaryNotification(`ScrollSense paused for this ${platformName} session`);
   });
   
@@ -1252,25 +2563,17 @@ function toggleBlurControlPopup(type) {
     hideBlurControlIndicator();
     removeBlurEffect();
     
-    // Disable ScrollSense on this platform for today (until midnight)
-    const tomorrow = new Date();
-    tomorrow.setHours(24, 0, 0, 0);
-    const skipUntil = tomorrow.getTime();
-    
-    const data = await chrome.storage.local.get(['blurSkipUntil']);
-    const skipData = data.blurSkipUntil || {};
-    skipData[platform] = skipUntil;
-    await chrome.storage.local.set({ blurSkipUntil: skipData });
+    // Pause ScrollSense on this platform for today (until midnight)
+    await snooze('all', 'today');
     
-    // Stop everything
+    // Stop everything; the session is saved with the time used so far
     stopPostSessionBlur();
-    if (sessionTimer) {
-      clearInterval(sessionTimer);
-      sessionTimer = null;
+    if (currentSession) {
+      await chrome.runtime.sendMessage({ action: 'endSession', platform: platform });
     }
-    currentSession = null;
+    stopSessionClock();
     
-    const platformName = platform ? platform.charAt(0).toUpperCase() + platform.slice(1) : 'this site';
+    const platformName = platformInfo ? platformInfo.name : 'this site';
     showTemporaryNotification(`ScrollSense disabled on ${platformName} for today`);
   });
   
@@ -1281,8 +2584,8 @@ function toggleBlurControlPopup(type) {
 }
 
 function closeBlurPopupOnOutsideClick(e) {
-  if (blurControlPopup && !blurControlPopup.contains(e.target) && 
-      blurControlIndicator && !blurControlIndicator.contains(e.target)) {
+  if (blurControlPopup && blurControlIndicator && 
+      !isEventInside(e, blurControlPopup, blurControlIndicator)) {
     hideBlurControlPopup();
   }
 }
@@ -1303,6 +2606,18 @@ function hideBlurControlIndicator() {
   isBlurActive = false;
 }
 
+/**
+ * Clear the in-session blur and its control icon
+ * The overlay element stays, ready for post-session blur
+ */
+function resetSessionBlur() {
+  if (blurOverlay) {
+    blurOverlay.style.backdropFilter = 'blur(0px)';
+    blurOverlay.style.webkitBackdropFilter = 'blur(0px)';
+  }
+  hideBlurControlIndicator();
+}
+
 function removeBlurEffect() {
   if (blurOverlay) {
     blurOverlay.style.backdropFilter = 'blur(0px)';
@@ -1312,6 +2627,7 @@ function removeBlurEffect() {
     blurOverlay.remove();
     blurOverlay = null;
   }
+  removeDailyLimitOverlay();
   isBlurActive = false;
 }
 
@@ -1333,10 +2649,10 @@ function showTemporaryNotification(message) {
   notification.id = 'scrollsense-temp-notification';
   notification.innerHTML = `
     <span class="notification-icon">✓</span>
-    <span class="notification-message">${message}</span>
+    <span class="notification-message">${escapeHTML(message)}</span>
   `;
   
-  document.body.appendChild(notification);
+  mountUI(notification);
   
   // Auto-remove after 3 seconds
   setTimeout(() => {
@@ -1350,6 +2666,9 @@ window.addEventListener('beforeunload', () => {
   if (sessionTimer) {
     clearInterval(sessionTimer);
   }
+  if (idleCheckTimer) {
+    clearInterval(idleCheckTimer);
+  }
   if (postSessionBlurTimer) {
     clearInterval(postSessionBlurTimer);
   }
@@ -0,0 +1,196 @@
+/**
+ * ============================================================================
+ * SCROLLSENSE - Focus Windows
+ * ============================================================================
+ *
+ * Scheduled windows (weekdays plus a time range) during which ScrollSense
+ * adds more friction, e.g. "Work hours" or "After 11pm". Loaded by the
+ * background service worker (importScripts) and the options page
+ * (<script> tag) before their own scripts.
+ *
+ * Windows are edited in the Schedule tab and stored as `focusWindows`.
+ * Each window:
+ * - id / name: Identity and display name
+ * - days: Weekdays it starts on (0 = Sunday ... 6 = Saturday)
+ * - start / end: 'HH:MM' local time; an end before the start runs past
+ *   midnight into the next day
+ * - presets: Intent durations offered instead of the platform's (null = keep)
+ * - limit: Per-platform daily limit in minutes while active (null = keep)
+ * - blurIntensity: 0-100 (null = keep the Preferences setting)
+ * - messageTone: 'encouraging', 'neutral' or 'direct' (null = keep)
+ * - blurImmediately: Blur from the first second of a session
+ * - enabled: Whether the window is evaluated at all
+ *
+ * background.js decides which window is active with chrome.alarms set to
+ * the next start or end, and pushes it to content scripts as the focus
+ * profile. The first active window in the list wins when windows overlap.
+ *
+ * @author ScrollSense Team
+ * @version 1.0.0
+ * ============================================================================
+ */
+
+/**
+ * Fields of a new window before the user edits it
+ */
+const FOCUS_WINDOW_DEFAULTS = {
+  name: 'Focus window',
+  days: [1, 2, 3, 4, 5],
+  start: '09:00',
+  end: '17:00',
+  presets: null,
+  limit: null,
+  blurIntensity: null,
+  messageTone: null,
+  blurImmediately: false,
+  enabled: true
+};
+
+/**
+ * Starting points offered by the Schedule tab's add buttons
+ */
+const FOCUS_WINDOW_TEMPLATES = {
+  work: {
+    name: 'Work hours',
+    days: [1, 2, 3, 4, 5],
+    start: '09:00',
+    end: '17:00',
+    presets: [1, 2],
+    limit: 5,
+    messageTone: 'direct'
+  },
+  late: {
+    name: 'After 11pm',
+    days: [0, 1, 2, 3, 4, 5, 6],
+    start: '23:00',
+    end: '06:00',
+    presets: [1],
+    blurIntensity: 80,
+    messageTone: 'neutral',
+    blurImmediately: true
+  }
+};
+
+// Windows the Schedule tab allows
+const MAX_FOCUS_WINDOWS = 10;
+
+// Short weekday labels, indexed like Date.getDay()
+const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// ============================================================================
+// PARSING & CREATION
+// ============================================================================
+
+/**
+ * Minutes after midnight for an 'HH:MM' time
+ * @param {string} value - Time as typed or stored
+ * @returns {number|null} - 0-1439, or null if invalid
+ */
+function parseTimeOfDay(value) {
+  const match = String(value || '').match(/^(\d{1,2}):(\d{2})$/);
+  if (!match) return null;
+
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (hours > 23 || minutes > 59) return null;
+  return hours * 60 + minutes;
+}
+
+/**
+ * Build a window with a fresh id
+ * @param {Object} fields - Any window fields (template or form values)
+ * @returns {Object} - Focus window
+ */
+function createFocusWindow(fields = {}) {
+  return {
+    id: `focus-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    ...FOCUS_WINDOW_DEFAULTS,
+    ...fields
+  };
+}
+
+// ============================================================================
+// EVALUATION
+// ============================================================================
+
+/**
+ * Whether a window is active at a moment
+ * @param {Object} focusWindow - Focus window
+ * @param {Date} date - Moment to check (local time)
+ * @returns {boolean}
+ */
+function isFocusWindowActive(focusWindow, date) {
+  if (!focusWindow?.enabled) return false;
+
+  const start = parseTimeOfDay(focusWindow.start);
+  const end = parseTimeOfDay(focusWindow.end);
+  if (start === null || end === null || start === end) return false;
+
+  const days = focusWindow.days || [];
+  const day = date.getDay();
+  const minutes = date.getHours() * 60 + date.getMinutes();
+
+  if (start < end) {
+    return days.includes(day) && minutes >= start && minutes < end;
+  }
+
+  // Runs past midnight: the evening part on a listed day, or the early
+  // morning part the day after one
+  return (days.includes(day) && minutes >= start) ||
+    (days.includes((day + 6) % 7) && minutes < end);
+}
+
+/**
+ * The window in effect at a moment
+ * @param {Array} focusWindows - Stored focusWindows
+ * @param {Date} [date] - Moment to check (defaults to now)
+ * @returns {Object|null} - First active window, or null
+ */
+function getActiveFocusWindow(focusWindows, date = new Date()) {
+  return (focusWindows || []).find(focusWindow => isFocusWindowActive(focusWindow, date)) || null;
+}
+
+/**
+ * When the active window can next change: the nearest start or end time
+ * Weekdays are ignored; re-evaluating on a day a window doesn't run is harmless
+ * @param {Array} focusWindows - Stored focusWindows
+ * @param {Date} [date] - Moment to look from (defaults to now)
+ * @returns {Date|null} - Next boundary, or null if no window is enabled
+ */
+function getNextFocusWindowChange(focusWindows, date = new Date()) {
+  const boundaries = (focusWindows || [])
+    .filter(focusWindow => focusWindow.enabled)
+    .flatMap(focusWindow => [parseTimeOfDay(focusWindow.start), parseTimeOfDay(focusWindow.end)])
+    .filter(minutes => minutes !== null);
+
+  let next = null;
+  [0, 1].forEach(dayOffset => {
+    boundaries.forEach(minutes => {
+      const candidate = new Date(date);
+      candidate.setDate(candidate.getDate() + dayOffset);
+      candidate.setHours(0, minutes, 0, 0);
+      if (candidate > date && (!next || candidate < next)) {
+        next = candidate;
+      }
+    });
+  });
+  return next;
+}
+
+/**
+ * Describe when a window runs
+ * @param {Object} focusWindow - Focus window
+ * @returns {string} - e.g. 'Mon–Fri 09:00–17:00'
+ */
+function describeFocusWindow(focusWindow) {
+  const days = [...(focusWindow.days || [])].sort();
+  let dayText;
+  if (days.length === 7) {
+    dayText = 'Every day';
+  } else if (days.length > 2 && days.every((day, index) => index === 0 || day === days[index - 1] + 1)) {
+    dayText = `${WEEKDAY_LABELS[days[0]]}–${WEEKDAY_LABELS[days[days.length - 1]]}`;
+  } else {
+    dayText = days.map(day => WEEKDAY_LABELS[day]).join(', ') || 'No days';
+  }
+  return `${dayText} ${focusWindow.start}–${focusWindow.end}`;
+}
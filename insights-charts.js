@@ -0,0 +1,319 @@
+/**
+ * ============================================================================
+ * SCROLLSENSE - Insights Charts
+ * ============================================================================
+ *
+ * Usage visuals shared by the options page's AI Insights tab and the weekly
+ * report page (<script> tag, after platforms.js, safe-render.js and
+ * achievements.js, whose getLocalDayKey() matches sessions to days).
+ *
+ * Every renderer takes a list of day entries in the weeklyHistory shape
+ * that background.js keeps for the rolling week:
+ *   { date, dayName, platforms: { id: { actualTime, intendedTime, sessions,
+ *     overTime } }, hourlyUsage: { hour: minutes }, totalTime,
+ *   sessionsCount, goalAdherence }
+ * buildDayHistory() produces the same entries for any range straight from
+ * the session store, which is how the report covers weeks long past.
+ *
+ * @author ScrollSense Team
+ * @version 1.0.0
+ * ============================================================================
+ */
+
+// ============================================================================
+// DAY ENTRIES FROM SESSION HISTORY
+// ============================================================================
+
+/**
+ * Build one day entry per calendar day from session records
+ * Mirrors recordDailyHistory() in background.js: hours are bucketed by
+ * when each session started, and adherence is the share of actual time
+ * that stayed within intent
+ *
+ * @param {Array} sessions - Session records in the range
+ * @param {Date} from - Local midnight of the first day
+ * @param {number} dayCount - Days to build
+ * @returns {Array} - Day entries, oldest first (days without sessions included)
+ */
+function buildDayHistory(sessions, from, dayCount) {
+  const days = [];
+  for (let i = 0; i < dayCount; i++) {
+    const dayStart = new Date(from);
+    dayStart.setDate(dayStart.getDate() + i);
+    days.push({
+      date: dayStart.toISOString(),
+      dayName: dayStart.toLocaleDateString('en-US', { weekday: 'short' }),
+      platforms: {},
+      hourlyUsage: {},
+      totalTime: 0,
+      sessionsCount: 0,
+      goalAdherence: 100
+    });
+  }
+
+  // Match on local calendar days, which hold across DST changes
+  const daysByKey = new Map(days.map(day => [getLocalDayKey(day.date), day]));
+  sessions.forEach(session => {
+    const dayData = daysByKey.get(getLocalDayKey(session.date));
+    if (!dayData) return;
+
+    if (!dayData.platforms[session.platform]) {
+      dayData.platforms[session.platform] = { actualTime: 0, intendedTime: 0, sessions: 0, overTime: 0 };
+    }
+    const platformData = dayData.platforms[session.platform];
+    platformData.actualTime += session.actualTime;
+    platformData.intendedTime += session.intendedTime;
+    platformData.sessions += 1;
+    platformData.overTime = platformData.actualTime - platformData.intendedTime;
+
+    const hour = new Date(session.startTime || session.date).getHours();
+    dayData.hourlyUsage[hour] = (dayData.hourlyUsage[hour] || 0) + session.actualTime;
+    dayData.totalTime += session.actualTime;
+    dayData.sessionsCount += 1;
+  });
+
+  days.forEach(dayData => {
+    const totalIntended = Object.values(dayData.platforms).reduce((sum, p) => sum + p.intendedTime, 0);
+    dayData.goalAdherence = dayData.totalTime > 0
+      ? Math.round((Math.min(totalIntended, dayData.totalTime) / dayData.totalTime) * 100)
+      : 100;
+  });
+  return days;
+}
+
+/**
+ * Totals for a run of day entries
+ * @param {Array} weeklyData - Day entries
+ * @returns {Object} - { totalTime, sessions, adherence, platforms: { id: minutes }, peakHour }
+ *   adherence averages the days that had sessions (null if none did);
+ *   peakHour is the busiest hour of the day (null without usage)
+ */
+function summarizeDays(weeklyData) {
+  const usedDays = weeklyData.filter(day => day.sessionsCount > 0);
+  const platformTotals = {};
+  const hourlyTotals = {};
+  weeklyData.forEach(day => {
+    Object.entries(day.platforms).forEach(([platform, data]) => {
+      platformTotals[platform] = (platformTotals[platform] || 0) + data.actualTime;
+    });
+    Object.entries(day.hourlyUsage).forEach(([hour, time]) => {
+      hourlyTotals[hour] = (hourlyTotals[hour] || 0) + time;
+    });
+  });
+  const peak = Object.entries(hourlyTotals).sort((a, b) => b[1] - a[1])[0];
+
+  return {
+    totalTime: weeklyData.reduce((sum, day) => sum + day.totalTime, 0),
+    sessions: weeklyData.reduce((sum, day) => sum + day.sessionsCount, 0),
+    adherence: usedDays.length > 0
+      ? Math.round(usedDays.reduce((sum, day) => sum + day.goalAdherence, 0) / usedDays.length)
+      : null,
+    platforms: platformTotals,
+    peakHour: peak && peak[1] > 0 ? Number(peak[0]) : null
+  };
+}
+
+/**
+ * Label for an hour of the day
+ * @param {number} hour - 0-23
+ * @returns {string} - e.g. '9am', '12pm', '11pm'
+ */
+function formatHourLabel(hour) {
+  if (hour === 0) return '12am';
+  return hour < 12 ? `${hour}am` : hour === 12 ? '12pm' : `${hour - 12}pm`;
+}
+
+// ============================================================================
+// CHARTS
+// ============================================================================
+
+/**
+ * Render the daily usage trend (bars plus a trend line)
+ * @param {Array} weeklyData - Day entries, oldest first
+ * @param {HTMLElement} [container] - Defaults to the Insights tab's #trend-chart
+ */
+function renderTrendChart(weeklyData, container = document.getElementById('trend-chart')) {
+  // At least 1 so a week without usage draws flat instead of NaN
+  const maxTime = Math.max(1, ...weeklyData.map(d => d.totalTime));
+  
+  const chartHTML = `
+    <div class="trend-chart-wrapper">
+      <div class="trend-chart-bars">
+        ${weeklyData.map(day => {
+          const height = (day.totalTime / maxTime) * 100;
+          const isToday = getLocalDayKey(day.date) === getLocalDayKey(new Date());
+          return `
+            <div class="trend-bar-container">
+              <div class="trend-bar-value">${escapeHTML(day.totalTime)}m</div>
+              <div class="trend-bar ${isToday ? 'today' : ''}" style="height: ${height}%">
+                <div class="trend-bar-fill"></div>
+              </div>
+              <div class="trend-bar-label">${escapeHTML(day.dayName)}</div>
+            </div>
+          `;
+        }).join('')}
+      </div>
+      <div class="trend-line-overlay">
+        <svg viewBox="0 0 700 150" preserveAspectRatio="none">
+          <path d="${generateTrendLinePath(weeklyData, maxTime)}" 
+                fill="none" 
+                stroke="url(#trendGradient)" 
+                stroke-width="3" 
+                stroke-linecap="round"
+                stroke-linejoin="round"/>
+          <defs>
+            <linearGradient id="trendGradient" x1="0%" y1="0%" x2="100%" y2="0%">
+              <stop offset="0%" style="stop-color:#8b5cf6"/>
+              <stop offset="100%" style="stop-color:#06b6d4"/>
+            </linearGradient>
+          </defs>
+        </svg>
+      </div>
+    </div>
+  `;
+  
+  container.innerHTML = chartHTML;
+}
+
+/**
+ * SVG path for the trend line over the bars
+ * @param {Array} weeklyData - Day entries, oldest first
+ * @param {number} maxTime - Minutes drawn at full height
+ * @returns {string} - Path data
+ */
+function generateTrendLinePath(weeklyData, maxTime) {
+  const points = weeklyData.map((day, index) => {
+    const x = (index / (weeklyData.length - 1)) * 700;
+    const y = 150 - (day.totalTime / maxTime) * 140;
+    return `${x},${y}`;
+  });
+  
+  return `M ${points.join(' L ')}`;
+}
+
+/**
+ * Render one card per platform: total time, sessions and time vs intended
+ * @param {Array} weeklyData - Day entries, oldest first
+ * @param {Array} platformRegistry - Platform registry (names, icons, colors)
+ * @param {HTMLElement} [container] - Defaults to the Insights tab's #platform-comparison
+ */
+function renderPlatformComparison(weeklyData, platformRegistry, container = document.getElementById('platform-comparison')) {
+  // Aggregate platform data
+  const platformTotals = {};
+  weeklyData.forEach(day => {
+    Object.entries(day.platforms).forEach(([platform, data]) => {
+      if (!platformTotals[platform]) {
+        platformTotals[platform] = { actual: 0, intended: 0, sessions: 0 };
+      }
+      platformTotals[platform].actual += data.actualTime;
+      platformTotals[platform].intended += data.intendedTime;
+      platformTotals[platform].sessions += data.sessions;
+    });
+  });
+  
+  const maxActual = Math.max(...Object.values(platformTotals).map(p => p.actual));
+  
+  const comparisonHTML = `
+    <div class="platform-cards">
+      ${Object.entries(platformTotals).map(([platform, data]) => {
+        const adherence = data.intended > 0 
+          ? Math.round((Math.min(data.intended, data.actual) / data.actual) * 100)
+          : 0;
+        const overTime = data.actual - data.intended;
+        const info = getPlatformInfo(platform, platformRegistry);
+        const colors = info.colors;
+        
+        return `
+          <div class="platform-card" style="--platform-primary: ${escapeHTML(colors.primary)}; --platform-secondary: ${escapeHTML(colors.secondary)}">
+            <div class="platform-card-header">
+              <span class="platform-icon">${escapeHTML(info.icon)}</span>
+              <span class="platform-name">${escapeHTML(info.name)}</span>
+            </div>
+            <div class="platform-card-stats">
+              <div class="platform-stat">
+                <span class="platform-stat-value">${formatMinutes(data.actual)}</span>
+                <span class="platform-stat-label">Total Time</span>
+              </div>
+              <div class="platform-stat">
+                <span class="platform-stat-value">${data.sessions}</span>
+                <span class="platform-stat-label">Sessions</span>
+              </div>
+              <div class="platform-stat">
+                <span class="platform-stat-value ${overTime > 0 ? 'overtime' : 'undertime'}">
+                  ${overTime > 0 ? '+' : ''}${overTime}m
+                </span>
+                <span class="platform-stat-label">vs Intended</span>
+              </div>
+            </div>
+            <div class="platform-progress-bar">
+              <div class="platform-progress-fill" style="width: ${(data.actual / maxActual) * 100}%"></div>
+            </div>
+          </div>
+        `;
+      }).join('')}
+    </div>
+  `;
+  
+  container.innerHTML = comparisonHTML;
+}
+
+/**
+ * Format minutes as hours and minutes
+ * @param {number} mins - Minutes
+ * @returns {string} - e.g. '1h 25m' or '40m'
+ */
+function formatMinutes(mins) {
+  if (mins >= 60) {
+    const hours = Math.floor(mins / 60);
+    const remaining = mins % 60;
+    return `${hours}h ${remaining}m`;
+  }
+  return `${mins}m`;
+}
+
+/**
+ * Render usage per hour of the day (6am-11pm, plus any other hour used)
+ * @param {Array} weeklyData - Day entries, oldest first
+ * @param {HTMLElement} [container] - Defaults to the Insights tab's #hourly-heatmap
+ */
+function renderHourlyHeatmap(weeklyData, container = document.getElementById('hourly-heatmap')) {
+  // Aggregate hourly usage
+  const hourlyTotals = {};
+  for (let h = 6; h <= 23; h++) {
+    hourlyTotals[h] = 0;
+  }
+  
+  weeklyData.forEach(day => {
+    Object.entries(day.hourlyUsage).forEach(([hour, time]) => {
+      hourlyTotals[hour] = (hourlyTotals[hour] || 0) + time;
+    });
+  });
+  
+  const maxUsage = Math.max(...Object.values(hourlyTotals));
+  
+  const heatmapHTML = `
+    <div class="heatmap-grid">
+      ${Object.entries(hourlyTotals).map(([hour, time]) => {
+        const intensity = maxUsage > 0 ? time / maxUsage : 0;
+        const hourNum = parseInt(hour);
+        const timeLabel = formatHourLabel(hourNum);
+        
+        return `
+          <div class="heatmap-cell" 
+               style="--intensity: ${intensity}"
+               title="${timeLabel}: ${time}m total">
+            <span class="heatmap-hour">${timeLabel}</span>
+            <div class="heatmap-bar" style="height: ${intensity * 100}%"></div>
+          </div>
+        `;
+      }).join('')}
+    </div>
+    <div class="heatmap-legend">
+      <span>Less active</span>
+      <div class="heatmap-legend-gradient"></div>
+      <span>More active</span>
+    </div>
+  `;
+  
+  container.innerHTML = heatmapHTML;
+}
@@ -11,36 +11,62 @@
  * 1. DASHBOARD TAB
  *    - Today's usage summary (total time, sessions, platforms)
  *    - Platform breakdown chart
- *    - Recent sessions list
+ *    - Streaks, weekly goals and badges computed from history (achievements.js)
+ *    - Recent sessions list with purpose and whether it was achieved,
+ *      time per site section, screens scrolled and items viewed
  * 
  * 2. GOALS TAB
  *    - Add/remove up to 3 personal goals
  *    - Goals are used in AI nudge messages for personalization
  * 
  * 3. TIME LIMITS TAB
- *    - Set default time limits per platform
+ *    - Set default time limits per platform (list built from platforms.js)
+ *    - Add/remove custom domains (optional host permission requested on add)
+ *    - Per-platform intent presets offered in the session prompt
+ *    - Adaptive limit suggestions with Apply/Dismiss
  *    - Configure total daily limit across all platforms
  * 
- * 4. PREFERENCES TAB
+ * 4. SECTIONS TAB
+ *    - Per-section rules for each platform's site sections (platforms.js):
+ *      own daily limit, blur intensity, and whether time counts toward
+ *      daily limits; only changes from the shipped defaults are stored
+ * 
+ * 5. SCHEDULE TAB
+ *    - Focus windows (weekdays + time range, e.g. "Work hours") that
+ *      override intent presets, limits, blur intensity and tone, and can
+ *      blur from the start of a session (focus-windows.js)
+ * 
+ * 6. PREFERENCES TAB
  *    - Blur intensity slider (0-100%)
  *    - Message tone selection (encouraging, neutral, direct)
+ *    - Idle detection threshold (minutes)
+ *    - Autopilot check-in sensitivity (off, low, medium, high)
  * 
- * 5. SMART REMINDERS TAB (formerly API Settings)
+ * 7. SMART REMINDERS TAB (formerly API Settings)
  *    - User-friendly setup wizard for Groq API
+ *    - Custom OpenAI-compatible server (base URL, model, optional key),
+ *      host permission requested on save
  *    - Comparison of basic vs smart mode
  *    - Preview AI messages before setup
  *    - FAQ section for common questions
  * 
- * 6. AI INSIGHTS TAB
+ * 8. AI INSIGHTS TAB
  *    - Weekly usage statistics and trends
- *    - 7-day usage trend chart
- *    - Platform comparison cards
- *    - Hourly usage heatmap
+ *    - 7-day usage trend chart, platform comparison cards and hourly
+ *      usage heatmap (insights-charts.js, shared with report.html)
+ *    - Link to the weekly report page for any past week
  *    - AI-powered trend analysis
  *    - Synthetic data demo for showcasing
  * 
+ * 9. DATA TAB
+ *    - Export a versioned JSON backup (everything except AI provider settings)
+ *    - Export sessions as CSV
+ *    - Import a backup: validate, preview, then merge with deduplication
+ * 
  * DATA MANAGEMENT:
  * - All data stored in chrome.storage.local
+ * - Goals, purposes, AI replies and imported values are escaped (or rendered
+ *   as whitelisted markdown) via safe-render.js before reaching innerHTML
  * - Communicates with background.js for AI features
  * 
  * @author ScrollSense Team
@@ -58,15 +84,26 @@
  */
 document.addEventListener('DOMContentLoaded', async () => {
   setupTabs();
+  platforms = await getPlatforms();
   await loadDashboard();
   await loadGoals();
   await loadLimits();
+  await loadSectionRules();
+  await loadSchedule();
   await loadPreferences();
   await loadAPISettings();
+  setupSmartRemindersListeners();
   await loadInsights();
   setupEventListeners();
+  setupDataEventListeners();
 });
 
+// Registered platforms (built-in and custom) from platforms.js
+let platforms = [];
+
+// Window for the dashboard's purpose achieved rate (days)
+const PURPOSE_SUMMARY_DAYS = 30;
+
 // ============================================================================
 // TAB NAVIGATION
 // ============================================================================
@@ -101,14 +138,19 @@ function setupTabs() {
 
 // Dashboard
 async function loadDashboard() {
-  const data = await chrome.storage.local.get(['dailyUsage', 'sessions']);
-  const dailyUsage = data.dailyUsage || {
-    instagram: 0,
-    linkedin: 0,
-    reddit: 0,
-    total: 0
-  };
-  const sessions = data.sessions || [];
+  const data = await chrome.storage.local.get(['dailyUsage']);
+  const dailyUsage = data.dailyUsage || { total: 0 };
+  
+  // Range reads from the session store: today, the purpose window, recent list
+  const todayStart = new Date();
+  todayStart.setHours(0, 0, 0, 0);
+  const purposeFrom = new Date(todayStart);
+  purposeFrom.setDate(purposeFrom.getDate() - PURPOSE_SUMMARY_DAYS);
+  const [todaySessions, purposeSessions, recentSessions] = await Promise.all([
+    getSessions({ from: todayStart }),
+    getSessions({ from: purposeFrom }),
+    getSessions({ limit: 10 })
+  ]);
   
   // Update stats
   const totalElement = document.getElementById('dashboard-total');
@@ -120,37 +162,27 @@ async function loadDashboard() {
   }
   
   if (sessionsElement) {
-    const todaySessions = sessions.filter(s => {
-      const sessionDate = new Date(s.date).toDateString();
-      return sessionDate === new Date().toDateString();
-    });
     sessionsElement.textContent = todaySessions.length;
   }
   
+  // Platforms with usage today, in registry order
+  const usedPlatforms = platforms
+    .map(p => ({ name: p.name, time: dailyUsage[p.id] || 0 }))
+    .filter(p => p.time > 0);
+  
   if (platformsElement) {
-    const platformsUsed = [
-      dailyUsage.instagram > 0 ? 'instagram' : null,
-      dailyUsage.linkedin > 0 ? 'linkedin' : null,
-      dailyUsage.reddit > 0 ? 'reddit' : null
-    ].filter(Boolean).length;
-    platformsElement.textContent = platformsUsed;
+    platformsElement.textContent = usedPlatforms.length;
   }
   
   // Update platform chart
   const chartElement = document.getElementById('platform-chart');
   if (chartElement) {
-    const platforms = [
-      { name: 'instagram', time: dailyUsage.instagram || 0 },
-      { name: 'linkedin', time: dailyUsage.linkedin || 0 },
-      { name: 'reddit', time: dailyUsage.reddit || 0 }
-    ].filter(p => p.time > 0);
+    const maxTime = Math.max(...usedPlatforms.map(p => p.time), 1);
     
-    const maxTime = Math.max(...platforms.map(p => p.time), 1);
-    
-    chartElement.innerHTML = platforms.length > 0
-      ? platforms.map(p => `
+    chartElement.innerHTML = usedPlatforms.length > 0
+      ? usedPlatforms.map(p => `
           <div class="chart-item">
-            <span class="chart-label">${p.name}</span>
+            <span class="chart-label">${escapeHTML(p.name)}</span>
             <div class="chart-bar-container">
               <div class="chart-bar" style="width: ${(p.time / maxTime) * 100}%"></div>
             </div>
@@ -160,10 +192,21 @@ async function loadDashboard() {
       : '<p style="color: #9ca3af; text-align: center; padding: 24px;">No usage data today</p>';
   }
   
+  // Purpose achieved rate over the last PURPOSE_SUMMARY_DAYS
+  const purposeSummaryElement = document.getElementById('sessions-purpose-summary');
+  if (purposeSummaryElement) {
+    const answered = purposeSessions.filter(s => s.purpose && typeof s.achieved === 'boolean');
+    const achieved = answered.filter(s => s.achieved).length;
+    purposeSummaryElement.textContent = answered.length > 0
+      ? `🎯 Purpose achieved in ${achieved} of ${answered.length} sessions over the last ${PURPOSE_SUMMARY_DAYS} days (${Math.round((achieved / answered.length) * 100)}%)`
+      : '';
+    purposeSummaryElement.style.display = answered.length > 0 ? 'block' : 'none';
+  }
+  
   // Update sessions list
   const sessionsListElement = document.getElementById('sessions-list');
   if (sessionsListElement) {
-    const recentSessions = sessions.slice(-10).reverse();
+    recentSessions.reverse();
     
     if (recentSessions.length === 0) {
       sessionsListElement.innerHTML = '<p style="color: #9ca3af; text-align: center; padding: 24px;">No sessions yet</p>';
@@ -173,8 +216,20 @@ async function loadDashboard() {
         return `
           <div class="session-item">
             <div class="session-info">
-              <span class="session-platform">${session.platform}</span>
-              <span class="session-time">Intended: ${session.intendedTime} min | Actual: ${session.actualTime} min</span>
+              <span class="session-platform">${escapeHTML(getPlatformInfo(session.platform, platforms).name)}</span>
+              ${session.purpose ? `
+                <span class="session-purpose">🎯 ${escapeHTML(session.purpose)}${session.achieved === true ? ' ✅' : session.achieved === false ? ' ❌' : ''}</span>
+              ` : ''}
+              <span class="session-time">Intended: ${Number(session.intendedTime) || 0} min | Actual: ${Number(session.actualTime) || 0} min${Number(session.idleTime) > 0 ? ` | Idle: ${Number(session.idleTime)} min` : ''}</span>
+              ${session.recovered ? `
+                <span class="session-recovered" title="The browser closed mid-session; time is up to its last checkpoint">♻️ Recovered after the browser closed</span>
+              ` : ''}
+              ${session.sections && Object.keys(session.sections).length > 0 ? `
+                <span class="session-sections">${escapeHTML(formatSessionSections(session))}</span>
+              ` : ''}
+              ${formatSessionMetrics(session) ? `
+                <span class="session-metrics">📜 ${escapeHTML(formatSessionMetrics(session))}</span>
+              ` : ''}
               <span class="session-date">${date.toLocaleDateString()} ${date.toLocaleTimeString()}</span>
             </div>
           </div>
@@ -182,6 +237,77 @@ async function loadDashboard() {
       }).join('');
     }
   }
+  
+  await renderAchievements();
+}
+
+/**
+ * Render streaks, this week's goals and every badge (earned or not)
+ * Computed from the whole history, so an import shows up on the next load
+ */
+async function renderAchievements() {
+  const achievementsElement = document.getElementById('achievements');
+  if (!achievementsElement) return;
+  
+  const { streaks, badges, weeklyGoals } = await loadAchievements();
+  
+  achievementsElement.innerHTML = `
+    <div class="dashboard-stats">
+      ${streaks.map(streak => `
+        <div class="stat-card">
+          <div class="stat-label">${streak.icon} ${escapeHTML(streak.label)}</div>
+          <div class="stat-value">${streak.current}</div>
+          <div class="streak-best">Best: ${streak.best}</div>
+        </div>
+      `).join('')}
+    </div>
+    <div class="weekly-goals">
+      ${weeklyGoals.map(goal => `
+        <div class="chart-item">
+          <span class="chart-label">${escapeHTML(goal.label)} this week</span>
+          <div class="chart-bar-container">
+            <div class="chart-bar" style="width: ${Math.min(100, (goal.progress / goal.target) * 100)}%"></div>
+          </div>
+          <span class="chart-value">${Math.min(goal.progress, goal.target)}/${goal.target}</span>
+        </div>
+      `).join('')}
+    </div>
+    <div class="badge-list">
+      ${badges.map(badge => `
+        <span class="badge-chip ${badge.earned ? 'earned' : ''}" title="${badge.earned ? 'Earned' : 'Not earned yet'}">${badge.icon} ${escapeHTML(badge.label)}</span>
+      `).join('')}
+    </div>
+  `;
+}
+
+/**
+ * Describe where a session's time went, most-used section first
+ * @param {Object} session - Session record with sections { id: minutes }
+ * @returns {string} - e.g. 'Reels 4.5 min · Feed 1 min'
+ */
+function formatSessionSections(session) {
+  const platformEntry = getPlatformInfo(session.platform, platforms);
+  return Object.entries(session.sections || {})
+    .sort((a, b) => b[1] - a[1])
+    .map(([id, minutes]) => `${getSectionName(platformEntry, id)} ${minutes} min`)
+    .join(' · ');
+}
+
+/**
+ * Describe how much a session scrolled and saw
+ * Sessions recorded before scroll metrics existed have none
+ * @param {Object} session - Session record
+ * @returns {string} - e.g. '42 screens · 3 fast bursts · 57 items · 1 autopilot check-in', or ''
+ */
+function formatSessionMetrics(session) {
+  if (typeof session.screens !== 'number') return '';
+  const checkIns = Array.isArray(session.checkIns) ? session.checkIns.length : 0;
+  return [
+    `${Math.round(session.screens)} screens`,
+    `${Number(session.scrollBursts) || 0} fast bursts`,
+    `${Number(session.itemsViewed) || 0} items`,
+    checkIns > 0 ? `${checkIns} autopilot check-in${checkIns === 1 ? '' : 's'}` : null
+  ].filter(Boolean).join(' · ');
 }
 
 // Goals
@@ -196,7 +322,7 @@ async function loadGoals() {
     } else {
       goalsListElement.innerHTML = goals.map((goal, index) => `
         <div class="goal-item">
-          <span class="goal-text">${goal}</span>
+          <span class="goal-text">${escapeHTML(goal)}</span>
           <div class="goal-actions">
             <button class="btn-icon delete-goal" data-index="${index}" title="Delete">
               <svg width="16" height="16" viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg">
@@ -228,23 +354,384 @@ async function deleteGoal(index) {
 
 // Limits
 async function loadLimits() {
-  const data = await chrome.storage.local.get(['platformLimits', 'preferences']);
-  const limits = data.platformLimits || {
-    instagram: 10,
-    linkedin: 30,
-    reddit: 15
-  };
+  const data = await chrome.storage.local.get(['platformLimits', 'preferences', 'intentPresets']);
+  const limits = { ...getDefaultPlatformLimits(platforms), ...data.platformLimits };
   const dailyLimit = data.preferences?.dailyLimit || 120;
   
-  const instagramInput = document.getElementById('limit-instagram');
-  const linkedinInput = document.getElementById('limit-linkedin');
-  const redditInput = document.getElementById('limit-reddit');
+  const limitsListElement = document.getElementById('limits-list');
   const dailyLimitInput = document.getElementById('daily-limit');
   
-  if (instagramInput) instagramInput.value = limits.instagram;
-  if (linkedinInput) linkedinInput.value = limits.linkedin;
-  if (redditInput) redditInput.value = limits.reddit;
+  if (limitsListElement) {
+    limitsListElement.innerHTML = platforms.map(p => `
+      <div class="limit-item">
+        <div class="limit-info">
+          <span class="limit-platform">${escapeHTML(p.icon)} ${escapeHTML(p.name)}</span>
+          <span class="limit-description">${escapeHTML(p.custom ? p.hosts.join(', ') : p.description)}</span>
+        </div>
+        <input type="number" id="limit-${escapeHTML(p.id)}" class="limit-input" min="5" max="120" step="5" value="${escapeHTML(limits[p.id])}">
+        <span class="limit-unit">min</span>
+        ${p.custom ? `
+          <button class="btn-icon remove-platform" data-id="${escapeHTML(p.id)}" title="Remove">
+            <svg width="16" height="16" viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg">
+              <path d="M4 4L12 12M12 4L4 12" stroke="currentColor" stroke-width="2" stroke-linecap="round"/>
+            </svg>
+          </button>
+        ` : ''}
+      </div>
+    `).join('');
+    
+    // Add remove listeners for custom sites
+    limitsListElement.querySelectorAll('.remove-platform').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        await removeCustomPlatform(btn.dataset.id);
+      });
+    });
+  }
+  
+  const presetsListElement = document.getElementById('intent-presets-list');
+  if (presetsListElement) {
+    presetsListElement.innerHTML = platforms.map(p => `
+      <div class="limit-item">
+        <div class="limit-info">
+          <span class="limit-platform">${escapeHTML(p.icon)} ${escapeHTML(p.name)}</span>
+        </div>
+        <input type="text" id="presets-${escapeHTML(p.id)}" class="preset-input" placeholder="${DEFAULT_INTENT_PRESETS.join(', ')}" value="${escapeHTML((data.intentPresets?.[p.id] || []).join(', '))}">
+        <span class="limit-unit">min</span>
+      </div>
+    `).join('');
+  }
+  
   if (dailyLimitInput) dailyLimitInput.value = dailyLimit;
+  
+  await loadLimitSuggestions();
+}
+
+/**
+ * Show adaptive limit suggestions from background above the limits list
+ * Apply updates platformLimits; both answers are recorded so they don't repeat
+ */
+async function loadLimitSuggestions() {
+  const container = document.getElementById('limit-suggestions');
+  if (!container) return;
+  
+  const suggestions = await chrome.runtime.sendMessage({ action: 'getAdaptiveSuggestions' });
+  if (!suggestions || suggestions.length === 0) {
+    container.style.display = 'none';
+    return;
+  }
+  
+  container.style.display = 'flex';
+  container.innerHTML = suggestions.map(s => `
+    <div class="limit-suggestion">
+      <span class="limit-suggestion-text">💡 ${escapeHTML(s.message)}</span>
+      <button class="btn btn-primary btn-small suggestion-apply" data-platform="${escapeHTML(s.platform)}" data-limit="${s.suggestedLimit}">Apply</button>
+      <button class="btn btn-secondary btn-small suggestion-dismiss" data-platform="${escapeHTML(s.platform)}" data-limit="${s.suggestedLimit}">Dismiss</button>
+    </div>
+  `).join('');
+  
+  container.querySelectorAll('.suggestion-apply, .suggestion-dismiss').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      const applied = btn.classList.contains('suggestion-apply');
+      await chrome.runtime.sendMessage({
+        action: applied ? 'applySuggestion' : 'dismissSuggestion',
+        platform: btn.dataset.platform,
+        suggestedLimit: parseInt(btn.dataset.limit)
+      });
+      
+      // Re-render so the new limit shows in its input
+      await loadLimits();
+      showNotification(applied ? 'Limit updated' : 'Suggestion dismissed');
+    });
+  });
+}
+
+/**
+ * Add a custom domain to the platform registry
+ * Requests the optional host permission first; must run from a click handler
+ * @param {string} input - Domain or URL typed by the user
+ */
+async function addCustomPlatform(input) {
+  const domain = normalizeDomain(input);
+  if (!domain) {
+    showNotification('Please enter a valid domain, e.g. news.ycombinator.com');
+    return;
+  }
+  
+  const existing = platforms.find(p => p.hosts.some(host => hostMatches(domain, host)));
+  if (existing) {
+    showNotification(`${domain} is already tracked as ${existing.name}`);
+    return;
+  }
+  
+  const platform = createCustomPlatform(domain);
+  const granted = await chrome.permissions.request({ origins: getPlatformOrigins(platform) });
+  if (!granted) {
+    showNotification(`ScrollSense needs access to ${domain} to track it`);
+    return;
+  }
+  
+  // background.js registers the content script when customPlatforms changes
+  const data = await chrome.storage.local.get(['customPlatforms', 'platformLimits']);
+  await chrome.storage.local.set({
+    customPlatforms: [...(data.customPlatforms || []), platform],
+    platformLimits: { ...data.platformLimits, [platform.id]: platform.defaultLimit }
+  });
+  
+  platforms = await getPlatforms();
+  await loadLimits();
+  await loadSectionRules();
+  showNotification(`${domain} added - reload any open tabs to start tracking`);
+}
+
+/**
+ * Remove a custom domain and release its host permission
+ * Past sessions and history for the site are kept
+ * @param {string} id - Custom platform id
+ */
+async function removeCustomPlatform(id) {
+  const data = await chrome.storage.local.get(['customPlatforms', 'platformLimits', 'intentPresets', 'sectionRules']);
+  const customPlatforms = data.customPlatforms || [];
+  const platform = customPlatforms.find(p => p.id === id);
+  if (!platform) return;
+  
+  const platformLimits = { ...data.platformLimits };
+  const intentPresets = { ...data.intentPresets };
+  const sectionRules = { ...data.sectionRules };
+  delete platformLimits[id];
+  delete intentPresets[id];
+  delete sectionRules[id];
+  
+  await chrome.storage.local.set({
+    customPlatforms: customPlatforms.filter(p => p.id !== id),
+    platformLimits,
+    intentPresets,
+    sectionRules
+  });
+  await chrome.permissions.remove({ origins: getPlatformOrigins(platform) });
+  
+  platforms = await getPlatforms();
+  await loadLimits();
+  await loadSectionRules();
+  showNotification(`${platform.name} removed`);
+}
+
+// Section rules
+async function loadSectionRules() {
+  const data = await chrome.storage.local.get(['sectionRules']);
+  const listElement = document.getElementById('section-rules-list');
+  if (!listElement) return;
+  
+  listElement.innerHTML = platforms.map(p => `
+    <div class="section-rules-platform">
+      <h3>${escapeHTML(p.icon)} ${escapeHTML(p.name)}</h3>
+      ${getPlatformSections(p).map(section => {
+        const rule = getSectionRule(p, section.id, data.sectionRules);
+        const key = `${escapeHTML(p.id)}-${escapeHTML(section.id)}`;
+        return `
+          <div class="limit-item section-rule-item">
+            <div class="limit-info">
+              <span class="limit-platform">${escapeHTML(section.name)}</span>
+            </div>
+            <label class="section-rule-field">
+              Limit
+              <input type="number" id="section-limit-${key}" class="limit-input" min="1" max="480" placeholder="none" value="${escapeHTML(rule.limit)}">
+              <span class="limit-unit">min</span>
+            </label>
+            <label class="section-rule-field">
+              Blur
+              <input type="number" id="section-blur-${key}" class="limit-input" min="0" max="100" step="10" placeholder="default" value="${escapeHTML(rule.blurIntensity)}">
+              <span class="limit-unit">%</span>
+            </label>
+            <label class="section-rule-field">
+              <input type="checkbox" id="section-counts-${key}" ${rule.countsTowardDaily ? 'checked' : ''}>
+              Counts toward daily
+            </label>
+          </div>
+        `;
+      }).join('')}
+    </div>
+  `).join('');
+}
+
+/**
+ * Read the Sections tab back into { platformId: { sectionId: rule } }
+ * Rows matching the shipped default are left out so defaults can change later
+ * @returns {Object}
+ */
+function readSectionRules() {
+  const sectionRules = {};
+  
+  platforms.forEach(p => {
+    getPlatformSections(p).forEach(section => {
+      const key = `${p.id}-${section.id}`;
+      const limit = parseInt(document.getElementById(`section-limit-${key}`)?.value);
+      const blurIntensity = parseInt(document.getElementById(`section-blur-${key}`)?.value);
+      const rule = {
+        limit: limit > 0 ? limit : null,
+        blurIntensity: Number.isNaN(blurIntensity) ? null : Math.max(0, Math.min(100, blurIntensity)),
+        countsTowardDaily: !!document.getElementById(`section-counts-${key}`)?.checked
+      };
+      
+      const defaults = getSectionRule(p, section.id, {});
+      const changed = Object.keys(rule).some(field => rule[field] !== defaults[field]);
+      if (changed) {
+        sectionRules[p.id] = { ...sectionRules[p.id], [section.id]: rule };
+      }
+    });
+  });
+  
+  return sectionRules;
+}
+
+// Schedule
+async function loadSchedule() {
+  const data = await chrome.storage.local.get(['focusWindows']);
+  renderFocusWindows(data.focusWindows || []);
+}
+
+/**
+ * Render the focus window editor
+ * @param {Array} focusWindows - Windows to show (saved or being edited)
+ */
+function renderFocusWindows(focusWindows) {
+  const listElement = document.getElementById('focus-windows-list');
+  if (!listElement) return;
+  
+  if (focusWindows.length === 0) {
+    listElement.innerHTML = '<p class="section-description">No focus windows yet. Start from one of the buttons above.</p>';
+    return;
+  }
+  
+  const active = getActiveFocusWindow(focusWindows);
+  listElement.innerHTML = focusWindows.map(focusWindow => `
+    <div class="focus-window" data-id="${escapeHTML(focusWindow.id)}">
+      <div class="focus-window-header">
+        <input type="text" class="input focus-name" maxlength="40" value="${escapeHTML(focusWindow.name)}">
+        <span class="limit-description">${escapeHTML(describeFocusWindow(focusWindow))}</span>
+        ${active?.id === focusWindow.id ? '<span class="focus-window-active">On now</span>' : ''}
+        <label class="section-rule-field">
+          <input type="checkbox" class="focus-enabled" ${focusWindow.enabled ? 'checked' : ''}>
+          Enabled
+        </label>
+        <button class="btn-icon remove-focus-window" title="Remove">
+          <svg width="16" height="16" viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg">
+            <path d="M4 4L12 12M12 4L4 12" stroke="currentColor" stroke-width="2" stroke-linecap="round"/>
+          </svg>
+        </button>
+      </div>
+      <div class="focus-window-row">
+        ${WEEKDAY_LABELS.map((label, day) => `
+          <label class="focus-day">
+            <input type="checkbox" value="${day}" ${focusWindow.days.includes(day) ? 'checked' : ''}>
+            ${label}
+          </label>
+        `).join('')}
+      </div>
+      <div class="focus-window-row">
+        <label class="section-rule-field">From <input type="time" class="input focus-start" value="${escapeHTML(focusWindow.start)}"></label>
+        <label class="section-rule-field">to <input type="time" class="input focus-end" value="${escapeHTML(focusWindow.end)}"></label>
+      </div>
+      <div class="focus-window-row">
+        <label class="section-rule-field">
+          Presets
+          <input type="text" class="preset-input focus-presets" placeholder="usual" value="${escapeHTML((focusWindow.presets || []).join(', '))}">
+          <span class="limit-unit">min</span>
+        </label>
+        <label class="section-rule-field">
+          Limit
+          <input type="number" class="limit-input focus-limit" min="1" max="480" placeholder="usual" value="${escapeHTML(focusWindow.limit)}">
+          <span class="limit-unit">min</span>
+        </label>
+        <label class="section-rule-field">
+          Blur
+          <input type="number" class="limit-input focus-blur" min="0" max="100" step="10" placeholder="usual" value="${escapeHTML(focusWindow.blurIntensity)}">
+          <span class="limit-unit">%</span>
+        </label>
+        <label class="section-rule-field">
+          Tone
+          <select class="input focus-tone">
+            <option value="">Usual</option>
+            ${['encouraging', 'neutral', 'direct'].map(tone => `
+              <option value="${tone}" ${focusWindow.messageTone === tone ? 'selected' : ''}>${tone[0].toUpperCase()}${tone.slice(1)}</option>
+            `).join('')}
+          </select>
+        </label>
+        <label class="section-rule-field">
+          <input type="checkbox" class="focus-blur-now" ${focusWindow.blurImmediately ? 'checked' : ''}>
+          Blur from the start
+        </label>
+      </div>
+    </div>
+  `).join('');
+  
+  // Removing only changes the editor; Save Schedule stores it
+  listElement.querySelectorAll('.remove-focus-window').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const id = btn.closest('.focus-window').dataset.id;
+      renderFocusWindows(readFocusWindows().filter(focusWindow => focusWindow.id !== id));
+    });
+  });
+}
+
+/**
+ * Read the focus window editor back into window objects
+ * @returns {Array}
+ */
+function readFocusWindows() {
+  return [...document.querySelectorAll('#focus-windows-list .focus-window')].map(element => {
+    const limit = parseInt(element.querySelector('.focus-limit').value);
+    const blurIntensity = parseInt(element.querySelector('.focus-blur').value);
+    const presets = parseIntentPresets(element.querySelector('.focus-presets').value);
+    
+    return {
+      id: element.dataset.id,
+      name: element.querySelector('.focus-name').value.trim() || FOCUS_WINDOW_DEFAULTS.name,
+      days: [...element.querySelectorAll('.focus-day input:checked')].map(input => Number(input.value)),
+      start: element.querySelector('.focus-start').value,
+      end: element.querySelector('.focus-end').value,
+      presets: presets.length > 0 ? presets : null,
+      limit: limit > 0 ? limit : null,
+      blurIntensity: Number.isNaN(blurIntensity) ? null : Math.max(0, Math.min(100, blurIntensity)),
+      messageTone: element.querySelector('.focus-tone').value || null,
+      blurImmediately: element.querySelector('.focus-blur-now').checked,
+      enabled: element.querySelector('.focus-enabled').checked
+    };
+  });
+}
+
+/**
+ * Add a window to the editor (not saved until Save Schedule)
+ * @param {Object} fields - Template fields
+ */
+function addFocusWindow(fields) {
+  const focusWindows = readFocusWindows();
+  if (focusWindows.length >= MAX_FOCUS_WINDOWS) {
+    showNotification(`You can have up to ${MAX_FOCUS_WINDOWS} focus windows`);
+    return;
+  }
+  renderFocusWindows([...focusWindows, createFocusWindow(fields)]);
+}
+
+/**
+ * Validate and store the schedule; background re-evaluates it on change
+ */
+async function saveSchedule() {
+  const focusWindows = readFocusWindows();
+  
+  const invalid = focusWindows.find(focusWindow =>
+    parseTimeOfDay(focusWindow.start) === null ||
+    parseTimeOfDay(focusWindow.end) === null ||
+    focusWindow.start === focusWindow.end ||
+    focusWindow.days.length === 0
+  );
+  if (invalid) {
+    showNotification(`"${invalid.name}" needs at least one day and different start and end times`);
+    return;
+  }
+  
+  await chrome.storage.local.set({ focusWindows });
+  renderFocusWindows(focusWindows);
+  showNotification('Schedule saved successfully!');
 }
 
 // Preferences
@@ -253,9 +740,26 @@ async function loadPreferences() {
   const preferences = data.preferences || {
     blurIntensity: 50,
     messageTone: 'encouraging',
-    dailyLimit: 120
+    dailyLimit: 120,
+    idleThreshold: 2,
+    historyRetentionDays: DEFAULT_RETENTION_DAYS
   };
   
+  const idleThresholdInput = document.getElementById('idle-threshold');
+  if (idleThresholdInput) {
+    idleThresholdInput.value = preferences.idleThreshold || 2;
+  }
+  
+  const retentionSelect = document.getElementById('history-retention');
+  if (retentionSelect) {
+    retentionSelect.value = String(preferences.historyRetentionDays ?? DEFAULT_RETENTION_DAYS);
+  }
+  
+  const autopilotSelect = document.getElementById('autopilot-sensitivity');
+  if (autopilotSelect) {
+    autopilotSelect.value = preferences.autopilotSensitivity || 'medium';
+  }
+  
   const blurSlider = document.getElementById('blur-intensity');
   const blurValue = document.getElementById('blur-value');
   const toneRadios = document.querySelectorAll('input[name="message-tone"]');
@@ -286,13 +790,14 @@ async function loadPreferences() {
 // ==========================================
 
 async function loadAPISettings() {
-  const data = await chrome.storage.local.get(['apiKey', 'userGoals', 'preferences']);
-  const apiKey = data.apiKey;
+  const data = await chrome.storage.local.get(['apiKey', 'aiProvider', 'userGoals', 'preferences']);
+  const smartMode = isSmartModeConfigured(data);
   const userGoals = data.userGoals || [];
   const tone = data.preferences?.messageTone || 'encouraging';
   
-  // Update status card based on whether API key exists
-  updateSmartModeStatus(!!apiKey);
+  // Update status card based on whether a provider is set up
+  updateSmartModeStatus(smartMode);
+  loadProviderForm(data.aiProvider, data.apiKey);
   
   // Update example messages with user's actual goals
   updateExampleMessages(userGoals, tone);
@@ -301,16 +806,52 @@ async function loadAPISettings() {
   const setupSection = document.getElementById('setup-section');
   const configuredSection = document.getElementById('configured-section');
   
-  if (apiKey) {
+  if (smartMode) {
     if (setupSection) setupSection.style.display = 'none';
     if (configuredSection) configuredSection.style.display = 'block';
   } else {
     if (setupSection) setupSection.style.display = 'block';
     if (configuredSection) configuredSection.style.display = 'none';
   }
-  
-  // Setup Smart Reminders event listeners
-  setupSmartRemindersListeners();
+}
+
+/**
+ * Whether Smart Mode has a provider: a key for Groq or a custom server
+ * Mirrors getAIProvider() in background.js
+ * @param {Object} data - Storage values for apiKey and aiProvider
+ * @returns {boolean}
+ */
+function isSmartModeConfigured(data) {
+  return !!(data.apiKey || data.aiProvider?.baseUrl);
+}
+
+/**
+ * Fill the custom provider form and the configured card's description
+ * @param {Object} aiProvider - Saved { baseUrl, model } or undefined for Groq
+ * @param {string} apiKey - Saved key
+ */
+function loadProviderForm(aiProvider, apiKey) {
+  const baseUrlInput = document.getElementById('provider-base-url');
+  const modelInput = document.getElementById('provider-model');
+  const keyInput = document.getElementById('provider-key');
+  const configuredDesc = document.getElementById('configured-desc');
+  
+  if (baseUrlInput) baseUrlInput.value = aiProvider?.baseUrl || '';
+  if (modelInput) modelInput.value = aiProvider?.model || '';
+  if (keyInput) keyInput.value = aiProvider ? (apiKey || '') : '';
+  
+  if (configuredDesc) {
+    // A stored or imported address may not parse: show it as it is
+    let server;
+    try {
+      server = new URL(aiProvider?.baseUrl).host;
+    } catch (error) {
+      server = String(aiProvider?.baseUrl ?? '');
+    }
+    configuredDesc.textContent = aiProvider
+      ? `Using ${aiProvider.model} on ${server}`
+      : 'Your reminders are AI-powered and personalized';
+  }
 }
 
 function updateSmartModeStatus(isEnabled) {
@@ -421,6 +962,17 @@ function setupSmartRemindersListeners() {
   if (visualGuideBtn) {
     visualGuideBtn.addEventListener('click', showVisualGuide);
   }
+  
+  // Custom provider buttons
+  const saveProviderBtn = document.getElementById('save-provider-btn');
+  if (saveProviderBtn) {
+    saveProviderBtn.addEventListener('click', saveAIProvider);
+  }
+  
+  const resetProviderBtn = document.getElementById('reset-provider-btn');
+  if (resetProviderBtn) {
+    resetProviderBtn.addEventListener('click', resetAIProvider);
+  }
 }
 
 async function showDemoPreview() {
@@ -433,13 +985,13 @@ async function showDemoPreview() {
   demoMessage.textContent = 'Generating your personalized message...';
   
   // Get user's goals and preferences
-  const data = await chrome.storage.local.get(['userGoals', 'preferences', 'apiKey']);
+  const data = await chrome.storage.local.get(['userGoals', 'preferences', 'apiKey', 'aiProvider']);
   const userGoals = data.userGoals || [];
   const tone = data.preferences?.messageTone || 'encouraging';
   const goal = userGoals.length > 0 ? userGoals[0] : 'managing your time';
   
-  // If API key exists, try to get real AI message
-  if (data.apiKey) {
+  // If a provider is set up, try to get real AI message
+  if (isSmartModeConfigured(data)) {
     try {
       const response = await chrome.runtime.sendMessage({
         action: 'getAINudge',
@@ -510,15 +1062,9 @@ async function saveAPIKeyWithFeedback() {
   
   // Test the connection
   try {
-    const response = await chrome.runtime.sendMessage({
-      action: 'getAINudge',
-      intendedTime: 5,
-      actualTime: 7,
-      userGoal: 'testing connection',
-      tone: 'encouraging'
-    });
+    const response = await chrome.runtime.sendMessage({ action: 'testAIProvider' });
     
-    if (response && !response.includes('error')) {
+    if (response?.success) {
       showSetupStatus('success', '🎉 Smart Mode Enabled!', 'Your reminders are now AI-powered and personalized.');
       
       // Update UI after short delay
@@ -574,15 +1120,13 @@ async function testAPIConnection() {
   }
   
   try {
-    const response = await chrome.runtime.sendMessage({
-      action: 'getAINudge',
-      intendedTime: 5,
-      actualTime: 7,
-      userGoal: 'test',
-      tone: 'encouraging'
-    });
+    const response = await chrome.runtime.sendMessage({ action: 'testAIProvider' });
     
-    showNotification('✅ Connection successful! AI is working.');
+    if (response?.success) {
+      showNotification('✅ Connection successful! AI is working.');
+    } else {
+      showNotification(`❌ Connection failed: ${response?.error || 'no response'}`);
+    }
   } catch (error) {
     showNotification('❌ Connection failed. Check your key.');
   }
@@ -595,12 +1139,71 @@ async function testAPIConnection() {
 
 async function removeAPIKey() {
   if (confirm('Remove your Smart Mode key? You can always add it back later.')) {
-    await chrome.storage.local.remove('apiKey');
+    await chrome.storage.local.remove(['apiKey', 'aiProvider']);
     showNotification('Key removed. Switched to Basic Mode.');
     loadAPISettings();
   }
 }
 
+/**
+ * Save a custom OpenAI-compatible provider and test it
+ * Host access for the server is requested first, while the click still
+ * counts as a user gesture
+ */
+async function saveAIProvider() {
+  const baseUrl = document.getElementById('provider-base-url')?.value.trim().replace(/\/+$/, '');
+  const model = document.getElementById('provider-model')?.value.trim();
+  const key = document.getElementById('provider-key')?.value.trim();
+  
+  let url;
+  try {
+    url = new URL(baseUrl);
+  } catch (error) {
+    url = null;
+  }
+  
+  if (!url || !['http:', 'https:'].includes(url.protocol)) {
+    showNotification('Enter the server address, e.g. http://localhost:11434/v1');
+    return;
+  }
+  
+  if (!model) {
+    showNotification('Enter the model name the server should use');
+    return;
+  }
+  
+  const granted = await chrome.permissions.request({ origins: [`${url.protocol}//${url.hostname}/*`] });
+  if (!granted) {
+    showNotification(`ScrollSense needs access to ${url.host} to reach your server`);
+    return;
+  }
+  
+  await chrome.storage.local.set({ aiProvider: { baseUrl, model } });
+  if (key) {
+    await chrome.storage.local.set({ apiKey: key });
+  } else {
+    await chrome.storage.local.remove('apiKey');
+  }
+  
+  await loadAPISettings();
+  
+  const response = await chrome.runtime.sendMessage({ action: 'testAIProvider' });
+  if (response?.success) {
+    showNotification(`✅ Connected to ${model}`);
+  } else {
+    showNotification(`⚠️ Saved, but the test failed: ${response?.error || 'no response'}`);
+  }
+}
+
+/**
+ * Forget the custom provider (and its key) and go back to the Groq setup
+ */
+async function resetAIProvider() {
+  await chrome.storage.local.remove(['aiProvider', 'apiKey']);
+  showNotification('Custom server removed. Add a Groq key to use Smart Mode.');
+  await loadAPISettings();
+}
+
 function showVisualGuide() {
   // Create a modal with visual instructions
   const modal = document.createElement('div');
@@ -709,40 +1312,89 @@ function setupEventListeners() {
   const saveLimitsBtn = document.getElementById('save-limits-btn');
   if (saveLimitsBtn) {
     saveLimitsBtn.addEventListener('click', async () => {
-      const instagramLimit = parseInt(document.getElementById('limit-instagram').value);
-      const linkedinLimit = parseInt(document.getElementById('limit-linkedin').value);
-      const redditLimit = parseInt(document.getElementById('limit-reddit').value);
+      const platformLimits = {};
+      platforms.forEach(p => {
+        const input = document.getElementById(`limit-${p.id}`);
+        platformLimits[p.id] = parseInt(input?.value) || p.defaultLimit;
+      });
+      
+      // Empty or invalid preset lists fall back to the defaults
+      const intentPresets = {};
+      platforms.forEach(p => {
+        const presets = parseIntentPresets(document.getElementById(`presets-${p.id}`)?.value);
+        if (presets.length > 0) {
+          intentPresets[p.id] = presets;
+        }
+      });
       const dailyLimit = parseInt(document.getElementById('daily-limit').value);
       
       await chrome.storage.local.set({
-        platformLimits: {
-          instagram: instagramLimit,
-          linkedin: linkedinLimit,
-          reddit: redditLimit
-        },
+        platformLimits,
+        intentPresets,
         preferences: {
           ...(await chrome.storage.local.get(['preferences'])).preferences,
           dailyLimit: dailyLimit
         }
       });
       
+      // Re-render so presets show as they were parsed
+      await loadLimits();
       showNotification('Limits saved successfully!');
     });
   }
   
+  // Save section rules (content scripts pick them up from storage)
+  const saveSectionRulesBtn = document.getElementById('save-section-rules-btn');
+  if (saveSectionRulesBtn) {
+    saveSectionRulesBtn.addEventListener('click', async () => {
+      await chrome.storage.local.set({ sectionRules: readSectionRules() });
+      await loadSectionRules();
+      showNotification('Section rules saved successfully!');
+    });
+  }
+  
+  // Schedule editor
+  document.getElementById('add-work-window-btn')?.addEventListener('click', () => addFocusWindow(FOCUS_WINDOW_TEMPLATES.work));
+  document.getElementById('add-late-window-btn')?.addEventListener('click', () => addFocusWindow(FOCUS_WINDOW_TEMPLATES.late));
+  document.getElementById('add-focus-window-btn')?.addEventListener('click', () => addFocusWindow({}));
+  document.getElementById('save-schedule-btn')?.addEventListener('click', saveSchedule);
+  
+  // Add custom site
+  const addPlatformBtn = document.getElementById('add-platform-btn');
+  const platformInput = document.getElementById('platform-domain-input');
+  if (addPlatformBtn && platformInput) {
+    addPlatformBtn.addEventListener('click', async () => {
+      await addCustomPlatform(platformInput.value);
+      platformInput.value = '';
+    });
+    
+    platformInput.addEventListener('keypress', (e) => {
+      if (e.key === 'Enter') {
+        addPlatformBtn.click();
+      }
+    });
+  }
+  
   // Save preferences
   const savePreferencesBtn = document.getElementById('save-preferences-btn');
   if (savePreferencesBtn) {
     savePreferencesBtn.addEventListener('click', async () => {
       const blurIntensity = parseInt(document.getElementById('blur-intensity').value);
       const messageTone = document.querySelector('input[name="message-tone"]:checked').value;
+      const idleThreshold = Math.max(1, Math.min(30, parseInt(document.getElementById('idle-threshold').value) || 2));
+      const historyRetentionDays = parseInt(document.getElementById('history-retention').value) || 0;
+      const autopilotSensitivity = document.getElementById('autopilot-sensitivity').value;
       
+      // background.js trims history as soon as the retention window shrinks
       const data = await chrome.storage.local.get(['preferences']);
       await chrome.storage.local.set({
         preferences: {
           ...data.preferences,
           blurIntensity: blurIntensity,
-          messageTone: messageTone
+          messageTone: messageTone,
+          idleThreshold: idleThreshold,
+          historyRetentionDays: historyRetentionDays,
+          autopilotSensitivity: autopilotSensitivity
         }
       });
       
@@ -759,13 +1411,13 @@ function setupEventListeners() {
 
 // Load insights data and render visualizations
 async function loadInsights() {
-  const data = await chrome.storage.local.get(['weeklyHistory', 'sessions']);
+  const data = await chrome.storage.local.get(['weeklyHistory']);
   const weeklyHistory = data.weeklyHistory || [];
   
   if (weeklyHistory.length > 0) {
     renderWeeklyStats(weeklyHistory);
     renderTrendChart(weeklyHistory);
-    renderPlatformComparison(weeklyHistory);
+    renderPlatformComparison(weeklyHistory, platforms);
     renderHourlyHeatmap(weeklyHistory);
     renderQuickInsights(weeklyHistory);
   }
@@ -778,6 +1430,14 @@ function setupInsightsEventListeners() {
   const loadDemoBtn = document.getElementById('load-demo-data-btn');
   const analyzeTrendsBtn = document.getElementById('analyze-trends-btn');
   const clearDataBtn = document.getElementById('clear-insights-data-btn');
+  const openReportBtn = document.getElementById('open-report-btn');
+  
+  // Any past week, compared with the week before, on its own printable page
+  if (openReportBtn) {
+    openReportBtn.addEventListener('click', () => {
+      chrome.tabs.create({ url: chrome.runtime.getURL('report.html') });
+    });
+  }
   
   if (loadDemoBtn) {
     loadDemoBtn.addEventListener('click', async () => {
@@ -785,10 +1445,8 @@ function setupInsightsEventListeners() {
       loadDemoBtn.innerHTML = '<span class="loading-spinner"></span> Generating...';
       
       const syntheticData = generateSyntheticData();
-      await chrome.storage.local.set({ 
-        weeklyHistory: syntheticData.dailyData,
-        sessions: syntheticData.sessions
-      });
+      await chrome.storage.local.set({ weeklyHistory: syntheticData.dailyData });
+      await replaceSessions(syntheticData.sessions);
       
       await loadInsights();
       await loadDashboard();
@@ -811,17 +1469,17 @@ function setupInsightsEventListeners() {
   
   if (analyzeTrendsBtn) {
     analyzeTrendsBtn.addEventListener('click', async () => {
-      const data = await chrome.storage.local.get(['weeklyHistory', 'apiKey']);
+      const data = await chrome.storage.local.get(['weeklyHistory', 'apiKey', 'aiProvider']);
       
       if (!data.weeklyHistory || data.weeklyHistory.length === 0) {
-        showNotification('Please load demo data first!');
+        showNotification('No usage history yet - finish a session or load demo data first!');
         return;
       }
       
       analyzeTrendsBtn.disabled = true;
       analyzeTrendsBtn.innerHTML = '<span class="loading-spinner"></span> Analyzing...';
       
-      await analyzeWithAI(data.weeklyHistory, data.apiKey);
+      await analyzeWithAI(data.weeklyHistory, isSmartModeConfigured(data));
       
       analyzeTrendsBtn.disabled = false;
       analyzeTrendsBtn.innerHTML = `
@@ -873,7 +1531,9 @@ function generateSyntheticData() {
       hourlyUsage: {},
       totalTime: 0,
       sessionsCount: 0,
-      goalAdherence: 0
+      goalAdherence: 0,
+      purposeSessions: 0,
+      purposeAchieved: 0
     };
     
     // Generate platform-specific data
@@ -919,11 +1579,24 @@ function generateSyntheticData() {
         const sessionDate = new Date(date);
         sessionDate.setHours(hour, Math.floor(Math.random() * 60));
         
+        // About half of sessions start with a stated purpose
+        const purpose = Math.random() < 0.5
+          ? SAMPLE_PURPOSES[platform][Math.floor(Math.random() * SAMPLE_PURPOSES[platform].length)]
+          : '';
+        const achieved = purpose ? Math.random() < 0.65 : null;
+        if (purpose) {
+          dayData.purposeSessions += 1;
+          dayData.purposeAchieved += achieved ? 1 : 0;
+        }
+        
         sessions.push({
           platform,
           actualTime: sessionTime,
           intendedTime: sessionIntended,
           date: sessionDate.toISOString(),
+          startTime: sessionDate.getTime(),
+          purpose,
+          achieved,
           hour
         });
         
@@ -947,6 +1620,13 @@ function generateSyntheticData() {
   return { dailyData, sessions };
 }
 
+// Example session purposes for synthetic data
+const SAMPLE_PURPOSES = {
+  instagram: ['Reply to DMs', 'Post event photos', 'Check a friend\'s story'],
+  linkedin: ['Reply to recruiter', 'Update job history', 'Read team announcement'],
+  reddit: ['Check r/javascript thread', 'Find a laptop recommendation', 'Answer a question I asked']
+};
+
 // Get random hour based on weight
 function getRandomHour(weights) {
   const hours = Object.keys(weights).map(Number);
@@ -982,190 +1662,6 @@ function renderWeeklyStats(weeklyData) {
   document.getElementById('weekly-avg-session').textContent = formatTime(avgSession);
 }
 
-// Render 7-day trend chart
-function renderTrendChart(weeklyData) {
-  const container = document.getElementById('trend-chart');
-  const maxTime = Math.max(...weeklyData.map(d => d.totalTime));
-  
-  const chartHTML = `
-    <div class="trend-chart-wrapper">
-      <div class="trend-chart-bars">
-        ${weeklyData.map((day, index) => {
-          const height = (day.totalTime / maxTime) * 100;
-          const isToday = index === weeklyData.length - 1;
-          return `
-            <div class="trend-bar-container">
-              <div class="trend-bar-value">${day.totalTime}m</div>
-              <div class="trend-bar ${isToday ? 'today' : ''}" style="height: ${height}%">
-                <div class="trend-bar-fill"></div>
-              </div>
-              <div class="trend-bar-label">${day.dayName}</div>
-            </div>
-          `;
-        }).join('')}
-      </div>
-      <div class="trend-line-overlay">
-        <svg viewBox="0 0 700 150" preserveAspectRatio="none">
-          <path d="${generateTrendLinePath(weeklyData, maxTime)}" 
-                fill="none" 
-                stroke="url(#trendGradient)" 
-                stroke-width="3" 
-                stroke-linecap="round"
-                stroke-linejoin="round"/>
-          <defs>
-            <linearGradient id="trendGradient" x1="0%" y1="0%" x2="100%" y2="0%">
-              <stop offset="0%" style="stop-color:#8b5cf6"/>
-              <stop offset="100%" style="stop-color:#06b6d4"/>
-            </linearGradient>
-          </defs>
-        </svg>
-      </div>
-    </div>
-  `;
-  
-  container.innerHTML = chartHTML;
-}
-
-// Generate SVG path for trend line
-function generateTrendLinePath(weeklyData, maxTime) {
-  const points = weeklyData.map((day, index) => {
-    const x = (index / (weeklyData.length - 1)) * 700;
-    const y = 150 - (day.totalTime / maxTime) * 140;
-    return `${x},${y}`;
-  });
-  
-  return `M ${points.join(' L ')}`;
-}
-
-// Render platform comparison
-function renderPlatformComparison(weeklyData) {
-  const container = document.getElementById('platform-comparison');
-  
-  // Aggregate platform data
-  const platformTotals = {};
-  weeklyData.forEach(day => {
-    Object.entries(day.platforms).forEach(([platform, data]) => {
-      if (!platformTotals[platform]) {
-        platformTotals[platform] = { actual: 0, intended: 0, sessions: 0 };
-      }
-      platformTotals[platform].actual += data.actualTime;
-      platformTotals[platform].intended += data.intendedTime;
-      platformTotals[platform].sessions += data.sessions;
-    });
-  });
-  
-  const maxActual = Math.max(...Object.values(platformTotals).map(p => p.actual));
-  
-  const platformColors = {
-    instagram: { primary: '#E1306C', secondary: '#F77737' },
-    linkedin: { primary: '#0077B5', secondary: '#00A0DC' },
-    reddit: { primary: '#FF4500', secondary: '#FF8717' }
-  };
-  
-  const platformIcons = {
-    instagram: '📸',
-    linkedin: '💼',
-    reddit: '🔴'
-  };
-  
-  const comparisonHTML = `
-    <div class="platform-cards">
-      ${Object.entries(platformTotals).map(([platform, data]) => {
-        const adherence = data.intended > 0 
-          ? Math.round((Math.min(data.intended, data.actual) / data.actual) * 100)
-          : 0;
-        const overTime = data.actual - data.intended;
-        const colors = platformColors[platform];
-        
-        return `
-          <div class="platform-card" style="--platform-primary: ${colors.primary}; --platform-secondary: ${colors.secondary}">
-            <div class="platform-card-header">
-              <span class="platform-icon">${platformIcons[platform]}</span>
-              <span class="platform-name">${platform.charAt(0).toUpperCase() + platform.slice(1)}</span>
-            </div>
-            <div class="platform-card-stats">
-              <div class="platform-stat">
-                <span class="platform-stat-value">${formatMinutes(data.actual)}</span>
-                <span class="platform-stat-label">Total Time</span>
-              </div>
-              <div class="platform-stat">
-                <span class="platform-stat-value">${data.sessions}</span>
-                <span class="platform-stat-label">Sessions</span>
-              </div>
-              <div class="platform-stat">
-                <span class="platform-stat-value ${overTime > 0 ? 'overtime' : 'undertime'}">
-                  ${overTime > 0 ? '+' : ''}${overTime}m
-                </span>
-                <span class="platform-stat-label">vs Intended</span>
-              </div>
-            </div>
-            <div class="platform-progress-bar">
-              <div class="platform-progress-fill" style="width: ${(data.actual / maxActual) * 100}%"></div>
-            </div>
-          </div>
-        `;
-      }).join('')}
-    </div>
-  `;
-  
-  container.innerHTML = comparisonHTML;
-}
-
-// Format minutes to hours and minutes
-function formatMinutes(mins) {
-  if (mins >= 60) {
-    const hours = Math.floor(mins / 60);
-    const remaining = mins % 60;
-    return `${hours}h ${remaining}m`;
-  }
-  return `${mins}m`;
-}
-
-// Render hourly heatmap
-function renderHourlyHeatmap(weeklyData) {
-  const container = document.getElementById('hourly-heatmap');
-  
-  // Aggregate hourly usage
-  const hourlyTotals = {};
-  for (let h = 6; h <= 23; h++) {
-    hourlyTotals[h] = 0;
-  }
-  
-  weeklyData.forEach(day => {
-    Object.entries(day.hourlyUsage).forEach(([hour, time]) => {
-      hourlyTotals[hour] = (hourlyTotals[hour] || 0) + time;
-    });
-  });
-  
-  const maxUsage = Math.max(...Object.values(hourlyTotals));
-  
-  const heatmapHTML = `
-    <div class="heatmap-grid">
-      ${Object.entries(hourlyTotals).map(([hour, time]) => {
-        const intensity = maxUsage > 0 ? time / maxUsage : 0;
-        const hourNum = parseInt(hour);
-        const timeLabel = hourNum < 12 ? `${hourNum}am` : hourNum === 12 ? '12pm' : `${hourNum - 12}pm`;
-        
-        return `
-          <div class="heatmap-cell" 
-               style="--intensity: ${intensity}"
-               title="${timeLabel}: ${time}m total">
-            <span class="heatmap-hour">${timeLabel}</span>
-            <div class="heatmap-bar" style="height: ${intensity * 100}%"></div>
-          </div>
-        `;
-      }).join('')}
-    </div>
-    <div class="heatmap-legend">
-      <span>Less active</span>
-      <div class="heatmap-legend-gradient"></div>
-      <span>More active</span>
-    </div>
-  `;
-  
-  container.innerHTML = heatmapHTML;
-}
-
 // Render quick insights
 function renderQuickInsights(weeklyData) {
   const container = document.getElementById('quick-insights');
@@ -1186,7 +1682,7 @@ function renderQuickInsights(weeklyData) {
   insights.push({
     icon: '🏆',
     title: 'Most Used Platform',
-    value: `${topPlatform[0].charAt(0).toUpperCase() + topPlatform[0].slice(1)} (${formatMinutes(topPlatform[1])} this week)`,
+    value: `${getPlatformInfo(topPlatform[0], platforms).name} (${formatMinutes(topPlatform[1])} this week)`,
     type: 'neutral'
   });
   
@@ -1224,6 +1720,20 @@ function renderQuickInsights(weeklyData) {
     type: avgOvertime > 15 ? 'warning' : 'success'
   });
   
+  // Purposeful vs idle use: share of stated purposes that were achieved
+  const purposeSessions = weeklyData.reduce((sum, day) => sum + (day.purposeSessions || 0), 0);
+  if (purposeSessions > 0) {
+    const purposeAchieved = weeklyData.reduce((sum, day) => sum + (day.purposeAchieved || 0), 0);
+    const achievedRate = Math.round((purposeAchieved / purposeSessions) * 100);
+    
+    insights.push({
+      icon: '🎯',
+      title: 'Purpose Achieved',
+      value: `${achievedRate}% of ${purposeSessions} sessions with a stated purpose`,
+      type: achievedRate >= 60 ? 'success' : 'warning'
+    });
+  }
+  
   const insightsHTML = `
     <div class="insights-cards">
       ${insights.map(insight => `
@@ -1231,7 +1741,7 @@ function renderQuickInsights(weeklyData) {
           <span class="insight-icon">${insight.icon}</span>
           <div class="insight-content">
             <span class="insight-title">${insight.title}</span>
-            <span class="insight-value">${insight.value}</span>
+            <span class="insight-value">${escapeHTML(insight.value)}</span>
           </div>
         </div>
       `).join('')}
@@ -1242,7 +1752,7 @@ function renderQuickInsights(weeklyData) {
 }
 
 // Analyze trends with AI
-async function analyzeWithAI(weeklyData, apiKey) {
+async function analyzeWithAI(weeklyData, smartMode) {
   const container = document.getElementById('ai-analysis');
   
   // Prepare data summary for AI
@@ -1283,7 +1793,7 @@ async function analyzeWithAI(weeklyData, apiKey) {
     goalAdherenceAvg: Math.round(weeklyData.reduce((sum, d) => sum + d.goalAdherence, 0) / weeklyData.length)
   };
   
-  if (!apiKey) {
+  if (!smartMode) {
     // Show fallback analysis without API
     container.innerHTML = generateFallbackAnalysis(dataForAI);
     return;
@@ -1314,7 +1824,7 @@ async function analyzeWithAI(weeklyData, apiKey) {
             <span class="ai-timestamp">Generated just now</span>
           </div>
           <div class="ai-analysis-content">
-            ${formatAIAnalysis(response.analysis)}
+            ${renderSafeMarkdown(response.analysis)}
           </div>
         </div>
       `;
@@ -1327,19 +1837,6 @@ async function analyzeWithAI(weeklyData, apiKey) {
   }
 }
 
-// Format AI analysis response
-function formatAIAnalysis(analysis) {
-  // Split into paragraphs and add styling
-  const paragraphs = analysis.split('\n').filter(p => p.trim());
-  return paragraphs.map(p => {
-    // Check for bullet points or numbered lists
-    if (p.trim().startsWith('-') || p.trim().startsWith('•') || /^\d+\./.test(p.trim())) {
-      return `<li>${p.replace(/^[-•\d.]\s*/, '')}</li>`;
-    }
-    return `<p>${p}</p>`;
-  }).join('');
-}
-
 // Generate fallback analysis without API
 function generateFallbackAnalysis(data) {
   const { weeklyTotalMinutes, averageDailyMinutes, platforms, peakUsageHours, goalAdherenceAvg } = data;
@@ -1366,8 +1863,8 @@ function generateFallbackAnalysis(data) {
         
         <div class="analysis-section">
           <h4>📱 Platform Insights</h4>
-          <p><strong>${topPlatform[0].charAt(0).toUpperCase() + topPlatform[0].slice(1)}</strong> is your most-used platform at ${formatMinutes(topPlatform[1].total)} this week.</p>
-          ${mostOvertime[1].overtime > 0 ? `<p>You tend to exceed your intended time most on <strong>${mostOvertime[0]}</strong> (${mostOvertime[1].overtime}m overtime total).</p>` : ''}
+          <p><strong>${escapeHTML(topPlatform[0].charAt(0).toUpperCase() + topPlatform[0].slice(1))}</strong> is your most-used platform at ${formatMinutes(topPlatform[1].total)} this week.</p>
+          ${mostOvertime[1].overtime > 0 ? `<p>You tend to exceed your intended time most on <strong>${escapeHTML(mostOvertime[0])}</strong> (${mostOvertime[1].overtime}m overtime total).</p>` : ''}
         </div>
         
         <div class="analysis-section">
@@ -1379,19 +1876,603 @@ function generateFallbackAnalysis(data) {
           <h4>💡 Recommendations</h4>
           <ul>
             ${goalAdherenceAvg < 70 ? '<li>Try setting shorter session times and gradually increase them</li>' : ''}
-            ${mostOvertime[1].overtime > 30 ? `<li>Consider stricter limits for ${mostOvertime[0]}</li>` : ''}
+            ${mostOvertime[1].overtime > 30 ? `<li>Consider stricter limits for ${escapeHTML(mostOvertime[0])}</li>` : ''}
             <li>Use the blur feature to help transition away from scrolling</li>
             <li>Set specific goals before each session to stay intentional</li>
           </ul>
         </div>
       </div>
       <div class="ai-api-hint">
-        <span>✨ Add your Groq API key in API Settings for personalized AI-powered insights</span>
+        <span>✨ Set up Smart Reminders (a Groq key or your own AI server) for personalized AI-powered insights</span>
       </div>
     </div>
   `;
 }
 
+// ============================================================================
+// DATA EXPORT & IMPORT
+// ============================================================================
+
+/**
+ * Storage keys included in a backup alongside the session history
+ * apiKey and aiProvider are deliberately excluded; transient session state is not exported
+ */
+const EXPORT_KEYS = [
+  'dailyUsage',
+  'userGoals',
+  'platformLimits',
+  'preferences',
+  'weeklyHistory',
+  'customPlatforms',
+  'intentPresets',
+  'sectionRules',
+  'focusWindows'
+];
+
+// Bundle format written by exportJSON and accepted by import
+const EXPORT_FORMAT = 'scrollsense-export';
+const EXPORT_VERSION = 1;
+
+// Same goal cap the Goals tab applies
+const MAX_GOALS = 3;
+
+// Merge plan built from the chosen file, committed by the preview's Import button
+let pendingImport = null;
+
+/**
+ * Set up the Data tab buttons
+ */
+function setupDataEventListeners() {
+  const exportJSONBtn = document.getElementById('export-json-btn');
+  const exportCSVBtn = document.getElementById('export-csv-btn');
+  const importBtn = document.getElementById('import-json-btn');
+  const fileInput = document.getElementById('import-file-input');
+  
+  if (exportJSONBtn) {
+    exportJSONBtn.addEventListener('click', exportJSON);
+  }
+  
+  if (exportCSVBtn) {
+    exportCSVBtn.addEventListener('click', exportSessionsCSV);
+  }
+  
+  if (importBtn && fileInput) {
+    importBtn.addEventListener('click', () => fileInput.click());
+    
+    fileInput.addEventListener('change', async () => {
+      const file = fileInput.files[0];
+      fileInput.value = ''; // Allow choosing the same file again
+      if (file) {
+        await previewImport(file);
+      }
+    });
+  }
+}
+
+/**
+ * Trigger a download of generated content
+ * @param {string} content - File contents
+ * @param {string} filename - Suggested file name
+ * @param {string} type - MIME type
+ */
+function downloadFile(content, filename, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Date stamp for export file names (YYYY-MM-DD, local time)
+ * @returns {string}
+ */
+function getExportDateStamp() {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Export a versioned JSON bundle of all user data except the API key
+ */
+async function exportJSON() {
+  const data = await chrome.storage.local.get(EXPORT_KEYS);
+  data.sessions = await getSessions();
+  const bundle = {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    data
+  };
+  
+  downloadFile(JSON.stringify(bundle, null, 2), `scrollsense-backup-${getExportDateStamp()}.json`, 'application/json');
+  showNotification('Backup exported');
+}
+
+/**
+ * Quote a value for CSV (RFC 4180)
+ * @param {*} value - Cell value
+ * @returns {string}
+ */
+function toCSVCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Export the session history as CSV, one row per session
+ */
+async function exportSessionsCSV() {
+  const sessions = await getSessions();
+  
+  const header = ['date', 'platform', 'intended_min', 'actual_min', 'idle_min', 'purpose', 'achieved', 'sections', 'screens', 'scroll_bursts', 'items_viewed', 'check_ins', 'recovered'];
+  const rows = sessions.map(session => [
+    session.date,
+    getPlatformInfo(session.platform, platforms).name,
+    session.intendedTime,
+    session.actualTime,
+    session.idleTime || 0,
+    session.purpose || '',
+    typeof session.achieved === 'boolean' ? (session.achieved ? 'yes' : 'no') : '',
+    formatSessionSections(session),
+    session.screens ?? '',
+    session.scrollBursts ?? '',
+    session.itemsViewed ?? '',
+    session.checkIns?.length ?? '',
+    session.recovered ? 'yes' : ''
+  ]);
+  
+  const csv = [header, ...rows].map(row => row.map(toCSVCell).join(',')).join('\r\n');
+  downloadFile(csv, `scrollsense-sessions-${getExportDateStamp()}.csv`, 'text/csv');
+  showNotification(`Exported ${sessions.length} sessions`);
+}
+
+/**
+ * Check an imported bundle's shape
+ * @param {Object} bundle - Parsed JSON
+ * @returns {string|null} - Error message, or null if the bundle is usable
+ */
+function validateImportBundle(bundle) {
+  if (!bundle || typeof bundle !== 'object' || bundle.format !== EXPORT_FORMAT) {
+    return 'This is not a ScrollSense backup file.';
+  }
+  if (!Number.isInteger(bundle.version) || bundle.version > EXPORT_VERSION) {
+    return 'This backup was made by a newer version of ScrollSense. Update the extension and try again.';
+  }
+  if (!bundle.data || typeof bundle.data !== 'object') {
+    return 'The backup file has no data.';
+  }
+  
+  const { sessions, weeklyHistory, userGoals, customPlatforms, focusWindows } = bundle.data;
+  if (sessions !== undefined && !Array.isArray(sessions)) return 'Sessions in the backup are malformed.';
+  if (weeklyHistory !== undefined && !Array.isArray(weeklyHistory)) return 'History in the backup is malformed.';
+  if (userGoals !== undefined && !Array.isArray(userGoals)) return 'Goals in the backup are malformed.';
+  if (customPlatforms !== undefined && !Array.isArray(customPlatforms)) return 'Custom sites in the backup are malformed.';
+  if (focusWindows !== undefined && !Array.isArray(focusWindows)) return 'Focus windows in the backup are malformed.';
+  
+  const invalidSession = (sessions || []).find(s => !s
+    || typeof s.platform !== 'string'
+    || isNaN(new Date(s.date).getTime())
+    || typeof s.actualTime !== 'number'
+    || typeof s.intendedTime !== 'number');
+  if (invalidSession) return 'The backup contains an invalid session record.';
+  
+  const invalidPlatform = (customPlatforms || []).find(p => !p
+    || typeof p.id !== 'string'
+    || !Array.isArray(p.hosts)
+    || p.hosts.length !== 1
+    || normalizeDomain(p.hosts[0]) !== p.hosts[0]
+    || createCustomPlatform(p.hosts[0]).id !== p.id);
+  if (invalidPlatform) return 'The backup contains an invalid custom site.';
+  
+  const invalidWindow = (focusWindows || []).find(w => !w
+    || typeof w.id !== 'string'
+    || !Array.isArray(w.days)
+    || !w.days.every(day => Number.isInteger(day) && day >= 0 && day <= 6)
+    || parseTimeOfDay(w.start) === null
+    || parseTimeOfDay(w.end) === null);
+  if (invalidWindow) return 'The backup contains an invalid focus window.';
+  
+  const invalidDay = (weeklyHistory || []).find(day => !isPlainObject(day)
+    || typeof day.date !== 'string'
+    || isNaN(new Date(day.date).getTime())
+    || !isPlainObject(day.platforms));
+  if (invalidDay) return 'The backup contains an invalid history day.';
+  
+  const invalidSetting = IMPORT_SETTING_KEYS.find(key =>
+    bundle.data[key] !== undefined && !isPlainObject(bundle.data[key]));
+  if (invalidSetting) return 'Settings in the backup are malformed.';
+  
+  return null;
+}
+
+// Settings a backup replaces (see buildImportPlan), plus today's counters
+const IMPORT_SETTING_KEYS = ['platformLimits', 'preferences', 'intentPresets', 'sectionRules', 'dailyUsage'];
+
+// Values the Preferences tab can save for its choice fields
+const MESSAGE_TONES = ['encouraging', 'neutral', 'direct'];
+const AUTOPILOT_SENSITIVITIES = ['off', 'low', 'medium', 'high'];
+
+// Same cap background.js applies to a session purpose
+const MAX_PURPOSE_LENGTH = 120;
+
+/**
+ * Whether a value is a plain JSON object (not null or an array)
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Whether a value is a finite number
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isFiniteNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+/**
+ * Keep only the entries of a map whose value is a finite number
+ * @param {*} map - { key: number }
+ * @returns {Object}
+ */
+function pickNumbers(map) {
+  if (!isPlainObject(map)) return {};
+  return Object.fromEntries(Object.entries(map).filter(([, value]) => isFiniteNumber(value)));
+}
+
+/**
+ * Keep only nested maps of numbers ({ outer: { inner: number } })
+ * @param {*} map
+ * @returns {Object}
+ */
+function pickNumberMaps(map) {
+  if (!isPlainObject(map)) return {};
+  return Object.fromEntries(Object.entries(map)
+    .filter(([, inner]) => isPlainObject(inner))
+    .map(([key, inner]) => [key, pickNumbers(inner)]));
+}
+
+/**
+ * Copy an imported session record keeping only fields of the shape
+ * closeSession() in background.js writes
+ * @param {Object} session - Record that passed validateImportBundle
+ * @returns {Object}
+ */
+function sanitizeImportedSession(session) {
+  const count = value => isFiniteNumber(value) && value > 0 ? value : 0;
+  const text = value => typeof value === 'string' ? value : null;
+  
+  return {
+    platform: session.platform,
+    intendedTime: count(session.intendedTime),
+    actualTime: count(session.actualTime),
+    date: new Date(session.date).toISOString(),
+    startTime: isFiniteNumber(session.startTime) ? session.startTime : new Date(session.date).getTime(),
+    purpose: (text(session.purpose) || '').slice(0, MAX_PURPOSE_LENGTH),
+    achieved: typeof session.achieved === 'boolean' ? session.achieved : null,
+    idleTime: count(session.idleTime),
+    idleSpans: (Array.isArray(session.idleSpans) ? session.idleSpans : [])
+      .filter(span => isPlainObject(span) && isFiniteNumber(span.start) && isFiniteNumber(span.end))
+      .map(span => ({ start: span.start, end: span.end, source: text(span.source) })),
+    sections: Object.fromEntries(Object.entries(pickNumbers(session.sections)).filter(([, minutes]) => minutes >= 0)),
+    ...(isFiniteNumber(session.screens) ? { screens: count(session.screens) } : {}),
+    scrollBursts: count(session.scrollBursts),
+    itemsViewed: count(session.itemsViewed),
+    checkIns: (Array.isArray(session.checkIns) ? session.checkIns : [])
+      .filter(isPlainObject)
+      .map(checkIn => ({
+        trigger: text(checkIn.trigger),
+        response: text(checkIn.response),
+        sensitivity: text(checkIn.sensitivity),
+        at: isFiniteNumber(checkIn.at) ? checkIn.at : null,
+        elapsed: isFiniteNumber(checkIn.elapsed) ? checkIn.elapsed : null,
+        section: text(checkIn.section)
+      })),
+    recovered: session.recovered === true
+  };
+}
+
+/**
+ * Copy a backup's data keeping only values of the shape ScrollSense writes
+ * Settings end up in innerHTML templates and dashboard maths, so anything
+ * that isn't a finite number or a known string is dropped rather than stored.
+ * Runs after validateImportBundle, which rejects malformed records outright.
+ * 
+ * @param {Object} data - bundle.data
+ * @returns {Object} - Cleaned copy
+ */
+function sanitizeImportData(data) {
+  const clean = { ...data };
+  
+  if (data.sessions) {
+    clean.sessions = data.sessions.map(sanitizeImportedSession);
+  }
+  
+  // Custom sites are rebuilt from their domain, as addCustomPlatform does,
+  // so no imported section pattern, selector or display value survives
+  if (data.customPlatforms) {
+    clean.customPlatforms = data.customPlatforms.map(p => createCustomPlatform(p.hosts[0]));
+  }
+  
+  if (data.focusWindows) {
+    clean.focusWindows = data.focusWindows.map(w => {
+      const presets = parseIntentPresets(Array.isArray(w.presets) ? w.presets.join(',') : '');
+      return {
+        ...FOCUS_WINDOW_DEFAULTS,
+        id: w.id.replace(/[^a-z0-9-]/gi, '').slice(0, 40) || createFocusWindow().id,
+        name: typeof w.name === 'string' && w.name.trim() ? w.name.trim().slice(0, 40) : FOCUS_WINDOW_DEFAULTS.name,
+        days: [...new Set(w.days)],
+        start: w.start,
+        end: w.end,
+        presets: presets.length > 0 ? presets : null,
+        limit: isFiniteNumber(w.limit) && w.limit > 0 ? Math.min(480, Math.round(w.limit)) : null, // Editor allows 1-480
+        blurIntensity: isFiniteNumber(w.blurIntensity) ? Math.max(0, Math.min(100, Math.round(w.blurIntensity))) : null,
+        messageTone: MESSAGE_TONES.includes(w.messageTone) ? w.messageTone : null,
+        blurImmediately: w.blurImmediately === true,
+        enabled: w.enabled !== false
+      };
+    });
+  }
+  
+  if (data.platformLimits) {
+    clean.platformLimits = Object.fromEntries(Object.entries(pickNumbers(data.platformLimits))
+      .filter(([, limit]) => limit > 0)
+      .map(([id, limit]) => [id, Math.round(limit)]));
+  }
+  
+  if (data.preferences) {
+    const prefs = data.preferences;
+    const preferences = {};
+    if (isFiniteNumber(prefs.blurIntensity)) preferences.blurIntensity = Math.max(0, Math.min(100, Math.round(prefs.blurIntensity)));
+    if (isFiniteNumber(prefs.dailyLimit) && prefs.dailyLimit > 0) preferences.dailyLimit = Math.round(prefs.dailyLimit);
+    if (isFiniteNumber(prefs.idleThreshold)) preferences.idleThreshold = Math.max(1, Math.min(30, Math.round(prefs.idleThreshold)));
+    if (isFiniteNumber(prefs.historyRetentionDays) && prefs.historyRetentionDays >= 0) preferences.historyRetentionDays = Math.round(prefs.historyRetentionDays);
+    if (MESSAGE_TONES.includes(prefs.messageTone)) preferences.messageTone = prefs.messageTone;
+    if (AUTOPILOT_SENSITIVITIES.includes(prefs.autopilotSensitivity)) preferences.autopilotSensitivity = prefs.autopilotSensitivity;
+    clean.preferences = preferences;
+  }
+  
+  if (data.intentPresets) {
+    clean.intentPresets = Object.fromEntries(Object.entries(data.intentPresets)
+      .map(([id, presets]) => [id, Array.isArray(presets)
+        ? presets.filter(minutes => isFiniteNumber(minutes) && minutes > 0).map(Math.round)
+        : []])
+      .filter(([, presets]) => presets.length > 0));
+  }
+  
+  if (data.sectionRules) {
+    clean.sectionRules = Object.fromEntries(Object.entries(data.sectionRules)
+      .filter(([, rules]) => isPlainObject(rules))
+      .map(([id, rules]) => [id, Object.fromEntries(Object.entries(rules)
+        .filter(([, rule]) => isPlainObject(rule))
+        .map(([section, rule]) => [section, {
+          limit: isFiniteNumber(rule.limit) && rule.limit > 0 ? Math.round(rule.limit) : null,
+          blurIntensity: isFiniteNumber(rule.blurIntensity) ? Math.max(0, Math.min(100, Math.round(rule.blurIntensity))) : null,
+          countsTowardDaily: rule.countsTowardDaily === true
+        }]))]));
+  }
+  
+  if (data.dailyUsage) {
+    clean.dailyUsage = typeof data.dailyUsage.lastReset === 'string' ? {
+      ...pickNumbers(data.dailyUsage),
+      lastReset: data.dailyUsage.lastReset,
+      limitsReached: pickNumbers(data.dailyUsage.limitsReached),
+      dailyLimitAlerts: pickNumbers(data.dailyUsage.dailyLimitAlerts),
+      sections: pickNumberMaps(data.dailyUsage.sections)
+    } : undefined;
+  }
+  
+  if (data.weeklyHistory) {
+    clean.weeklyHistory = data.weeklyHistory.map(day => ({
+      date: new Date(day.date).toISOString(),
+      dayName: new Date(day.date).toLocaleDateString('en-US', { weekday: 'short' }),
+      platforms: Object.fromEntries(Object.entries(day.platforms)
+        .filter(([, usage]) => isPlainObject(usage))
+        .map(([id, usage]) => [id, {
+          actualTime: 0, intendedTime: 0, sessions: 0, overTime: 0,
+          ...pickNumbers(usage)
+        }])),
+      hourlyUsage: Object.fromEntries(Object.entries(pickNumbers(day.hourlyUsage))
+        .filter(([hour]) => /^(?:[0-9]|1[0-9]|2[0-3])$/.test(hour))),
+      totalTime: isFiniteNumber(day.totalTime) ? day.totalTime : 0,
+      sessionsCount: isFiniteNumber(day.sessionsCount) ? day.sessionsCount : 0,
+      goalAdherence: isFiniteNumber(day.goalAdherence) ? day.goalAdherence : 0,
+      purposeSessions: isFiniteNumber(day.purposeSessions) ? day.purposeSessions : 0,
+      purposeAchieved: isFiniteNumber(day.purposeAchieved) ? day.purposeAchieved : 0
+    }));
+  }
+  
+  return clean;
+}
+
+/**
+ * Work out what importing a bundle would change, without writing anything
+ * Sessions and history days already present are kept as they are; settings
+ * from the backup replace the current ones
+ * 
+ * @param {Object} imported - bundle.data
+ * @param {Object} current - Current storage values for EXPORT_KEYS plus sessions
+ * @returns {Object} - { updates, newSessions, summary }
+ */
+function buildImportPlan(imported, current) {
+  const updates = {};
+  const summary = {};
+  
+  // Sessions: dedupe by timestamp + platform (also enforced by addSessions)
+  const knownKeys = new Set((current.sessions || []).map(getSessionKey));
+  const importedSessions = imported.sessions || [];
+  const newSessions = importedSessions.filter(s => !knownKeys.has(getSessionKey(s)));
+  summary.newSessions = newSessions.length;
+  summary.duplicateSessions = importedSessions.length - newSessions.length;
+  
+  // Weekly history: add days we don't have; existing days already include their sessions
+  const currentHistory = current.weeklyHistory || [];
+  const knownDays = new Set(currentHistory.map(day => day.date));
+  const newDays = (imported.weeklyHistory || []).filter(day => day && !knownDays.has(day.date));
+  summary.newDays = newDays.length;
+  if (newDays.length > 0) {
+    const cutoff = new Date();
+    cutoff.setHours(0, 0, 0, 0);
+    cutoff.setDate(cutoff.getDate() - 6);
+    updates.weeklyHistory = [...currentHistory, ...newDays]
+      .filter(day => new Date(day.date) >= cutoff)
+      .sort((a, b) => new Date(a.date) - new Date(b.date));
+    summary.newDays = updates.weeklyHistory.length - currentHistory.length;
+  }
+  
+  // Goals: union, still capped at 3
+  const currentGoals = current.userGoals || [];
+  const newGoals = (imported.userGoals || [])
+    .filter(goal => typeof goal === 'string' && !currentGoals.includes(goal));
+  const goals = [...currentGoals, ...newGoals].slice(0, MAX_GOALS);
+  summary.newGoals = goals.length - currentGoals.length;
+  if (summary.newGoals > 0) {
+    updates.userGoals = goals;
+  }
+  
+  // Custom sites: add unknown ids; host access has to be granted again here
+  const currentPlatforms = current.customPlatforms || [];
+  const knownIds = new Set(currentPlatforms.map(p => p.id));
+  const newPlatforms = (imported.customPlatforms || []).filter(p => !knownIds.has(p.id));
+  summary.newPlatforms = newPlatforms;
+  if (newPlatforms.length > 0) {
+    updates.customPlatforms = [...currentPlatforms, ...newPlatforms];
+  }
+  
+  // Focus windows: add unknown ids, up to the Schedule tab's cap
+  const currentWindows = current.focusWindows || [];
+  const knownWindowIds = new Set(currentWindows.map(w => w.id));
+  const newWindows = (imported.focusWindows || [])
+    .filter(w => !knownWindowIds.has(w.id))
+    .slice(0, Math.max(0, MAX_FOCUS_WINDOWS - currentWindows.length));
+  summary.newWindows = newWindows.length;
+  if (newWindows.length > 0) {
+    updates.focusWindows = [...currentWindows, ...newWindows];
+  }
+  
+  // Settings: the backup wins
+  summary.settings = [];
+  ['platformLimits', 'preferences', 'intentPresets', 'sectionRules'].forEach(key => {
+    if (imported[key] && typeof imported[key] === 'object') {
+      updates[key] = { ...current[key], ...imported[key] };
+      summary.settings.push(key);
+    }
+  });
+  
+  // Today's counters only carry over if this profile has none for today
+  const today = new Date().toDateString();
+  if (imported.dailyUsage?.lastReset === today && current.dailyUsage?.lastReset !== today) {
+    updates.dailyUsage = imported.dailyUsage;
+    summary.todayUsage = true;
+  }
+  
+  return { updates, newSessions, summary };
+}
+
+/**
+ * Read a backup file, validate it and show what importing would change
+ * @param {File} file - Chosen JSON file
+ */
+async function previewImport(file) {
+  const previewElement = document.getElementById('import-preview');
+  if (!previewElement) return;
+  
+  pendingImport = null;
+  previewElement.style.display = 'block';
+  previewElement.classList.remove('error');
+  
+  let bundle;
+  try {
+    bundle = JSON.parse(await file.text());
+  } catch (error) {
+    bundle = null;
+  }
+  
+  const validationError = bundle ? validateImportBundle(bundle) : 'The file is not valid JSON.';
+  if (validationError) {
+    previewElement.classList.add('error');
+    previewElement.textContent = validationError;
+    return;
+  }
+  
+  const imported = sanitizeImportData(bundle.data);
+  const current = await chrome.storage.local.get(EXPORT_KEYS);
+  current.sessions = imported.sessions?.length > 0 ? await getSessions() : [];
+  pendingImport = buildImportPlan(imported, current);
+  const { summary } = pendingImport;
+  const settingNames = {
+    platformLimits: 'time limits',
+    preferences: 'preferences',
+    intentPresets: 'session presets',
+    sectionRules: 'section rules'
+  };
+  
+  const lines = [
+    `📱 ${summary.newSessions} new sessions (${summary.duplicateSessions} already here, skipped)`,
+    `📅 ${summary.newDays} days of insights history`,
+    `🎯 ${summary.newGoals} new goals`,
+    summary.newPlatforms.length > 0 ? `🌐 Custom sites: ${summary.newPlatforms.map(p => p.name).join(', ')}` : null,
+    summary.newWindows > 0 ? `🕘 ${summary.newWindows} focus windows` : null,
+    summary.settings.length > 0 ? `⚙️ Replaces your ${summary.settings.map(key => settingNames[key]).join(', ')}` : null,
+    summary.todayUsage ? `⏱️ Today's usage counters` : null
+  ].filter(Boolean);
+  
+  previewElement.innerHTML = `
+    <h4>Backup from ${new Date(bundle.exportedAt).toLocaleString()}</h4>
+    <ul>
+      ${lines.map(line => `<li>${escapeHTML(line)}</li>`).join('')}
+    </ul>
+    ${summary.newPlatforms.length > 0 ? `
+      <p class="import-preview-note">Chrome will ask for access to the custom sites so ScrollSense can run there.</p>
+    ` : ''}
+    <div class="input-actions">
+      <button id="confirm-import-btn" class="btn btn-primary">Import</button>
+      <button id="cancel-import-btn" class="btn btn-secondary">Cancel</button>
+    </div>
+  `;
+  
+  previewElement.querySelector('#confirm-import-btn').addEventListener('click', commitImport);
+  previewElement.querySelector('#cancel-import-btn').addEventListener('click', () => {
+    pendingImport = null;
+    previewElement.style.display = 'none';
+  });
+}
+
+/**
+ * Write the previewed import to storage
+ * Runs from the Import button so the host permission request has a user gesture
+ */
+async function commitImport() {
+  if (!pendingImport) return;
+  const { updates, newSessions, summary } = pendingImport;
+  pendingImport = null;
+  
+  // Must be the first await so Chrome still sees the click
+  let reloadDelay = 0;
+  if (summary.newPlatforms.length > 0) {
+    const origins = summary.newPlatforms.flatMap(getPlatformOrigins);
+    const granted = await chrome.permissions.request({ origins });
+    if (!granted) {
+      showNotification('Custom sites imported without access - remove and re-add them in Time Limits to track them');
+      reloadDelay = 3000; // Leave the notice on screen
+    }
+  }
+  
+  await chrome.storage.local.set(updates);
+  await addSessions(newSessions);
+  
+  // Reload so every tab renders the merged data
+  setTimeout(() => location.reload(), reloadDelay);
+}
+
 function showNotification(message) {
   // Simple notification (could be enhanced with a toast library)
   const notification = document.createElement('div');
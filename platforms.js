@@ -0,0 +1,472 @@
+/**
+ * ============================================================================
+ * SCROLLSENSE - Platform Registry
+ * ============================================================================
+ *
+ * Single source of truth for the sites ScrollSense tracks. Loaded by the
+ * background service worker (importScripts), the content script (manifest)
+ * and the popup/options pages (<script> tag) before their own scripts.
+ *
+ * Each platform entry:
+ * - id: Key used in dailyUsage, platformLimits, sessions and history
+ * - name: Display name
+ * - hosts: Registrable domains; the bare domain and www. match (the same
+ *   hosts the content script is injected on, see getPlatformOrigins)
+ * - defaultLimit: Default per-platform daily limit in minutes
+ * - icon / colors: Used by the dashboard and insights cards
+ * - sections: Areas of the site, matched in order against the URL path
+ *   ({ id, name, match } where match is a RegExp source). Sessions record
+ *   the time spent in each; paths nothing matches count as 'other'.
+ *   An optional `rule` sets the section's default rule (see below)
+ * - itemSelector: CSS selector for the posts, videos and comments the
+ *   content script counts as viewed (DEFAULT_ITEM_SELECTOR if missing)
+ *
+ * Section rules decide how a section is treated: its own daily limit, blur
+ * strength, and whether its time counts toward dailyUsage. Messaging and
+ * job sections ship with blur off and uncounted; users override any section
+ * in the Sections tab, stored as `sectionRules` keyed by platform and
+ * section id.
+ *
+ * Intent presets (the durations offered when a session starts) default to
+ * DEFAULT_INTENT_PRESETS and can be overridden per platform in the Limits
+ * tab; overrides are stored as `intentPresets` keyed by platform id.
+ *
+ * Users can add their own domains from the options page. Those are stored
+ * in chrome.storage.local as `customPlatforms` with `custom: true`, and
+ * background.js registers the content script for them once the optional
+ * host permission is granted.
+ *
+ * @author ScrollSense Team
+ * @version 1.0.0
+ * ============================================================================
+ */
+
+/**
+ * Platforms supported out of the box
+ * Hosts here must match the manifest's host_permissions and content_scripts
+ */
+const BUILT_IN_PLATFORMS = [
+  {
+    id: 'instagram',
+    name: 'Instagram',
+    hosts: ['instagram.com'],
+    defaultLimit: 10,   // Instagram tends to be more addictive (Reels)
+    description: 'Focus on Reels addiction',
+    icon: '📸',
+    colors: { primary: '#E1306C', secondary: '#F77737' },
+    itemSelector: 'article, video',
+    sections: [
+      { id: 'feed', name: 'Feed', match: '^/$' },
+      { id: 'reels', name: 'Reels', match: '^/reels?(/|$)' },
+      { id: 'stories', name: 'Stories', match: '^/stories(/|$)' },
+      { id: 'explore', name: 'Explore', match: '^/explore(/|$)' },
+      { id: 'direct', name: 'Messages', match: '^/direct(/|$)', rule: { blurIntensity: 0, countsTowardDaily: false } }
+    ]
+  },
+  {
+    id: 'linkedin',
+    name: 'LinkedIn',
+    hosts: ['linkedin.com'],
+    defaultLimit: 30,   // LinkedIn is more professional/purposeful
+    description: 'Professional networking',
+    icon: '💼',
+    colors: { primary: '#0077B5', secondary: '#00A0DC' },
+    itemSelector: '.feed-shared-update-v2, .job-card-container',
+    sections: [
+      { id: 'feed', name: 'Feed', match: '^/feed(/|$)' },
+      { id: 'jobs', name: 'Jobs', match: '^/jobs(/|$)', rule: { blurIntensity: 0, countsTowardDaily: false } },
+      { id: 'network', name: 'My Network', match: '^/mynetwork(/|$)' },
+      { id: 'messaging', name: 'Messaging', match: '^/messaging(/|$)', rule: { blurIntensity: 0, countsTowardDaily: false } },
+      { id: 'notifications', name: 'Notifications', match: '^/notifications(/|$)' }
+    ]
+  },
+  {
+    id: 'reddit',
+    name: 'Reddit',
+    hosts: ['reddit.com'],
+    defaultLimit: 15,   // Reddit is mixed educational/entertainment
+    description: 'Mixed educational/entertainment',
+    icon: '🔴',
+    colors: { primary: '#FF4500', secondary: '#FF8717' },
+    itemSelector: 'shreddit-post, shreddit-comment',
+    sections: [
+      { id: 'home', name: 'Home', match: '^/$' },
+      { id: 'popular', name: 'Popular', match: '^/r/popular(/|$)' },
+      { id: 'all', name: 'r/all', match: '^/r/all(/|$)' },
+      { id: 'thread', name: 'Threads', match: '^/r/[^/]+/comments/' },
+      { id: 'subreddit', name: 'Subreddits', match: '^/r/[^/]+/?$' }
+    ]
+  },
+  {
+    id: 'youtube',
+    name: 'YouTube',
+    hosts: ['youtube.com'],
+    defaultLimit: 20,   // Long-form is fine, Shorts and autoplay are not
+    description: 'Shorts and autoplay rabbit holes',
+    icon: '▶️',
+    colors: { primary: '#FF0000', secondary: '#FF5A5A' },
+    itemSelector: 'ytd-rich-item-renderer, ytd-video-renderer, ytd-reel-video-renderer, ytd-comment-thread-renderer',
+    sections: [
+      { id: 'home', name: 'Home', match: '^/$' },
+      { id: 'shorts', name: 'Shorts', match: '^/shorts(/|$)' },
+      { id: 'watch', name: 'Videos', match: '^/watch' },
+      { id: 'subscriptions', name: 'Subscriptions', match: '^/feed/subscriptions' },
+      { id: 'search', name: 'Search', match: '^/results' }
+    ]
+  },
+  {
+    id: 'twitter',
+    name: 'X / Twitter',
+    hosts: ['x.com', 'twitter.com'],
+    defaultLimit: 15,
+    description: 'Endless timeline refresh',
+    icon: '🐦',
+    colors: { primary: '#1D9BF0', secondary: '#71C9F8' },
+    itemSelector: 'article[data-testid="tweet"]',
+    sections: [
+      { id: 'home', name: 'Home', match: '^/home(/|$)' },
+      { id: 'explore', name: 'Explore', match: '^/(explore|search)(/|$)' },
+      { id: 'notifications', name: 'Notifications', match: '^/notifications(/|$)' },
+      { id: 'messages', name: 'Messages', match: '^/messages(/|$)', rule: { blurIntensity: 0, countsTowardDaily: false } },
+      { id: 'thread', name: 'Threads', match: '^/[^/]+/status/' }
+    ]
+  },
+  {
+    id: 'tiktok',
+    name: 'TikTok',
+    hosts: ['tiktok.com'],
+    defaultLimit: 10,
+    description: 'Short-form video feed',
+    icon: '🎵',
+    colors: { primary: '#FE2C55', secondary: '#25F4EE' },
+    itemSelector: '[data-e2e="recommend-list-item-container"], [data-e2e="comment-level-1"]',
+    sections: [
+      { id: 'foryou', name: 'For You', match: '^/(foryou)?$' },
+      { id: 'following', name: 'Following', match: '^/following(/|$)' },
+      { id: 'explore', name: 'Explore', match: '^/explore(/|$)' },
+      { id: 'live', name: 'LIVE', match: '^/live(/|$)' },
+      { id: 'video', name: 'Videos', match: '^/@[^/]+/video/' }
+    ]
+  },
+  {
+    id: 'facebook',
+    name: 'Facebook',
+    hosts: ['facebook.com'],
+    defaultLimit: 15,
+    description: 'News feed and groups',
+    icon: '📘',
+    colors: { primary: '#1877F2', secondary: '#5B9DF5' },
+    itemSelector: '[role="article"]',
+    sections: [
+      { id: 'feed', name: 'Feed', match: '^/$' },
+      { id: 'reels', name: 'Reels', match: '^/reels?(/|$)' },
+      { id: 'watch', name: 'Watch', match: '^/watch(/|$)' },
+      { id: 'marketplace', name: 'Marketplace', match: '^/marketplace(/|$)' },
+      { id: 'groups', name: 'Groups', match: '^/groups(/|$)' },
+      { id: 'messages', name: 'Messages', match: '^/messages(/|$)', rule: { blurIntensity: 0, countsTowardDaily: false } }
+    ]
+  }
+];
+
+/**
+ * Defaults for platforms added from the options page
+ */
+const CUSTOM_PLATFORM_DEFAULTS = {
+  defaultLimit: 15,
+  description: 'Custom site',
+  icon: '🌐',
+  colors: { primary: '#6366F1', secondary: '#A5B4FC' }
+};
+
+// Prefix for custom platform ids and their registered content scripts
+const CUSTOM_PLATFORM_PREFIX = 'custom-';
+
+/**
+ * Sections for platforms that define none (custom sites), and the bucket
+ * for paths no section matches
+ */
+const DEFAULT_SECTIONS = [{ id: 'home', name: 'Home', match: '^/$' }];
+const OTHER_SECTION = { id: 'other', name: 'Other' };
+
+// Feed items for platforms without an itemSelector (custom sites)
+const DEFAULT_ITEM_SELECTOR = 'article';
+
+/**
+ * Rule for a section nothing overrides
+ * - limit: Daily minutes allowed in the section (null = no section limit)
+ * - blurIntensity: 0-100 (null = the Preferences blur intensity)
+ * - countsTowardDaily: Whether time here adds to dailyUsage and the limits
+ */
+const BASE_SECTION_RULE = { limit: null, blurIntensity: null, countsTowardDaily: true };
+
+/**
+ * Intent durations (minutes) offered in the session prompt by default
+ */
+const DEFAULT_INTENT_PRESETS = [1, 2, 5];
+const MAX_INTENT_PRESETS = 5;      // Buttons that fit in the prompt
+const MAX_INTENT_MINUTES = 240;    // Upper bound for presets and custom intents
+
+// ============================================================================
+// REGISTRY LOOKUPS
+// ============================================================================
+
+/**
+ * Get every tracked platform: built-ins followed by user-added sites
+ * @returns {Promise<Array>} - Platform entries
+ */
+async function getPlatforms() {
+  const data = await chrome.storage.local.get(['customPlatforms']);
+  return [...BUILT_IN_PLATFORMS, ...(data.customPlatforms || [])];
+}
+
+/**
+ * Check whether a hostname belongs to a registered domain
+ * Only the bare domain and www. count: other subdomains (old.reddit.com,
+ * m.facebook.com) don't get the content script, so they aren't tracked
+ * @param {string} hostname - e.g. 'www.reddit.com'
+ * @param {string} host - Registered domain, e.g. 'reddit.com'
+ * @returns {boolean}
+ */
+function hostMatches(hostname, host) {
+  return hostname === host || hostname === `www.${host}`;
+}
+
+/**
+ * Find which platform a URL belongs to
+ * @param {string} url - Full URL
+ * @param {Array} platforms - Platform entries from getPlatforms()
+ * @returns {string|null} - Platform id or null if not tracked
+ */
+function findPlatformByUrl(url, platforms) {
+  if (!url) return null;
+
+  let hostname;
+  try {
+    hostname = new URL(url).hostname;
+  } catch (error) {
+    return null;
+  }
+
+  const match = platforms.find(p => p.hosts.some(host => hostMatches(hostname, host)));
+  return match ? match.id : null;
+}
+
+/**
+ * Look up a platform entry by id
+ * Falls back to a generic entry so removed custom sites still render in history
+ * @param {string} id - Platform id
+ * @param {Array} platforms - Platform entries from getPlatforms()
+ * @returns {Object} - Platform entry
+ */
+function getPlatformInfo(id, platforms) {
+  const match = platforms.find(p => p.id === id);
+  if (match) return match;
+
+  const name = id ? id.replace(CUSTOM_PLATFORM_PREFIX, '') : 'Unknown';
+  return {
+    id,
+    name: name.charAt(0).toUpperCase() + name.slice(1),
+    hosts: [],
+    ...CUSTOM_PLATFORM_DEFAULTS
+  };
+}
+
+/**
+ * Build the default per-platform limits map
+ * @param {Array} platforms - Platform entries from getPlatforms()
+ * @returns {Object} - { platformId: minutes }
+ */
+function getDefaultPlatformLimits(platforms) {
+  return Object.fromEntries(platforms.map(p => [p.id, p.defaultLimit]));
+}
+
+/**
+ * Sum today's minutes across all registered platforms
+ * @param {Object} dailyUsage - Daily usage object keyed by platform id
+ * @param {Array} platforms - Platform entries from getPlatforms()
+ * @returns {number} - Total minutes
+ */
+function sumPlatformUsage(dailyUsage, platforms) {
+  return platforms.reduce((sum, p) => sum + (Number(dailyUsage[p.id]) || 0), 0);
+}
+
+// ============================================================================
+// SECTIONS
+// ============================================================================
+
+/**
+ * Every section a platform can report, ending with OTHER_SECTION
+ * @param {Object} platform - Platform entry
+ * @returns {Array} - [{ id, name, match }]
+ */
+function getPlatformSections(platform) {
+  return [...(platform?.sections || DEFAULT_SECTIONS), OTHER_SECTION];
+}
+
+/**
+ * Selector for the feed items a platform shows
+ * @param {Object} platform - Platform entry
+ * @returns {string} - CSS selector
+ */
+function getItemSelector(platform) {
+  return platform?.itemSelector || DEFAULT_ITEM_SELECTOR;
+}
+
+/**
+ * Find which section of a platform a URL is in
+ * @param {string} url - Full URL
+ * @param {Object} platform - Platform entry
+ * @returns {string} - Section id ('other' if nothing matches)
+ */
+function findSectionByUrl(url, platform) {
+  let pathname;
+  try {
+    pathname = new URL(url).pathname;
+  } catch (error) {
+    return OTHER_SECTION.id;
+  }
+
+  const match = (platform?.sections || DEFAULT_SECTIONS)
+    .find(section => new RegExp(section.match, 'i').test(pathname));
+  return match ? match.id : OTHER_SECTION.id;
+}
+
+/**
+ * Display name for a section id
+ * @param {Object} platform - Platform entry
+ * @param {string} sectionId - Section id
+ * @returns {string}
+ */
+function getSectionName(platform, sectionId) {
+  const match = getPlatformSections(platform).find(section => section.id === sectionId);
+  return match ? match.name : sectionId;
+}
+
+/**
+ * Effective rule for a section: base rule, then the shipped default, then
+ * the user's override from the Sections tab
+ * @param {Object} platform - Platform entry
+ * @param {string} sectionId - Section id
+ * @param {Object} sectionRules - Stored overrides { platformId: { sectionId: rule } }
+ * @returns {Object} - { limit, blurIntensity, countsTowardDaily }
+ */
+function getSectionRule(platform, sectionId, sectionRules) {
+  const section = getPlatformSections(platform).find(s => s.id === sectionId);
+  return {
+    ...BASE_SECTION_RULE,
+    ...section?.rule,
+    ...sectionRules?.[platform?.id]?.[sectionId]
+  };
+}
+
+/**
+ * Active milliseconds per section for a session, including the stretch
+ * since the last checkpoint in the current section
+ * @param {Object} session - Session state from background
+ * @param {number} elapsed - Session active time now (ms)
+ * @returns {Object} - { sectionId: ms }
+ */
+function getSessionSectionTimes(session, elapsed) {
+  const times = { ...session?.sections };
+  if (session?.section) {
+    const running = Math.max(0, elapsed - (session.sectionMark || 0));
+    times[session.section] = (times[session.section] || 0) + running;
+  }
+  return times;
+}
+
+/**
+ * Time spent in sections whose rule says not to count toward daily usage
+ * @param {Object} platform - Platform entry
+ * @param {Object} sectionTimes - { sectionId: time } in any unit
+ * @param {Object} sectionRules - Stored overrides
+ * @returns {number} - Uncounted time, same unit as sectionTimes
+ */
+function getUncountedTime(platform, sectionTimes, sectionRules) {
+  return Object.entries(sectionTimes || {})
+    .filter(([id]) => !getSectionRule(platform, id, sectionRules).countsTowardDaily)
+    .reduce((sum, [, time]) => sum + time, 0);
+}
+
+// ============================================================================
+// INTENT PRESETS
+// ============================================================================
+
+/**
+ * Get the intent durations to offer for a platform
+ * @param {string} id - Platform id
+ * @param {Object} intentPresets - Stored overrides keyed by platform id
+ * @returns {number[]} - Minutes, ascending
+ */
+function getIntentPresets(id, intentPresets) {
+  const presets = intentPresets?.[id];
+  return Array.isArray(presets) && presets.length > 0 ? presets : DEFAULT_INTENT_PRESETS;
+}
+
+/**
+ * Parse a comma-separated preset list typed in the options page
+ * @param {string} input - e.g. '10, 20, 30'
+ * @returns {number[]} - Unique whole minutes, ascending; empty if nothing valid
+ */
+function parseIntentPresets(input) {
+  const minutes = (input || '')
+    .split(',')
+    .map(value => parseInt(value.trim()))
+    .filter(value => value >= 1 && value <= MAX_INTENT_MINUTES);
+
+  return [...new Set(minutes)].sort((a, b) => a - b).slice(0, MAX_INTENT_PRESETS);
+}
+
+// ============================================================================
+// CUSTOM DOMAINS
+// ============================================================================
+
+/**
+ * Normalise user input like 'https://www.Example.com/feed' to 'example.com'
+ * @param {string} input - Domain or URL typed by the user
+ * @returns {string|null} - Bare domain or null if invalid
+ */
+function normalizeDomain(input) {
+  let value = (input || '').trim().toLowerCase();
+  if (!value) return null;
+
+  if (!/^[a-z]+:\/\//.test(value)) {
+    value = `https://${value}`;
+  }
+
+  let hostname;
+  try {
+    hostname = new URL(value).hostname;
+  } catch (error) {
+    return null;
+  }
+
+  hostname = hostname.replace(/^www\./, '');
+  if (!/^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(hostname)) return null;
+  return hostname;
+}
+
+/**
+ * Create a custom platform entry for a domain
+ * @param {string} domain - Normalised domain from normalizeDomain()
+ * @returns {Object} - Platform entry
+ */
+function createCustomPlatform(domain) {
+  return {
+    id: `${CUSTOM_PLATFORM_PREFIX}${domain.replace(/\./g, '-')}`,
+    name: domain,
+    hosts: [domain],
+    custom: true,
+    ...CUSTOM_PLATFORM_DEFAULTS
+  };
+}
+
+/**
+ * Host permission match patterns for a platform
+ * Used for chrome.permissions requests and content script registration
+ * @param {Object} platform - Platform entry
+ * @returns {string[]} - Match patterns
+ */
+function getPlatformOrigins(platform) {
+  return platform.hosts.flatMap(host => [`https://${host}/*`, `https://www.${host}/*`]);
+}
@@ -10,17 +10,27 @@
  * 1. Daily usage summary display
  * 2. Current session status and timer
  * 3. Platform breakdown visualization
- * 4. Adaptive suggestions based on usage patterns
- * 5. Quick actions (end session, view dashboard, set goals)
+ * 4. Adaptive limit suggestions with Apply/Dismiss (engine in background.js)
+ * 5. Active snoozes (skipped prompts, removed blur, pauses) with Cancel
+ * 6. Current streaks, this week's goals and recently earned badges
+ * 7. "Weekly report ready" notice, set by the Monday alarm in background.js
+ * 8. Quick actions (end session, view dashboard, set goals)
  * 
  * UI COMPONENTS:
  * - Usage stats section: Shows total time and per-platform breakdown
  * - Session section: Shows current active session with timer
  * - Actions section: Quick access buttons
- * - Suggestions section: AI-powered recommendations (when available)
+ * - Suggestions section: Limit tuning suggestions (when available)
+ * - Snoozes section: What ScrollSense is holding back, and until when
+ * - Streaks section: Streaks and badges computed from history (achievements.js)
+ * - Report section: Opens last week's report page (report.html)
  * 
  * DATA FLOW:
- * - Reads from chrome.storage.local
+ * - Reads from chrome.storage.local (session history via session-store.js)
+ * - Platform names and colors come from the shared registry (platforms.js)
+ * - Stored text is escaped with safe-render.js before it reaches innerHTML
+ * - Subscribes to session state/tick messages from background.js, which owns
+ *   the session clock (active time excluding pauses)
  * - Sends messages to content.js to end sessions
  * - Opens options page for detailed settings
  * 
@@ -38,18 +48,28 @@
  * Loads all data and sets up event listeners
  */
 document.addEventListener('DOMContentLoaded', async () => {
+  platforms = await getPlatforms();
   await loadDailyUsage();
   await loadCurrentSession();
   await loadSuggestions();
+  await loadSnoozes();
+  await renderAchievements();
+  await loadWeeklyReportNotice();
   setupEventListeners();
   
-  // Auto-refresh session status every 5 seconds
-  // This keeps the timer updated without manual refresh
-  setInterval(async () => {
-    await loadCurrentSession();
-  }, 5000);
+  // Follow the background session clock
+  chrome.runtime.onMessage.addListener(handleBackgroundMessage);
+  
+  // Re-render the timer every second from the last known state
+  setInterval(renderCurrentSession, 1000);
 });
 
+// Last session state received from background: { session, elapsed, running, syncedAt }
+let sessionState = null;
+
+// Registered platforms (built-in and custom) from platforms.js
+let platforms = [];
+
 // ============================================================================
 // DATA LOADING FUNCTIONS
 // ============================================================================
@@ -60,12 +80,7 @@ document.addEventListener('DOMContentLoaded', async () => {
  */
 async function loadDailyUsage() {
   const data = await chrome.storage.local.get(['dailyUsage']);
-  const dailyUsage = data.dailyUsage || {
-    instagram: 0,
-    linkedin: 0,
-    reddit: 0,
-    total: 0
-  };
+  const dailyUsage = data.dailyUsage || { total: 0 };
   
   // Update total usage display
   const totalElement = document.getElementById('total-usage');
@@ -79,21 +94,20 @@ async function loadDailyUsage() {
     breakdownElement.innerHTML = '';
     
     // Filter to only platforms with usage today
-    const platforms = [
-      { name: 'instagram', time: dailyUsage.instagram || 0 },
-      { name: 'linkedin', time: dailyUsage.linkedin || 0 },
-      { name: 'reddit', time: dailyUsage.reddit || 0 }
-    ].filter(p => p.time > 0);
+    const usedPlatforms = platforms
+      .map(p => ({ ...p, time: dailyUsage[p.id] || 0 }))
+      .filter(p => p.time > 0);
     
     // Show message if no usage, otherwise show platform breakdown
-    if (platforms.length === 0) {
+    if (usedPlatforms.length === 0) {
       breakdownElement.innerHTML = '<p style="color: #9ca3af; font-size: 12px; text-align: center; padding: 12px;">No usage today</p>';
     } else {
-      platforms.forEach(platform => {
+      usedPlatforms.forEach(platform => {
         const item = document.createElement('div');
-        item.className = `platform-item ${platform.name}`;
+        item.className = `platform-item ${platform.id}`;
+        item.style.borderLeftColor = platform.colors.primary;
         item.innerHTML = `
-          <span class="platform-name">${platform.name}</span>
+          <span class="platform-name">${escapeHTML(platform.name)}</span>
           <span class="platform-time">${platform.time} min</span>
         `;
         breakdownElement.appendChild(item);
@@ -103,22 +117,53 @@ async function loadDailyUsage() {
 }
 
 /**
- * Load and display current session status
- * Shows platform, elapsed time, and intended time
- * Hides section if no active session
+ * Load current session status from the background session clock
  */
 async function loadCurrentSession() {
-  const data = await chrome.storage.local.get(['currentSession', 'sessionStartTime']);
-  const session = data.currentSession;
+  const state = await chrome.runtime.sendMessage({ action: 'getSessionState' });
+  applySessionState(state);
+}
+
+/**
+ * Store a session state from background and render it
+ * @param {Object} state - { session, elapsed, running }
+ */
+function applySessionState(state) {
+  sessionState = state ? { ...state, syncedAt: Date.now() } : null;
+  renderCurrentSession();
+}
+
+/**
+ * Handle session state and tick broadcasts from background
+ * @param {Object} request - Message from background
+ */
+async function handleBackgroundMessage(request) {
+  if (request.action === 'sessionState' || request.action === 'sessionTick') {
+    applySessionState(request);
+    
+    // A finished session changes today's totals
+    if (request.endedPlatform) {
+      await loadDailyUsage();
+    }
+  }
+}
+
+/**
+ * Display current session status
+ * Shows platform, active time (pauses excluded), and intended time
+ * Hides section if no active session
+ */
+function renderCurrentSession() {
+  const session = sessionState?.session;
   const sessionSection = document.getElementById('session-section');
   
   if (session && sessionSection) {
     // Show session section
     sessionSection.style.display = 'block';
     
-    // Calculate elapsed time
-    const startTime = data.sessionStartTime || session.startTime || Date.now();
-    const elapsed = Date.now() - startTime;
+    // Active time from background, advanced locally while the clock runs
+    const sinceSync = sessionState.running ? Date.now() - sessionState.syncedAt : 0;
+    const elapsed = sessionState.elapsed + sinceSync;
     const elapsedMinutes = Math.floor(elapsed / 60000);
     const elapsedSeconds = Math.floor((elapsed % 60000) / 1000);
     
@@ -128,16 +173,18 @@ async function loadCurrentSession() {
     const intentElement = document.getElementById('session-intent');
     
     if (platformElement) {
-      platformElement.textContent = session.platform.toUpperCase();
+      platformElement.textContent = getPlatformInfo(session.platform, platforms).name.toUpperCase();
     }
     
     if (timeElement) {
-      // Format as MM:SS
-      timeElement.textContent = `${elapsedMinutes}:${elapsedSeconds.toString().padStart(2, '0')}`;
+      // Format as MM:SS, noting when no tab of the platform is visible
+      const time = `${elapsedMinutes}:${elapsedSeconds.toString().padStart(2, '0')}`;
+      timeElement.textContent = sessionState.running ? time : `${time} (paused)`;
     }
     
     if (intentElement) {
-      intentElement.textContent = `Intended: ${session.intent} min`;
+      const intended = `Intended: ${Math.round(session.intendedTime / 60000)} min`;
+      intentElement.textContent = session.purpose ? `${intended} · ${session.purpose}` : intended;
     }
   } else if (sessionSection) {
     // Hide session section when no active session
@@ -146,59 +193,153 @@ async function loadCurrentSession() {
 }
 
 /**
- * Load and display adaptive suggestions
- * Only shows suggestions if user has 5+ sessions
- * Suggests adjusted limits based on actual usage patterns
+ * Load and display adaptive limit suggestions from background
+ * Each suggestion can be applied (updates platformLimits) or dismissed
  */
 async function loadSuggestions() {
-  const data = await chrome.storage.local.get(['sessions']);
-  const sessions = data.sessions || [];
+  const suggestions = await chrome.runtime.sendMessage({ action: 'getAdaptiveSuggestions' });
   
   const suggestionsSection = document.getElementById('suggestions-section');
   const suggestionsContent = document.getElementById('suggestions-content');
+  if (!suggestionsSection || !suggestionsContent) return;
   
-  // Only show suggestions if we have enough data
-  if (sessions.length >= 5 && suggestionsSection && suggestionsContent) {
-    // Calculate average actual time per platform from last 20 sessions
-    const platformStats = {};
-    sessions.slice(-20).forEach(session => {
-      if (!platformStats[session.platform]) {
-        platformStats[session.platform] = [];
-      }
-      platformStats[session.platform].push(session.actualTime);
+  if (!suggestions || suggestions.length === 0) {
+    suggestionsSection.style.display = 'none';
+    return;
+  }
+  
+  suggestionsSection.style.display = 'block';
+  suggestionsContent.innerHTML = suggestions.map(s => `
+    <div class="suggestion-item">
+      <p class="suggestion-text">
+        ${escapeHTML(s.message)}
+      </p>
+      <div class="suggestion-actions">
+        <button class="btn btn-primary suggestion-apply" data-platform="${escapeHTML(s.platform)}" data-limit="${s.suggestedLimit}">Apply</button>
+        <button class="btn btn-secondary suggestion-dismiss" data-platform="${escapeHTML(s.platform)}" data-limit="${s.suggestedLimit}">Dismiss</button>
+      </div>
+    </div>
+  `).join('');
+  
+  suggestionsContent.querySelectorAll('.suggestion-apply, .suggestion-dismiss').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      await chrome.runtime.sendMessage({
+        action: btn.classList.contains('suggestion-apply') ? 'applySuggestion' : 'dismissSuggestion',
+        platform: btn.dataset.platform,
+        suggestedLimit: parseInt(btn.dataset.limit)
+      });
+      await loadSuggestions();
     });
-    
-    // Generate suggestions for platforms where user exceeds limits by 20%+
-    const suggestions = [];
-    Object.keys(platformStats).forEach(platform => {
-      const times = platformStats[platform];
-      const avgTime = times.reduce((a, b) => a + b, 0) / times.length;
-      const currentLimit = data.platformLimits?.[platform] || 10;
-      
-      // Only suggest if user consistently exceeds by 20%
-      if (avgTime > currentLimit * 1.2) {
-        suggestions.push({
-          platform,
-          suggestedLimit: Math.round(avgTime / 5) * 5 // Round to nearest 5
-        });
-      }
+  });
+}
+
+// What each snooze kind holds back, for the snoozes list
+const SNOOZE_LABELS = {
+  prompt: 'Session prompt skipped',
+  blur: 'Blur removed',
+  all: 'ScrollSense paused'
+};
+
+/**
+ * Describe when a snooze ends
+ * @param {Object} snooze - Snooze from background
+ * @returns {string}
+ */
+function formatSnoozeEnd(snooze) {
+  if (snooze.scope === 'session') return 'until you close its tabs';
+  if (snooze.scope === 'today') return 'for the rest of today';
+  return `until ${new Date(snooze.until).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+}
+
+/**
+ * Load and display active snoozes, each with a Cancel button
+ * Snoozes live in background.js; cancelling tells the platform's tabs
+ */
+async function loadSnoozes() {
+  const snoozes = await chrome.runtime.sendMessage({ action: 'getSnoozes' });
+  
+  const snoozesSection = document.getElementById('snoozes-section');
+  const snoozesList = document.getElementById('snoozes-list');
+  if (!snoozesSection || !snoozesList) return;
+  
+  if (!snoozes || snoozes.length === 0) {
+    snoozesSection.style.display = 'none';
+    return;
+  }
+  
+  snoozesSection.style.display = 'block';
+  snoozesList.innerHTML = snoozes.map(snooze => `
+    <div class="snooze-item">
+      <div class="snooze-info">
+        <span class="snooze-label">${escapeHTML(getPlatformInfo(snooze.platform, platforms).name)}: ${SNOOZE_LABELS[snooze.kind] || escapeHTML(snooze.kind)}</span>
+        <span class="snooze-until">${escapeHTML(formatSnoozeEnd(snooze))}</span>
+      </div>
+      <button class="btn btn-secondary snooze-cancel" data-id="${escapeHTML(snooze.id)}">Cancel</button>
+    </div>
+  `).join('');
+  
+  snoozesList.querySelectorAll('.snooze-cancel').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      await chrome.runtime.sendMessage({ action: 'cancelSnooze', id: btn.dataset.id });
+      await loadSnoozes();
     });
-    
-    // Display suggestions if any
-    if (suggestions.length > 0) {
-      suggestionsSection.style.display = 'block';
-      suggestionsContent.innerHTML = suggestions.map(s => `
-        <div class="suggestion-item">
-          <p class="suggestion-text">
-            Based on your usage, consider setting ${s.platform} limit to ${s.suggestedLimit} min
-          </p>
-        </div>
-      `).join('');
-    } else {
-      suggestionsSection.style.display = 'none';
-    }
-  } else if (suggestionsSection) {
-    suggestionsSection.style.display = 'none';
+  });
+}
+
+// Earned badges shown in the popup (the dashboard lists them all)
+const POPUP_BADGE_COUNT = 3;
+
+/**
+ * Show live streaks, this week's goals and the latest badges
+ * Hidden until there is history to compute them from
+ */
+async function renderAchievements() {
+  const achievementsSection = document.getElementById('achievements-section');
+  const achievementsContent = document.getElementById('achievements-content');
+  if (!achievementsSection || !achievementsContent) return;
+  
+  const { streaks, badges, weeklyGoals } = await loadAchievements();
+  const activeStreaks = streaks.filter(streak => streak.current > 0);
+  if (activeStreaks.length === 0 && !badges.some(badge => badge.earned)) {
+    achievementsSection.style.display = 'none';
+    return;
+  }
+  
+  // Highest milestone first, so the latest badge of each streak leads
+  const earnedBadges = badges
+    .filter(badge => badge.earned)
+    .sort((a, b) => b.milestone - a.milestone)
+    .slice(0, POPUP_BADGE_COUNT);
+  
+  achievementsSection.style.display = 'block';
+  achievementsContent.innerHTML = `
+    ${activeStreaks.map(streak => `
+      <div class="streak-item">
+        <span class="streak-label">${streak.icon} ${escapeHTML(streak.label)}</span>
+        <span class="streak-count">${streak.current}</span>
+      </div>
+    `).join('')}
+    <div class="weekly-goals">
+      ${weeklyGoals.map(goal => `
+        <span class="weekly-goal">This week: ${Math.min(goal.progress, goal.target)}/${goal.target} ${escapeHTML(goal.label.toLowerCase())}</span>
+      `).join('')}
+    </div>
+    ${earnedBadges.length > 0 ? `
+      <div class="badge-list">
+        ${earnedBadges.map(badge => `<span class="badge-chip">${badge.icon} ${escapeHTML(badge.label)}</span>`).join('')}
+      </div>
+    ` : ''}
+  `;
+}
+
+/**
+ * Show the weekly report notice while background's Monday flag is set
+ */
+async function loadWeeklyReportNotice() {
+  const data = await chrome.storage.local.get(['weeklyReportReady']);
+  const reportSection = document.getElementById('report-ready-section');
+  if (reportSection) {
+    reportSection.style.display = data.weeklyReportReady ? 'block' : 'none';
   }
 }
 
@@ -225,39 +366,19 @@ function setupEventListeners() {
       const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
       if (tab) {
         try {
-          // Try to end session via content script
+          // Try to end session via content script (shows the completion modal)
           await chrome.tabs.sendMessage(tab.id, { action: 'endSession' });
-          
-          // Also notify background to update storage
-          const data = await chrome.storage.local.get(['currentSession']);
-          if (data.currentSession) {
-            const elapsed = Date.now() - (data.currentSession.startTime || Date.now());
-            await chrome.runtime.sendMessage({
-              action: 'endSession',
-              platform: data.currentSession.platform,
-              actualTime: elapsed
-            });
-          }
-          
-          // Refresh popup display
-          await loadDailyUsage();
-          await loadCurrentSession();
         } catch (error) {
           console.error('Error ending session:', error);
-          
-          // Fallback: End session via background if content script unavailable
-          const data = await chrome.storage.local.get(['currentSession']);
-          if (data.currentSession) {
-            const elapsed = Date.now() - (data.currentSession.startTime || Date.now());
-            await chrome.runtime.sendMessage({
-              action: 'endSession',
-              platform: data.currentSession.platform,
-              actualTime: elapsed
-            });
-            await loadDailyUsage();
-            await loadCurrentSession();
-          }
         }
+        
+        // Make sure it ended even if the content script was unavailable;
+        // background measures the time itself, so this is a no-op otherwise
+        await chrome.runtime.sendMessage({ action: 'endSession' });
+        
+        // Refresh popup display
+        await loadDailyUsage();
+        await loadCurrentSession();
       }
     });
   }
@@ -270,6 +391,25 @@ function setupEventListeners() {
     });
   }
   
+  // View report button - Opens the flagged week's report (it clears the flag)
+  const viewReportBtn = document.getElementById('view-report-btn');
+  if (viewReportBtn) {
+    viewReportBtn.addEventListener('click', async () => {
+      const data = await chrome.storage.local.get(['weeklyReportReady']);
+      const week = data.weeklyReportReady?.week;
+      chrome.tabs.create({ url: chrome.runtime.getURL(week ? `report.html?week=${week}` : 'report.html') });
+    });
+  }
+  
+  // Later button - Hides the notice until next Monday's report
+  const dismissReportBtn = document.getElementById('dismiss-report-btn');
+  if (dismissReportBtn) {
+    dismissReportBtn.addEventListener('click', async () => {
+      await chrome.storage.local.remove('weeklyReportReady');
+      await loadWeeklyReportNotice();
+    });
+  }
+  
   // Set goals button - Opens options page (for goal setting)
   const setGoalsBtn = document.getElementById('set-goals-btn');
   if (setGoalsBtn) {
@@ -0,0 +1,275 @@
+/**
+ * ============================================================================
+ * SCROLLSENSE - Weekly Report Page
+ * ============================================================================
+ *
+ * Standalone extension page (report.html) that summarizes one Monday to
+ * Sunday week from the session history and compares it with the week before.
+ *
+ * FEATURES:
+ * 1. Week picker covering every week with stored history (?week=YYYY-MM-DD,
+ *    the Monday, selects one; the last complete week is the default)
+ * 2. Week-over-week comparison: total time, sessions, adherence, peak hour
+ *    and time per platform
+ * 3. The AI Insights visuals (insights-charts.js) for the chosen week
+ * 4. Print / Save as PDF through the browser print dialog (report.css
+ *    hides the controls when printing)
+ *
+ * The popup links here when background.js flags a new report on Monday
+ * (weeklyReportReady); viewing that week clears the flag.
+ *
+ * @author ScrollSense Team
+ * @version 1.0.0
+ * ============================================================================
+ */
+
+// Platform registry (built-in + custom), loaded on startup
+let platforms = [];
+
+// Most weeks offered in the picker, newest first
+const REPORT_MAX_WEEKS = 52;
+
+// ============================================================================
+// INITIALIZATION
+// ============================================================================
+
+/**
+ * Build the week picker and render the requested (or last complete) week
+ */
+document.addEventListener('DOMContentLoaded', async () => {
+  platforms = await getPlatforms();
+
+  const weeks = await listReportWeeks();
+  const lastWeek = addDays(getWeekStart(new Date()), -7);
+  const requested = parseWeekParam(new URLSearchParams(location.search).get('week'));
+  const selected = requested || lastWeek;
+
+  const weekSelect = document.getElementById('report-week-select');
+  if (!weeks.some(week => week.getTime() === selected.getTime())) {
+    weeks.push(selected);
+    weeks.sort((a, b) => b - a);
+  }
+  weekSelect.innerHTML = weeks.map(week => `
+    <option value="${getLocalDayKey(week)}" ${week.getTime() === selected.getTime() ? 'selected' : ''}>
+      ${escapeHTML(formatWeekOption(week))}
+    </option>
+  `).join('');
+
+  weekSelect.addEventListener('change', async () => {
+    history.replaceState(null, '', `?week=${weekSelect.value}`);
+    await renderReport(parseWeekParam(weekSelect.value));
+  });
+
+  document.getElementById('print-report-btn').addEventListener('click', () => {
+    window.print();
+  });
+
+  await renderReport(selected);
+});
+
+// ============================================================================
+// WEEKS
+// ============================================================================
+
+/**
+ * A date moved by whole days
+ * @param {Date} date - Starting date
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {Date}
+ */
+function addDays(date, days) {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+}
+
+/**
+ * The Monday a ?week= value points at
+ * @param {string|null} value - 'YYYY-MM-DD' (any day of the week works)
+ * @returns {Date|null} - Local midnight of that week's Monday, or null if invalid
+ */
+function parseWeekParam(value) {
+  const match = String(value || '').match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!match) return null;
+  const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  return isNaN(date.getTime()) ? null : getWeekStart(date);
+}
+
+/**
+ * Every week from the oldest stored month to this one, newest first
+ * Months come from the session index, so no sessions are read here
+ * @returns {Promise<Date[]>} - Mondays
+ */
+async function listReportWeeks() {
+  const index = await getSessionIndex();
+  const months = Object.keys(index.months).filter(month => index.months[month].count > 0).sort();
+  const thisWeek = getWeekStart(new Date());
+  if (months.length === 0) return [thisWeek];
+
+  const [year, month] = months[0].split('-').map(Number);
+  const oldest = getWeekStart(new Date(year, month - 1, 1));
+  const weeks = [];
+  for (let week = thisWeek; week >= oldest && weeks.length < REPORT_MAX_WEEKS; week = addDays(week, -7)) {
+    weeks.push(week);
+  }
+  return weeks;
+}
+
+/**
+ * Date range of a week for display
+ * @param {Date} weekStart - Monday
+ * @returns {string} - e.g. 'Oct 12 – Oct 18, 2026'
+ */
+function formatWeekRange(weekStart) {
+  const options = { month: 'short', day: 'numeric' };
+  const sunday = addDays(weekStart, 6);
+  return `${weekStart.toLocaleDateString(undefined, options)} – ${sunday.toLocaleDateString(undefined, options)}, ${sunday.getFullYear()}`;
+}
+
+/**
+ * Picker label for a week
+ * @param {Date} weekStart - Monday
+ * @returns {string}
+ */
+function formatWeekOption(weekStart) {
+  const thisWeek = getWeekStart(new Date());
+  if (weekStart.getTime() === thisWeek.getTime()) return `This week (so far) · ${formatWeekRange(weekStart)}`;
+  if (weekStart.getTime() === addDays(thisWeek, -7).getTime()) return `Last week · ${formatWeekRange(weekStart)}`;
+  return formatWeekRange(weekStart);
+}
+
+// ============================================================================
+// REPORT
+// ============================================================================
+
+/**
+ * Render the report for one week and the week before it
+ * @param {Date} weekStart - Monday of the week to report
+ */
+async function renderReport(weekStart) {
+  const previousStart = addDays(weekStart, -7);
+  const weekEnd = addDays(weekStart, 7);
+  const sessions = await getSessions({ from: previousStart, to: new Date(weekEnd.getTime() - 1) });
+
+  const currentDays = buildDayHistory(sessions, weekStart, 7);
+  const previousDays = buildDayHistory(sessions, previousStart, 7);
+  const current = summarizeDays(currentDays);
+  const previous = summarizeDays(previousDays);
+
+  document.getElementById('report-range').textContent = formatWeekRange(weekStart);
+  document.getElementById('report-empty').style.display = current.sessions === 0 ? 'block' : 'none';
+
+  renderWeekComparison(current, previous);
+  renderPlatformDeltas(current, previous);
+  renderTrendChart(currentDays, document.getElementById('report-trend-chart'));
+  renderPlatformComparison(currentDays, platforms, document.getElementById('report-platform-comparison'));
+  renderHourlyHeatmap(currentDays, document.getElementById('report-hourly-heatmap'));
+
+  // Seen: the popup no longer needs to point here
+  const data = await chrome.storage.local.get(['weeklyReportReady']);
+  if (data.weeklyReportReady?.week === getLocalDayKey(weekStart)) {
+    await chrome.storage.local.remove('weeklyReportReady');
+  }
+}
+
+/**
+ * Describe a change from last week
+ * @param {number|null} value - This week
+ * @param {number|null} before - Last week
+ * @param {Function} format - Formats the difference
+ * @param {boolean} higherIsBetter - Whether an increase is good news
+ * @returns {string} - HTML for the delta line
+ */
+function formatDelta(value, before, format, higherIsBetter = false) {
+  if (value === null || before === null) {
+    return '<span class="report-delta">No comparison</span>';
+  }
+  const diff = value - before;
+  if (diff === 0) {
+    return '<span class="report-delta">Same as last week</span>';
+  }
+  const better = higherIsBetter ? diff > 0 : diff < 0;
+  return `<span class="report-delta ${better ? 'better' : 'worse'}">${diff > 0 ? '+' : '−'}${escapeHTML(format(Math.abs(diff)))} vs last week</span>`;
+}
+
+/**
+ * Render the headline numbers with their change from last week
+ * @param {Object} current - summarizeDays() for the week
+ * @param {Object} previous - summarizeDays() for the week before
+ */
+function renderWeekComparison(current, previous) {
+  const cards = [
+    {
+      icon: '⏱️',
+      label: 'Total Time',
+      value: formatMinutes(current.totalTime),
+      delta: formatDelta(current.totalTime, previous.totalTime, formatMinutes)
+    },
+    {
+      icon: '📱',
+      label: 'Sessions',
+      value: current.sessions,
+      delta: formatDelta(current.sessions, previous.sessions, String)
+    },
+    {
+      icon: '🎯',
+      label: 'Goal Adherence',
+      value: current.adherence === null ? '--' : `${current.adherence}%`,
+      delta: formatDelta(current.adherence, previous.adherence, diff => `${diff} pts`, true)
+    },
+    {
+      icon: '🕐',
+      label: 'Peak Hour',
+      value: current.peakHour === null ? '--' : formatHourLabel(current.peakHour),
+      delta: `<span class="report-delta">Last week: ${previous.peakHour === null ? '--' : formatHourLabel(previous.peakHour)}</span>`
+    }
+  ];
+
+  document.getElementById('report-comparison').innerHTML = cards.map(card => `
+    <div class="weekly-stat-card">
+      <div class="weekly-stat-icon">${card.icon}</div>
+      <div class="weekly-stat-value">${escapeHTML(card.value)}</div>
+      <div class="weekly-stat-label">${card.label}</div>
+      ${card.delta}
+    </div>
+  `).join('');
+}
+
+/**
+ * Render time per platform this week against last week
+ * @param {Object} current - summarizeDays() for the week
+ * @param {Object} previous - summarizeDays() for the week before
+ */
+function renderPlatformDeltas(current, previous) {
+  const container = document.getElementById('report-platform-deltas');
+  const ids = [...new Set([...Object.keys(current.platforms), ...Object.keys(previous.platforms)])]
+    .sort((a, b) => (current.platforms[b] || 0) - (current.platforms[a] || 0));
+
+  if (ids.length === 0) {
+    container.innerHTML = '<p class="report-note">No platform use in either week.</p>';
+    return;
+  }
+
+  container.innerHTML = `
+    <table class="report-table">
+      <thead>
+        <tr><th>Platform</th><th>This week</th><th>Last week</th><th>Change</th></tr>
+      </thead>
+      <tbody>
+        ${ids.map(id => {
+          const info = getPlatformInfo(id, platforms);
+          const now = current.platforms[id] || 0;
+          const before = previous.platforms[id] || 0;
+          return `
+            <tr>
+              <td>${escapeHTML(info.icon)} ${escapeHTML(info.name)}</td>
+              <td>${formatMinutes(now)}</td>
+              <td>${formatMinutes(before)}</td>
+              <td>${formatDelta(now, before, formatMinutes)}</td>
+            </tr>
+          `;
+        }).join('')}
+      </tbody>
+    </table>
+  `;
+}
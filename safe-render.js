@@ -0,0 +1,103 @@
+/**
+ * ============================================================================
+ * SCROLLSENSE - Safe Rendering
+ * ============================================================================
+ *
+ * Helpers for putting text ScrollSense did not write itself into the DOM.
+ * Loaded by the content script (manifest) and the popup/options pages
+ * (<script> tag) before their own scripts.
+ *
+ * The UI is built from innerHTML template strings, so any untrusted value
+ * interpolated into a template must go through escapeHTML():
+ * - AI output (nudges, trend analysis)
+ * - User input (goals, session purposes)
+ * - Stored or imported data (platform names, ids, history)
+ *
+ * In the content script this matters most: the markup lands inside the
+ * host page (instagram.com etc.), so an unescaped `<img onerror=...>` in
+ * a goal or model reply would run there.
+ *
+ * AI trend analysis is shown with a small markdown subset through
+ * renderSafeMarkdown(), which escapes first and then only ever emits
+ * <p>, <ul>, <li>, <h4>, <strong> and <em>.
+ *
+ * @author ScrollSense Team
+ * @version 1.0.0
+ * ============================================================================
+ */
+
+// Characters that can open a tag, entity or attribute
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+// ============================================================================
+// ESCAPING
+// ============================================================================
+
+/**
+ * Escape a value for use in HTML text or a quoted attribute
+ * @param {*} value - Anything; null/undefined become ''
+ * @returns {string} - Inert HTML
+ */
+function escapeHTML(value) {
+  return String(value ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+// ============================================================================
+// MARKDOWN (AI ANALYSIS)
+// ============================================================================
+
+/**
+ * Render inline markdown: **bold** and *italic*
+ * @param {string} text - One line of raw text
+ * @returns {string} - Escaped HTML with <strong>/<em> only
+ */
+function renderInlineMarkdown(text) {
+  return escapeHTML(text)
+    .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+    .replace(/\*(.+?)\*/g, '<em>$1</em>');
+}
+
+/**
+ * Render model output as a whitelisted markdown subset
+ * Lines become paragraphs; '-', '•', '*' and '1.' lines become list items;
+ * '#' headings become <h4>. Anything else is shown as plain text.
+ *
+ * @param {string} text - Raw model output
+ * @returns {string} - Safe HTML
+ */
+function renderSafeMarkdown(text) {
+  const lines = String(text ?? '')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line.length > 0);
+
+  let html = '';
+  let listOpen = false;
+
+  lines.forEach(line => {
+    const item = line.match(/^(?:[-•*]|\d+[.)])\s+(.*)$/);
+    if (item) {
+      if (!listOpen) html += '<ul>';
+      listOpen = true;
+      html += `<li>${renderInlineMarkdown(item[1])}</li>`;
+      return;
+    }
+
+    if (listOpen) html += '</ul>';
+    listOpen = false;
+
+    const heading = line.match(/^#{1,6}\s+(.*)$/);
+    html += heading
+      ? `<h4>${renderInlineMarkdown(heading[1])}</h4>`
+      : `<p>${renderInlineMarkdown(line)}</p>`;
+  });
+
+  if (listOpen) html += '</ul>';
+  return html;
+}
@@ -0,0 +1,174 @@
+/**
+ * ============================================================================
+ * SCROLLSENSE - Safe Rendering Tests
+ * ============================================================================
+ *
+ * Feeds hostile strings through safe-render.js and checks nothing active
+ * comes out. safe-render.js is a classic script (no exports), so it is run
+ * in a fresh VM context and its functions are read from there.
+ *
+ * Run with: node --test safe-render.test.js
+ *
+ * @author ScrollSense Team
+ * @version 1.0.0
+ * ============================================================================
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const context = vm.createContext({});
+vm.runInContext(fs.readFileSync(path.join(__dirname, 'safe-render.js'), 'utf8'), context);
+const { escapeHTML, renderInlineMarkdown, renderSafeMarkdown } = context;
+
+// Tags renderSafeMarkdown() may emit, never with attributes
+const ALLOWED_TAGS = ['p', 'ul', 'li', 'h4', 'strong', 'em'];
+
+const HOSTILE_INPUTS = [
+  '<img src=x onerror=alert(1)>',
+  '**<script>alert(1)</script>**',
+  '*<svg onload=alert(1)>*',
+  '[x](javascript:alert(1))',
+  '" onmouseover="alert(1)',
+  "' onmouseover='alert(1)",
+  '"><img src=x onerror=alert(1)>',
+  '- <iframe src="javascript:alert(1)"></iframe>',
+  '# <a href="javascript:alert(1)">heading</a>',
+  '&lt;script&gt;alert(1)&lt;/script&gt;'
+];
+
+/**
+ * Every tag in an HTML string, as written
+ * @param {string} html
+ * @returns {string[]}
+ */
+function listTags(html) {
+  return html.match(/<[^>]*>/g) || [];
+}
+
+/**
+ * Fail unless every tag is a bare whitelisted tag
+ * @param {string} html - renderer output
+ */
+function assertOnlyAllowedTags(html) {
+  listTags(html).forEach(tag => {
+    const match = tag.match(/^<\/?([a-z0-9]+)>$/);
+    assert.ok(match, `unexpected tag or attribute: ${tag}`);
+    assert.ok(ALLOWED_TAGS.includes(match[1]), `tag not allowed: ${tag}`);
+  });
+}
+
+// ============================================================================
+// escapeHTML
+// ============================================================================
+
+test('escapeHTML escapes every character that can open a tag, entity or attribute', () => {
+  assert.equal(escapeHTML(`<>&"'`), '&lt;&gt;&amp;&quot;&#39;');
+});
+
+test('escapeHTML leaves no tags in hostile input', () => {
+  HOSTILE_INPUTS.forEach(input => {
+    const html = escapeHTML(input);
+    assert.deepEqual(listTags(html), [], input);
+    assert.ok(!/["'<>]/.test(html), input);
+  });
+});
+
+test('escapeHTML keeps a double-quoted attribute closed', () => {
+  const html = `<div title="${escapeHTML('" onmouseover="alert(1)')}"></div>`;
+  assert.equal(html, '<div title="&quot; onmouseover=&quot;alert(1)"></div>');
+});
+
+test('escapeHTML keeps a single-quoted attribute closed', () => {
+  const html = `<div title='${escapeHTML("' onmouseover='alert(1)")}'></div>`;
+  assert.equal(html, '<div title=\'&#39; onmouseover=&#39;alert(1)\'></div>');
+});
+
+test('escapeHTML re-escapes existing entities', () => {
+  assert.equal(escapeHTML('&lt;script&gt;'), '&amp;lt;script&amp;gt;');
+});
+
+test('escapeHTML turns null and undefined into an empty string', () => {
+  assert.equal(escapeHTML(null), '');
+  assert.equal(escapeHTML(undefined), '');
+  assert.equal(escapeHTML(0), '0');
+});
+
+// ============================================================================
+// renderInlineMarkdown
+// ============================================================================
+
+test('renderInlineMarkdown renders bold and italic', () => {
+  assert.equal(renderInlineMarkdown('**bold** and *italic*'), '<strong>bold</strong> and <em>italic</em>');
+});
+
+test('renderInlineMarkdown escapes a script inside bold', () => {
+  assert.equal(
+    renderInlineMarkdown('**<script>alert(1)</script>**'),
+    '<strong>&lt;script&gt;alert(1)&lt;/script&gt;</strong>'
+  );
+});
+
+test('renderInlineMarkdown escapes an image inside italic', () => {
+  assert.equal(
+    renderInlineMarkdown('*<img src=x onerror=alert(1)>*'),
+    '<em>&lt;img src=x onerror=alert(1)&gt;</em>'
+  );
+});
+
+test('renderInlineMarkdown emits only whitelisted tags for hostile input', () => {
+  HOSTILE_INPUTS.forEach(input => assertOnlyAllowedTags(renderInlineMarkdown(input)));
+});
+
+// ============================================================================
+// renderSafeMarkdown
+// ============================================================================
+
+test('renderSafeMarkdown renders paragraphs, lists and headings', () => {
+  assert.equal(
+    renderSafeMarkdown('# Title\nIntro\n- one\n2. two\nOutro'),
+    '<h4>Title</h4><p>Intro</p><ul><li>one</li><li>two</li></ul><p>Outro</p>'
+  );
+});
+
+test('renderSafeMarkdown does not turn links into anchors', () => {
+  const html = renderSafeMarkdown('[x](javascript:alert(1))');
+  assert.equal(html, '<p>[x](javascript:alert(1))</p>');
+  assert.ok(!html.includes('<a'));
+  assert.ok(!html.includes('href'));
+});
+
+test('renderSafeMarkdown escapes an image with an onerror handler', () => {
+  assert.equal(
+    renderSafeMarkdown('<img src=x onerror=alert(1)>'),
+    '<p>&lt;img src=x onerror=alert(1)&gt;</p>'
+  );
+});
+
+test('renderSafeMarkdown escapes a script inside bold in a list item', () => {
+  assert.equal(
+    renderSafeMarkdown('- **<script>alert(1)</script>**'),
+    '<ul><li><strong>&lt;script&gt;alert(1)&lt;/script&gt;</strong></li></ul>'
+  );
+});
+
+test('renderSafeMarkdown escapes quotes that would break out of an attribute', () => {
+  assert.equal(
+    renderSafeMarkdown('" onmouseover="alert(1)'),
+    '<p>&quot; onmouseover=&quot;alert(1)</p>'
+  );
+});
+
+test('renderSafeMarkdown emits only whitelisted tags for hostile input', () => {
+  assertOnlyAllowedTags(renderSafeMarkdown(HOSTILE_INPUTS.join('\n')));
+  HOSTILE_INPUTS.forEach(input => assertOnlyAllowedTags(renderSafeMarkdown(input)));
+});
+
+test('renderSafeMarkdown handles empty and missing input', () => {
+  assert.equal(renderSafeMarkdown(''), '');
+  assert.equal(renderSafeMarkdown(null), '');
+  assert.equal(renderSafeMarkdown(undefined), '');
+});
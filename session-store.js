@@ -0,0 +1,291 @@
+/**
+ * ============================================================================
+ * SCROLLSENSE - Session Store
+ * ============================================================================
+ *
+ * Session history storage shared by the background service worker
+ * (importScripts) and the popup/options pages (<script> tag).
+ *
+ * Sessions are kept in chrome.storage.local in one key per calendar month
+ * ('sessions:2026-10'), each holding that month's records in date order.
+ * A small index ('sessionIndex') records how many sessions each month holds
+ * per platform, so range reads only load the months (and platforms) they
+ * need instead of the whole history.
+ *
+ * History is unbounded apart from the retention window chosen in the
+ * Preferences tab (preferences.historyRetentionDays, 0 = keep forever).
+ *
+ * @author ScrollSense Team
+ * @version 1.0.0
+ * ============================================================================
+ */
+
+// Storage key prefix for monthly session chunks
+const SESSION_CHUNK_PREFIX = 'sessions:';
+
+// Storage key for the month/platform index
+const SESSION_INDEX_KEY = 'sessionIndex';
+
+// Default retention window in days (0 keeps history forever)
+const DEFAULT_RETENTION_DAYS = 365;
+
+// ============================================================================
+// KEYS & INDEX
+// ============================================================================
+
+/**
+ * Month bucket for a date, in local time
+ * @param {Date|string|number} date - Session date
+ * @returns {string} - 'YYYY-MM'
+ */
+function getSessionMonth(date) {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Storage key for a month's chunk
+ * @param {string} month - 'YYYY-MM'
+ * @returns {string}
+ */
+function getSessionChunkKey(month) {
+  return `${SESSION_CHUNK_PREFIX}${month}`;
+}
+
+/**
+ * Identity of a session for deduplication: platform plus end timestamp
+ * @param {Object} session - Session record
+ * @returns {string}
+ */
+function getSessionKey(session) {
+  return `${session.platform}|${new Date(session.date).getTime()}`;
+}
+
+/**
+ * Read the month index
+ * @returns {Promise<Object>} - { months: { 'YYYY-MM': { count, platforms: { id: count } } } }
+ */
+async function getSessionIndex() {
+  const data = await chrome.storage.local.get([SESSION_INDEX_KEY]);
+  return data[SESSION_INDEX_KEY] || { months: {} };
+}
+
+/**
+ * Summarise a month's chunk for the index
+ * @param {Array} sessions - Sessions in one month
+ * @returns {Object} - { count, platforms }
+ */
+function buildMonthIndex(sessions) {
+  const platforms = {};
+  sessions.forEach(session => {
+    platforms[session.platform] = (platforms[session.platform] || 0) + 1;
+  });
+  return { count: sessions.length, platforms };
+}
+
+// ============================================================================
+// WRITES
+// ============================================================================
+
+/**
+ * Add sessions to history, skipping any already stored
+ * @param {Array} sessions - Session records (any order, any months)
+ * @returns {Promise<Object>} - { added, duplicates }
+ */
+async function addSessions(sessions) {
+  if (!sessions || sessions.length === 0) return { added: 0, duplicates: 0 };
+
+  // Group incoming sessions by month
+  const byMonth = {};
+  sessions.forEach(session => {
+    const month = getSessionMonth(session.date);
+    (byMonth[month] = byMonth[month] || []).push(session);
+  });
+
+  const months = Object.keys(byMonth);
+  const data = await chrome.storage.local.get([SESSION_INDEX_KEY, ...months.map(getSessionChunkKey)]);
+  const index = data[SESSION_INDEX_KEY] || { months: {} };
+  const updates = {};
+  let added = 0;
+
+  months.forEach(month => {
+    const key = getSessionChunkKey(month);
+    const chunk = data[key] || [];
+    const known = new Set(chunk.map(getSessionKey));
+
+    byMonth[month].forEach(session => {
+      const sessionKey = getSessionKey(session);
+      if (known.has(sessionKey)) return;
+      known.add(sessionKey);
+      chunk.push(session);
+      added++;
+    });
+
+    chunk.sort((a, b) => new Date(a.date) - new Date(b.date));
+    updates[key] = chunk;
+    index.months[month] = buildMonthIndex(chunk);
+  });
+
+  updates[SESSION_INDEX_KEY] = index;
+  await chrome.storage.local.set(updates);
+  return { added, duplicates: sessions.length - added };
+}
+
+/**
+ * Add one finished session to history
+ * @param {Object} session - Session record
+ * @returns {Promise<Object>} - { added, duplicates }
+ */
+async function addSession(session) {
+  return addSessions([session]);
+}
+
+/**
+ * Update fields on a stored session
+ * @param {string} date - The session's date (locates the month chunk)
+ * @param {number} startTime - The session's startTime (identifies the record)
+ * @param {Object} changes - Fields to merge into the record
+ * @returns {Promise<Object|null>} - Record before the update, or null if not found
+ */
+async function updateSession(date, startTime, changes) {
+  const key = getSessionChunkKey(getSessionMonth(date));
+  const data = await chrome.storage.local.get([key]);
+  const chunk = data[key] || [];
+  const session = chunk.find(s => s.startTime === startTime);
+  if (!session) return null;
+
+  const previous = { ...session };
+  Object.assign(session, changes);
+  await chrome.storage.local.set({ [key]: chunk });
+  return previous;
+}
+
+/**
+ * Delete all session history
+ */
+async function clearSessions() {
+  const index = await getSessionIndex();
+  await chrome.storage.local.remove([
+    SESSION_INDEX_KEY,
+    ...Object.keys(index.months).map(getSessionChunkKey)
+  ]);
+}
+
+/**
+ * Replace all session history (used by demo data)
+ * @param {Array} sessions - Session records
+ */
+async function replaceSessions(sessions) {
+  await clearSessions();
+  await addSessions(sessions);
+}
+
+/**
+ * Drop sessions older than the retention window
+ * Whole months before the cutoff are removed without being read
+ * @param {number} retentionDays - Days to keep; 0 or missing keeps everything
+ * @returns {Promise<number>} - Number of sessions removed
+ */
+async function applySessionRetention(retentionDays) {
+  if (!retentionDays) return 0;
+
+  const cutoff = new Date();
+  cutoff.setHours(0, 0, 0, 0);
+  cutoff.setDate(cutoff.getDate() - retentionDays);
+  const cutoffMonth = getSessionMonth(cutoff);
+
+  const index = await getSessionIndex();
+  const expiredMonths = Object.keys(index.months).filter(month => month < cutoffMonth);
+  let removed = expiredMonths.reduce((sum, month) => sum + index.months[month].count, 0);
+  expiredMonths.forEach(month => delete index.months[month]);
+
+  const updates = { [SESSION_INDEX_KEY]: index };
+
+  // The cutoff month itself is trimmed record by record
+  if (index.months[cutoffMonth]) {
+    const key = getSessionChunkKey(cutoffMonth);
+    const data = await chrome.storage.local.get([key]);
+    const chunk = (data[key] || []).filter(s => new Date(s.date) >= cutoff);
+    removed += index.months[cutoffMonth].count - chunk.length;
+    updates[key] = chunk;
+    index.months[cutoffMonth] = buildMonthIndex(chunk);
+  }
+
+  if (removed === 0) return 0;
+
+  await chrome.storage.local.remove(expiredMonths.map(getSessionChunkKey));
+  await chrome.storage.local.set(updates);
+  return removed;
+}
+
+/**
+ * Move the pre-chunking `sessions` array (capped at 100) into monthly chunks
+ * Safe to run repeatedly; does nothing once the old key is gone
+ */
+async function migrateLegacySessions() {
+  const data = await chrome.storage.local.get(['sessions']);
+  if (!Array.isArray(data.sessions)) return;
+
+  await addSessions(data.sessions);
+  await chrome.storage.local.remove(['sessions']);
+}
+
+// ============================================================================
+// RANGE READS
+// ============================================================================
+
+/**
+ * Read sessions in date order, loading only the months the query touches
+ *
+ * @param {Object} [query]
+ * @param {Date|string|number} [query.from] - Earliest session date (inclusive)
+ * @param {Date|string|number} [query.to] - Latest session date (inclusive)
+ * @param {string} [query.platform] - Only this platform
+ * @param {number} [query.limit] - Only the most recent N matches
+ * @returns {Promise<Array>} - Matching session records, oldest first
+ */
+async function getSessions({ from, to, platform, limit } = {}) {
+  const fromTime = from ? new Date(from).getTime() : -Infinity;
+  const toTime = to ? new Date(to).getTime() : Infinity;
+  const fromMonth = from ? getSessionMonth(from) : '';
+  const toMonth = to ? getSessionMonth(to) : '9999-99';
+
+  const index = await getSessionIndex();
+  const months = Object.keys(index.months)
+    .filter(month => month >= fromMonth && month <= toMonth)
+    .filter(month => !platform || index.months[month].platforms[platform] > 0)
+    .sort()
+    .reverse(); // Newest first so a limit can stop early
+
+  const matches = session => {
+    const time = new Date(session.date).getTime();
+    return time >= fromTime && time <= toTime && (!platform || session.platform === platform);
+  };
+
+  let results = [];
+  if (limit) {
+    // Read one month at a time until enough sessions are found
+    for (const month of months) {
+      const key = getSessionChunkKey(month);
+      const data = await chrome.storage.local.get([key]);
+      results = (data[key] || []).filter(matches).concat(results);
+      if (results.length >= limit) break;
+    }
+    return results.slice(-limit);
+  }
+
+  const data = await chrome.storage.local.get(months.map(getSessionChunkKey));
+  months.reverse().forEach(month => {
+    results = results.concat((data[getSessionChunkKey(month)] || []).filter(matches));
+  });
+  return results;
+}
+
+/**
+ * Count stored sessions without reading them
+ * @returns {Promise<number>}
+ */
+async function countSessions() {
+  const index = await getSessionIndex();
+  return Object.values(index.months).reduce((sum, month) => sum + month.count, 0);
+}